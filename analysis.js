@@ -0,0 +1,340 @@
+import { RESULT_CATEGORIES, buildOperatingPointParameters, formatOutputValue, runCalculation } from "./core/index.js";
+import { attachPlotCursor, drawLinePlot } from "./plotting.js";
+import { INPUT_FIELD_CONFIG, getFieldLabel, getInputUnitType, getInputValue, getSelectedOptionText, lastCalculation } from "./ิbuck.js";
+
+// Analysis Constants
+const ANALYSIS_ISSUE_LIST_LIMIT = 8;
+const ANALYSIS_HISTOGRAM_BIN_COUNT = 20;
+const ANALYSIS_CANVAS_ID = "analysisPlot";
+const SWEEP_MAX_POINT_COUNT = 1000; // every point recalculates on the page thread; matches the field's max
+const MONTE_CARLO_MAX_RUN_COUNT = 5000; // every run recalculates on the page thread; matches the field's max
+
+// Targets that size L and C, so sweeping them re-designs the converter at each point;
+// every other input is swept against the fixed L, C and Fs of the last calculation
+const SWEEP_REDESIGN_KEYS = ["inductorCurrentRipple", "outputVoltageRipple", "voltageRippleRatio", "currentRippleRatio"];
+
+const TOLERANCE_PARAMETERS = [
+    { key: "inductance", symbol: "L" },
+    { key: "capacitance", symbol: "C" },
+    { key: "switchingFrequency", symbol: "Fs" },
+    { key: "capacitorEsr", symbol: "ESR" },
+    { key: "inductorDcr", symbol: "DCR" },
+    { key: "mosfetOnResistance", symbol: "Rds(on)" }
+];
+
+// Worst case is the largest ripple and peak current, and the lowest efficiency
+const ANALYSIS_METRICS = [
+    { key: "inductorCurrentRipple", label: "Inductor Current Ripple (ΔIL)", unit: "A", worst: "maximum" },
+    { key: "outputVoltageRipple", label: "Output Voltage Ripple (ΔVout)", unit: "V", worst: "maximum" },
+    { key: "peakSwitchCurrent", label: "Peak Switch Current", unit: "A", worst: "maximum" },
+    { key: "efficiency", label: "Efficiency (η)", unit: "%", worst: "minimum" }
+];
+
+// Analysis Engine
+function evaluateAnalysisPoint(calculationParameters, label, standardSeries = "off") {
+    const calculation = runCalculation(calculationParameters, standardSeries);
+    return { label, calculation, values: calculation.operatingPoint };
+}
+
+function runParameterSweep(calculation, sweepKey, start, stop, pointCount, standardSeries = "off") {
+    const isRedesign = SWEEP_REDESIGN_KEYS.includes(sweepKey);
+    const baseParameters = isRedesign
+        ? calculation.parameters
+        : buildOperatingPointParameters(calculation.parameters, calculation.operatingPoint);
+    const unitType = getInputUnitType(sweepKey);
+
+    return Array.from({ length: pointCount }, (_, index) => {
+        const value = pointCount === 1 ? start : start + (stop - start) * index / (pointCount - 1);
+        const point = evaluateAnalysisPoint(
+            { ...baseParameters, [sweepKey]: value },
+            formatOutputValue(value, unitType),
+            isRedesign ? standardSeries : "off"
+        );
+        return { ...point, sweepValue: value };
+    });
+}
+
+// Bounds for each toleranced parameter that has a nominal value; tolerances are fractions
+function createToleranceBounds(calculation, tolerances) {
+    return tolerances
+        .map(tolerance => {
+            const nominal = calculation.parameters[tolerance.key] ?? calculation.operatingPoint[tolerance.key];
+            return {
+                ...tolerance,
+                nominal,
+                minimum: nominal * (1 - tolerance.minus),
+                maximum: nominal * (1 + tolerance.plus)
+            };
+        })
+        .filter(bound => Number.isFinite(bound.nominal) && (bound.minus > 0 || bound.plus > 0));
+}
+
+function runCornerAnalysis(calculation, tolerances) {
+    const bounds = createToleranceBounds(calculation, tolerances);
+    const baseParameters = buildOperatingPointParameters(calculation.parameters, calculation.operatingPoint);
+    const runs = [evaluateAnalysisPoint(baseParameters, "Nominal")];
+
+    for (let corner = 0; corner < 2 ** bounds.length; corner++) {
+        const overrides = {};
+        const labels = bounds.map((bound, index) => {
+            const isHigh = (corner >> index) & 1;
+            overrides[bound.key] = isHigh ? bound.maximum : bound.minimum;
+            const deviation = isHigh ? bound.plus : bound.minus;
+            if (deviation === 0) return `${bound.symbol} nominal`;
+            return `${bound.symbol} ${isHigh ? "+" : "−"}${Number((deviation * 100).toPrecision(3))}%`;
+        });
+        runs.push(evaluateAnalysisPoint({ ...baseParameters, ...overrides }, labels.join(", ")));
+    }
+    return { bounds, runs };
+}
+
+// Each toleranced parameter is drawn uniformly between its bounds
+function runMonteCarloAnalysis(calculation, tolerances, runCount, random = Math.random) {
+    const bounds = createToleranceBounds(calculation, tolerances);
+    const baseParameters = buildOperatingPointParameters(calculation.parameters, calculation.operatingPoint);
+
+    const runs = Array.from({ length: runCount }, (_, index) => {
+        const overrides = {};
+        bounds.forEach(bound => {
+            overrides[bound.key] = bound.minimum + (bound.maximum - bound.minimum) * random();
+        });
+        return evaluateAnalysisPoint({ ...baseParameters, ...overrides }, `Run ${index + 1}`);
+    });
+    return { bounds, runs };
+}
+
+function summarizeAnalysisRuns(runs) {
+    const validRuns = runs.filter(run => run.calculation.validation.errors.length === 0);
+
+    const metrics = ANALYSIS_METRICS.map(metric => {
+        const samples = validRuns.filter(run => Number.isFinite(run.values[metric.key]));
+        if (samples.length === 0) return null;
+
+        const byValue = [...samples].sort((first, second) => first.values[metric.key] - second.values[metric.key]);
+        const worstRun = metric.worst === "maximum" ? byValue[byValue.length - 1] : byValue[0];
+        return {
+            ...metric,
+            minimum: byValue[0].values[metric.key],
+            maximum: byValue[byValue.length - 1].values[metric.key],
+            worstValue: worstRun.values[metric.key],
+            worstLabel: worstRun.label
+        };
+    }).filter(metric => metric !== null);
+
+    return {
+        runCount: runs.length,
+        metrics,
+        failures: runs.filter(run => run.calculation.validation.errors.length > 0),
+        warnings: validRuns.filter(run => run.calculation.validation.warnings.length > 0)
+    };
+}
+
+function createHistogram(values, binCount = ANALYSIS_HISTOGRAM_BIN_COUNT) {
+    const minimum = Math.min(...values);
+    const maximum = Math.max(...values);
+    const binWidth = (maximum - minimum) / binCount || 1;
+    const counts = new Array(binCount).fill(0);
+    values.forEach(value => {
+        counts[Math.min(Math.floor((value - minimum) / binWidth), binCount - 1)]++;
+    });
+    return {
+        centers: counts.map((_, index) => minimum + binWidth * (index + 0.5)),
+        counts
+    };
+}
+
+// Input Functions
+function readToleranceSettings() {
+    return TOLERANCE_PARAMETERS.map(parameter => ({
+        ...parameter,
+        minus: Math.abs(parseFloat(document.getElementById(`${parameter.key}ToleranceMinus`).value) || 0) / 100,
+        plus: Math.abs(parseFloat(document.getElementById(`${parameter.key}TolerancePlus`).value) || 0) / 100
+    }));
+}
+
+function findResultItem(key) {
+    return RESULT_CATEGORIES.flatMap(category => category.items).find(item => item.key === key);
+}
+
+function hasValidCalculation() {
+    if (lastCalculation !== null && lastCalculation.validation.errors.length === 0) return true;
+
+    document.getElementById("analysisPlots").style.display = "none";
+    document.getElementById("analysisResults").innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> Run a valid calculation first; the analysis varies its solved design.
+          </div>`;
+    return false;
+}
+
+// Main Analysis Functions
+function performParameterSweep() {
+    if (!hasValidCalculation()) return;
+
+    const sweepKey = document.getElementById("sweepParameter").value;
+    const start = getInputValue("sweepStart", `${sweepKey}Unit`);
+    const stop = getInputValue("sweepStop", `${sweepKey}Unit`);
+    const pointCountField = document.getElementById("sweepPointCount");
+    const pointCount = Math.min(Math.max(parseInt(pointCountField.value, 10) || 0, 2), SWEEP_MAX_POINT_COUNT);
+    pointCountField.value = String(pointCount);
+
+    if (!Number.isFinite(start) || !Number.isFinite(stop)) {
+        document.getElementById("analysisPlots").style.display = "none";
+        document.getElementById("analysisResults").innerHTML = `
+          <div class="alert alert-warning">
+            <strong>⚠️ Sweep Range:</strong> Enter a start and stop value for ${getFieldLabel(sweepKey)}.
+          </div>`;
+        return;
+    }
+
+    const standardSeries = document.getElementById("standardValueSeries").value;
+    const runs = runParameterSweep(lastCalculation, sweepKey, start, stop, pointCount, standardSeries);
+    const outputItem = findResultItem(document.getElementById("analysisOutput").value);
+    const redesignNote = SWEEP_REDESIGN_KEYS.includes(sweepKey)
+        ? "L and C are re-sized for each target."
+        : "L, C and Fs stay fixed at the calculated design.";
+
+    renderAnalysisResults(`📈 Sweep of ${getFieldLabel(sweepKey)} (${pointCount} points)`, summarizeAnalysisRuns(runs), redesignNote);
+
+    const xValues = runs.map(run => run.sweepValue);
+    const yValues = runs.map(run => run.calculation.validation.errors.length === 0 ? run.values[outputItem.key] ?? null : null);
+    renderAnalysisPlot({
+        title: `${outputItem.label} vs ${getFieldLabel(sweepKey)}`,
+        x: xValues,
+        xUnit: getInputUnitType(sweepKey),
+        yUnit: outputItem.unit,
+        series: [{ label: outputItem.label, values: yValues }]
+    }, (sampleIndex) => `${getFieldLabel(sweepKey)} = ${runs[sampleIndex].label}   ` +
+        `${outputItem.label} = ${formatOutputValue(yValues[sampleIndex], outputItem.unit)}`);
+}
+
+function performCornerAnalysis() {
+    if (!hasValidCalculation()) return;
+
+    const { bounds, runs } = runCornerAnalysis(lastCalculation, readToleranceSettings());
+    const boundsNote = describeToleranceBounds(bounds);
+    renderAnalysisResults(`🎯 Worst-Case Corners (${runs.length - 1} corners)`, summarizeAnalysisRuns(runs), boundsNote);
+    document.getElementById("analysisPlots").style.display = "none";
+}
+
+function performMonteCarloAnalysis() {
+    if (!hasValidCalculation()) return;
+
+    const runCountField = document.getElementById("monteCarloRunCount");
+    const runCount = Math.min(Math.max(parseInt(runCountField.value, 10) || 0, 1), MONTE_CARLO_MAX_RUN_COUNT);
+    runCountField.value = String(runCount);
+    const { bounds, runs } = runMonteCarloAnalysis(lastCalculation, readToleranceSettings(), runCount);
+    renderAnalysisResults(`🎲 Monte Carlo (${runCount} runs)`, summarizeAnalysisRuns(runs), describeToleranceBounds(bounds));
+
+    const outputItem = findResultItem(document.getElementById("analysisOutput").value);
+    const samples = runs
+        .filter(run => run.calculation.validation.errors.length === 0)
+        .map(run => run.values[outputItem.key])
+        .filter(value => Number.isFinite(value));
+    if (samples.length === 0) {
+        document.getElementById("analysisPlots").style.display = "none";
+        return;
+    }
+
+    const histogram = createHistogram(samples);
+    renderAnalysisPlot({
+        title: `${outputItem.label} distribution`,
+        x: histogram.centers,
+        xUnit: outputItem.unit,
+        yUnit: "count",
+        yRange: { minimum: 0, maximum: Math.max(...histogram.counts) * 1.1 },
+        series: [{ label: "runs per bin", values: histogram.counts }]
+    }, (sampleIndex) => `${outputItem.label} ≈ ${formatOutputValue(histogram.centers[sampleIndex], outputItem.unit)}   ` +
+        `${histogram.counts[sampleIndex]} of ${samples.length} runs`);
+}
+
+// Display Functions
+function describeToleranceBounds(bounds) {
+    if (bounds.length === 0) return "No tolerances apply; enter a tolerance for a parameter the design defines.";
+    return bounds.map(bound => `${bound.symbol} ${formatOutputValue(bound.minimum, getInputUnitType(bound.key))} – ` +
+        `${formatOutputValue(bound.maximum, getInputUnitType(bound.key))}`).join(", ");
+}
+
+function renderAnalysisResults(title, summary, note) {
+    const listRuns = (runs, describe) => {
+        const items = runs.slice(0, ANALYSIS_ISSUE_LIST_LIMIT).map(run => `<li>${run.label}: ${describe(run)}</li>`);
+        if (runs.length > ANALYSIS_ISSUE_LIST_LIMIT) items.push(`<li>… and ${runs.length - ANALYSIS_ISSUE_LIST_LIMIT} more</li>`);
+        return items.join("");
+    };
+    let htmlContent = "";
+
+    if (summary.failures.length > 0) {
+        htmlContent += '<div class="alert alert-error">';
+        htmlContent += `<strong>❌ Validation Failures (${summary.failures.length} of ${summary.runCount}):</strong><ul style="margin: 10px 0; padding-left: 20px;">`;
+        htmlContent += listRuns(summary.failures, run => run.calculation.validation.errors.join("; "));
+        htmlContent += '</ul></div>';
+    }
+
+    if (summary.warnings.length > 0) {
+        htmlContent += '<div class="alert alert-warning">';
+        htmlContent += `<strong>⚠️ Design Warnings (${summary.warnings.length} of ${summary.runCount}):</strong><ul style="margin: 10px 0; padding-left: 20px;">`;
+        htmlContent += listRuns(summary.warnings, run => run.calculation.validation.warnings.join("; "));
+        htmlContent += '</ul></div>';
+    }
+
+    htmlContent += `<div class="alert alert-info"><strong>ℹ️ Range:</strong> ${note}</div>`;
+
+    htmlContent += `<div style="margin-bottom: 25px;">`;
+    htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">${title}</h4>`;
+    summary.metrics.forEach(metric => {
+        htmlContent += `
+              <div class="result-item">
+                <div class="result-label">${metric.label}<div class="result-detail">Worst case at ${metric.worstLabel}</div></div>
+                <div class="result-value">${formatOutputValue(metric.worstValue, metric.unit)} (range ${formatOutputValue(metric.minimum, metric.unit)} – ${formatOutputValue(metric.maximum, metric.unit)})</div>
+              </div>`;
+    });
+    if (summary.metrics.length === 0) {
+        htmlContent += '<div class="alert alert-info">No valid points to summarize.</div>';
+    }
+    htmlContent += `</div>`;
+
+    document.getElementById("analysisResults").innerHTML = htmlContent;
+}
+
+function renderAnalysisPlot(plot, describeSample) {
+    document.getElementById("analysisPlots").style.display = "block";
+    const canvas = document.getElementById(ANALYSIS_CANVAS_ID);
+    drawLinePlot(canvas, plot);
+
+    const cursorReadout = document.getElementById("analysisCursor");
+    cursorReadout.textContent = "Move the cursor over the plot to read individual points.";
+    attachPlotCursor([canvas], (sampleIndex) => {
+        cursorReadout.textContent = describeSample(sampleIndex);
+    });
+}
+
+// The sweep range is typed in the swept field's selected unit
+function updateSweepUnitLabel() {
+    const sweepKey = document.getElementById("sweepParameter").value;
+    document.getElementById("sweepUnit").textContent = getSelectedOptionText(`${sweepKey}Unit`);
+    ["sweepStart", "sweepStop"].forEach(fieldId => document.getElementById(fieldId).dataset.unitSelect = `${sweepKey}Unit`);
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const sweepSelect = document.getElementById("sweepParameter");
+    INPUT_FIELD_CONFIG.forEach(config => sweepSelect.add(new Option(getFieldLabel(config.id), config.id)));
+    sweepSelect.addEventListener("change", updateSweepUnitLabel);
+    INPUT_FIELD_CONFIG.forEach(config => {
+        document.getElementById(config.unitId).addEventListener("change", updateSweepUnitLabel);
+    });
+    updateSweepUnitLabel();
+
+    const outputSelect = document.getElementById("analysisOutput");
+    RESULT_CATEGORIES.forEach(category => {
+        const group = document.createElement("optgroup");
+        group.label = category.title;
+        category.items
+            .filter(item => item.unit !== "text")
+            .forEach(item => group.appendChild(new Option(item.label, item.key)));
+        outputSelect.appendChild(group);
+    });
+    outputSelect.value = "outputVoltageRipple";
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { performParameterSweep, performCornerAnalysis, performMonteCarloAnalysis });
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+// Command-line front end for the headless calculation core
+import { readFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import {
+    CALCULATION_PARAMETER_KEYS, NETWORK_VARIABLES, TOPOLOGIES,
+    calculate, collectResultValues, formatOutputValue, getParameterUnit, getTopology,
+    parseEngineeringInput, parseEngineeringValue
+} from "../core/index.js";
+
+// CLI Constants
+const EXIT_VALIDATION_ERRORS = 1;
+const EXIT_USAGE_ERROR = 2;
+
+const OPTION_ALIASES = {
+    "--rectifier": "rectifierType",
+    "--topology": "topology"
+};
+
+const USAGE = `Usage: webcal [options] [--<parameter> <value> ...]
+
+Solves a converter design and prints the results or validation errors.
+
+Options:
+  --input <file>       read parameters from a JSON file ("-" for stdin); command-line parameters override it
+  --topology <id>      ${Object.keys(TOPOLOGIES).join(", ")} (default buck)
+  --rectifier <type>   diode or synchronous (default diode)
+  --series <name>      snap computed L and C to E6, E12 or E24
+  --format <format>    text or json (default text)
+  --help               show this message
+
+Parameters, in SI units (ripple ratios as fractions, e.g. 0.3 for 30%):
+  ${CALCULATION_PARAMETER_KEYS.join(", ")}
+Values take SI prefixes and units, e.g. --inductance 4.7uH --switchingFrequency 500k --currentRippleRatio 30%.
+
+The JSON input is either a flat object of parameters, e.g. {"inputVoltage": 12, "topology": "buck"},
+or a design file saved by the web page.
+
+Exit status: 0 on success, ${EXIT_VALIDATION_ERRORS} when the design has validation errors, ${EXIT_USAGE_ERROR} on usage errors.`;
+
+class UsageError extends Error {}
+
+// Input Parsing
+function parseNumber(key, text) {
+    try {
+        return parseEngineeringValue(text ?? "", getParameterUnit(key));
+    } catch (error) {
+        throw new UsageError(`--${key} expects a number: ${error.message}`);
+    }
+}
+
+// Design fields are stored as typed; a bare number is scaled by its unit multiplier, unreadable text is skipped
+function parseDesignField(text, unitType, unitMultiplier) {
+    try {
+        const { number, multiplier } = parseEngineeringInput(text ?? "", unitType);
+        return number * (multiplier ?? unitMultiplier);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Design files store each field as typed together with its unit multiplier
+function convertDesignFile(design) {
+    const parameters = {};
+    Object.entries(design.inputs).forEach(([key, input]) => {
+        const value = parseDesignField(input.value, getParameterUnit(key), parseFloat(input.unit) || 1);
+        if (value !== null) parameters[key] = value;
+    });
+
+    const dutyCycle = parseDesignField(design.dutyCycle, "ratio", 1);
+    if (dutyCycle !== null) parameters.dutyCycle = dutyCycle;
+
+    const { topology, rectifierType, standardValueSeries } = design.selections || {};
+    if (topology) parameters.topology = topology;
+    if (rectifierType) parameters.rectifierType = rectifierType;
+    return { parameters, standardSeries: standardValueSeries };
+}
+
+export function parseJsonInput(text, source) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`${source} is not valid JSON: ${error.message}`);
+    }
+    if (!content || typeof content !== "object" || Array.isArray(content)) {
+        throw new UsageError(`${source} must contain a JSON object`);
+    }
+    if (typeof content.inputs === "object" && content.inputs !== null) return convertDesignFile(content);
+
+    const { standardSeries, ...parameters } = content;
+    return { parameters, standardSeries };
+}
+
+export function parseCommandLine(argv, readInput = (path) => readFileSync(path === "-" ? 0 : path, "utf8")) {
+    const options = { parameters: {}, standardSeries: undefined, format: "text", help: false };
+    const argumentParameters = {};
+
+    for (let index = 0; index < argv.length; index++) {
+        const [flag, inlineValue] = argv[index].split(/=(.*)/s);
+        const takeValue = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (index + 1 >= argv.length) throw new UsageError(`${flag} expects a value`);
+            return argv[++index];
+        };
+
+        if (flag === "--help" || flag === "-h") {
+            options.help = true;
+        } else if (flag === "--input") {
+            const path = takeValue();
+            let text;
+            try {
+                text = readInput(path);
+            } catch (error) {
+                throw new UsageError(`Cannot read ${path}: ${error.message}`);
+            }
+            const input = parseJsonInput(text, path === "-" ? "stdin" : path);
+            Object.assign(options.parameters, input.parameters);
+            options.standardSeries = input.standardSeries ?? options.standardSeries;
+        } else if (flag === "--format") {
+            options.format = takeValue();
+            if (!["text", "json"].includes(options.format)) throw new UsageError(`--format expects text or json, got "${options.format}"`);
+        } else if (flag === "--series") {
+            options.standardSeries = takeValue();
+        } else if (OPTION_ALIASES[flag]) {
+            argumentParameters[OPTION_ALIASES[flag]] = takeValue();
+        } else if (flag.startsWith("--") && CALCULATION_PARAMETER_KEYS.includes(flag.slice(2))) {
+            const key = flag.slice(2);
+            argumentParameters[key] = parseNumber(key, takeValue());
+        } else {
+            throw new UsageError(`Unknown option ${flag}`);
+        }
+    }
+
+    Object.assign(options.parameters, argumentParameters);
+    return options;
+}
+
+// Output Formatting
+export function formatCalculationJson(calculation) {
+    const { parameters, validation, networkSolution, notes } = calculation;
+    return JSON.stringify({
+        topology: parameters.topology,
+        rectifierType: parameters.rectifierType,
+        results: validation.errors.length === 0 ? collectResultValues(calculation) : {},
+        warnings: validation.warnings,
+        errors: validation.errors,
+        notes,
+        unresolved: networkSolution.unresolved
+    }, null, 2);
+}
+
+export function formatCalculationText(calculation) {
+    const { parameters, validation, networkSolution, notes } = calculation;
+    const topology = getTopology(parameters.topology);
+    const results = collectResultValues(calculation);
+    const lines = [`${topology.label} converter (${parameters.rectifierType} rectifier)`, ""];
+
+    const appendList = (title, items) => {
+        if (items.length === 0) return;
+        lines.push(title, ...items.map(item => `  - ${item}`), "");
+    };
+    appendList("Validation errors:", validation.errors);
+    appendList("Design warnings:", validation.warnings);
+    appendList("Notes:", notes);
+
+    if (validation.errors.length === 0) {
+        topology.resultCategories.forEach(category => {
+            const items = category.items.filter(item => results[item.key] !== undefined && results[item.key] !== null);
+            if (items.length === 0) return;
+
+            const labelWidth = Math.max(...items.map(item => item.label.length));
+            lines.push(category.title.replace(/^\S+\s/, ""));
+            items.forEach(item => lines.push(`  ${item.label.padEnd(labelWidth)}  ${formatOutputValue(results[item.key], item.unit)}`));
+            lines.push("");
+        });
+
+        if (networkSolution.unresolved.length > 0) {
+            const symbols = networkSolution.unresolved.map(key => NETWORK_VARIABLES[key].symbol).join(", ");
+            lines.push(`Under-determined: ${symbols} cannot be resolved from the entered parameters.`, "");
+        }
+    }
+    return lines.join("\n").trimEnd() + "\n";
+}
+
+// Entry Point
+export function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    try {
+        const options = parseCommandLine(argv);
+        if (options.help) {
+            io.stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+
+        let calculation;
+        try {
+            calculation = calculate(options.parameters, { standardSeries: options.standardSeries });
+        } catch (error) {
+            // The core only throws for malformed parameter sets
+            throw new UsageError(error.message);
+        }
+        io.stdout.write(options.format === "json" ? `${formatCalculationJson(calculation)}\n` : formatCalculationText(calculation));
+        return calculation.validation.errors.length > 0 ? EXIT_VALIDATION_ERRORS : 0;
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.stderr.write(`webcal: ${error.message}\nRun webcal --help for usage.\n`);
+        return EXIT_USAGE_ERROR;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,383 @@
+import { complexAdd, complexDivide, complexMagnitude, complexMultiply, complexNumber, complexParallel, complexPhaseDegrees, formatOutputValue, getTopology, topologySupports } from "./core/index.js";
+import { attachPlotCursor, drawLinePlot } from "./plotting.js";
+import { getInputValue, lastCalculation } from "./ิbuck.js";
+
+// Compensation Constants
+const DEFAULT_PHASE_MARGIN = 60; // degrees
+const DEFAULT_RAMP_AMPLITUDE = 1; // V, PWM ramp peak-to-peak
+const DEFAULT_CURRENT_SENSE_GAIN = 0.1; // V/A, peak-current-mode sense gain Ri
+const DEFAULT_FEEDBACK_RESISTOR = 10000; // Ω, upper divider resistor R1
+const BODE_POINT_COUNT = 400;
+
+export const BODE_CANVAS_IDS = ["bodeMagnitudePlot", "bodePhasePlot"];
+
+let lastCompensation = null; // Most recent compensator design, reused by exports
+
+// Power Stage Models
+function createPowerStageModel(operatingPoint, compensationOptions) {
+    const {
+        inputVoltage, outputVoltage, outputCurrent, switchingFrequency,
+        inductance, capacitance, dutyCycle
+    } = operatingPoint;
+    const requiredValues = [inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance, capacitance, dutyCycle];
+    if (requiredValues.some(value => value === null || value === undefined || !Number.isFinite(value) || value <= 0)) return null;
+
+    const capacitorEsr = compensationOptions.capacitorEsr || 0;
+    const inductorDcr = compensationOptions.inductorDcr || 0;
+    const loadResistance = outputVoltage / outputCurrent;
+
+    const model = {
+        controlMode: compensationOptions.controlMode,
+        loadResistance,
+        doublePoleFrequency: 1 / (2 * Math.PI * Math.sqrt(inductance * capacitance)),
+        esrZeroFrequency: capacitorEsr > 0 ? 1 / (2 * Math.PI * capacitorEsr * capacitance) : null
+    };
+
+    if (compensationOptions.controlMode === "peakCurrent") {
+        // Ridley's sampled-data model with slope compensation at half the inductor down-slope
+        const senseGain = compensationOptions.currentSenseGain;
+        const period = 1 / switchingFrequency;
+        const offDutyCycle = 1 - dutyCycle;
+        const slopeFactor = 1 + 0.5 * outputVoltage / (inputVoltage - outputVoltage);
+        const damping = slopeFactor * offDutyCycle - 0.5;
+        const dcGain = loadResistance / senseGain / (1 + loadResistance * period / inductance * damping);
+        const dominantPole = 1 / (capacitance * loadResistance) + period / (inductance * capacitance) * damping;
+        const samplingFrequency = Math.PI / period;
+        const samplingQuality = 1 / (Math.PI * damping);
+
+        Object.assign(model, {
+            senseGain,
+            slopeFactor,
+            dcGain,
+            dominantPoleFrequency: dominantPole / (2 * Math.PI),
+            response: (frequency) => {
+                const s = complexNumber(0, 2 * Math.PI * frequency);
+                const esrZero = complexAdd(complexNumber(1), complexMultiply(s, complexNumber(capacitance * capacitorEsr)));
+                const pole = complexAdd(complexNumber(1), complexDivide(s, complexNumber(dominantPole)));
+                const sampling = complexAdd(
+                    complexAdd(complexNumber(1), complexDivide(s, complexNumber(samplingFrequency * samplingQuality))),
+                    complexDivide(complexMultiply(s, s), complexNumber(samplingFrequency ** 2))
+                );
+                return complexMultiply(complexNumber(dcGain), complexDivide(esrZero, complexMultiply(pole, sampling)));
+            }
+        });
+        return model;
+    }
+
+    // Voltage mode: modulator gain times the L-DCR / C-ESR / R divider
+    const rampAmplitude = compensationOptions.rampAmplitude;
+    Object.assign(model, {
+        rampAmplitude,
+        modulatorGain: inputVoltage / rampAmplitude,
+        response: (frequency) => {
+            const s = complexNumber(0, 2 * Math.PI * frequency);
+            const capacitorImpedance = complexAdd(complexNumber(capacitorEsr), complexDivide(complexNumber(1), complexMultiply(s, complexNumber(capacitance))));
+            const outputImpedance = complexParallel(complexNumber(loadResistance), capacitorImpedance);
+            const inductorImpedance = complexAdd(complexNumber(inductorDcr), complexMultiply(s, complexNumber(inductance)));
+            return complexMultiply(
+                complexNumber(inputVoltage / rampAmplitude),
+                complexDivide(outputImpedance, complexAdd(inductorImpedance, outputImpedance))
+            );
+        }
+    });
+    return model;
+}
+
+// Compensator Design (Venable K-factor method)
+function designCompensator(powerStage, compensationOptions) {
+    const { compensatorType, crossoverFrequency, phaseMargin, feedbackResistor } = compensationOptions;
+    const plantAtCrossover = powerStage.response(crossoverFrequency);
+    const plantPhase = unwrappedPhaseAt(powerStage.response, crossoverFrequency);
+    const requiredGain = 1 / complexMagnitude(plantAtCrossover);
+    const designWarnings = [];
+
+    // Phase boost the compensator must add on top of its integrator
+    const requiredBoost = phaseMargin - plantPhase - 90;
+    const maximumBoost = compensatorType === "typeIII" ? 170 : 85;
+    const phaseBoost = Math.min(Math.max(requiredBoost, 5), maximumBoost);
+    if (requiredBoost > maximumBoost) {
+        designWarnings.push(
+            `${compensatorType === "typeIII" ? "Type III" : "Type II"} compensation cannot supply the required ` +
+            `${requiredBoost.toFixed(1)}° phase boost; phase margin will fall short of ${phaseMargin}°` +
+            (compensatorType === "typeII" ? ". Consider Type III." : "")
+        );
+    }
+
+    const boostRadians = phaseBoost * Math.PI / 180;
+    const angularCrossover = 2 * Math.PI * crossoverFrequency;
+    const components = { R1: feedbackResistor };
+
+    if (compensatorType === "typeIII") {
+        const kFactor = Math.tan(boostRadians / 4 + Math.PI / 4) ** 2;
+        components.C2 = 1 / (angularCrossover * requiredGain * feedbackResistor);
+        components.C1 = components.C2 * (kFactor - 1);
+        components.R2 = Math.sqrt(kFactor) / (angularCrossover * components.C1);
+        components.R3 = feedbackResistor / (kFactor - 1);
+        components.C3 = 1 / (angularCrossover * Math.sqrt(kFactor) * components.R3);
+        return { kFactor, phaseBoost, requiredGain, plantPhase, components, designWarnings };
+    }
+
+    const kFactor = Math.tan(boostRadians / 2 + Math.PI / 4);
+    components.C2 = 1 / (angularCrossover * requiredGain * kFactor * feedbackResistor);
+    components.C1 = components.C2 * (kFactor ** 2 - 1);
+    components.R2 = kFactor / (angularCrossover * components.C1);
+    return { kFactor, phaseBoost, requiredGain, plantPhase, components, designWarnings };
+}
+
+// Error amplifier response Zf / Zin built from the actual R and C values
+function compensatorResponse(components, frequency) {
+    const s = complexNumber(0, 2 * Math.PI * frequency);
+    const capacitorImpedance = (capacitance) => complexDivide(complexNumber(1), complexMultiply(s, complexNumber(capacitance)));
+
+    const feedbackImpedance = complexParallel(
+        complexAdd(complexNumber(components.R2), capacitorImpedance(components.C1)),
+        capacitorImpedance(components.C2)
+    );
+    const inputImpedance = components.R3 !== undefined
+        ? complexParallel(complexNumber(components.R1), complexAdd(complexNumber(components.R3), capacitorImpedance(components.C3)))
+        : complexNumber(components.R1);
+
+    return complexDivide(feedbackImpedance, inputImpedance);
+}
+
+// Phase followed up from low frequency so lags beyond -180° are kept
+function unwrappedPhaseAt(response, frequency, pointCount = 200) {
+    const startFrequency = frequency / 1e4;
+    const phases = Array.from({ length: pointCount }, (_, index) =>
+        complexPhaseDegrees(response(startFrequency * 1e4 ** (index / (pointCount - 1)))));
+    const unwrapped = unwrapPhase(phases);
+    return unwrapped[unwrapped.length - 1];
+}
+
+function unwrapPhase(phases) {
+    const unwrapped = [phases[0]];
+    for (let index = 1; index < phases.length; index++) {
+        let phase = phases[index];
+        while (phase - unwrapped[index - 1] > 180) phase -= 360;
+        while (phase - unwrapped[index - 1] < -180) phase += 360;
+        unwrapped.push(phase);
+    }
+    return unwrapped;
+}
+
+function analyzeLoopResponse(powerStage, components, switchingFrequency) {
+    const minimumFrequency = Math.min(10, powerStage.doublePoleFrequency / 100);
+    const maximumFrequency = switchingFrequency;
+    const frequencies = Array.from({ length: BODE_POINT_COUNT }, (_, index) =>
+        minimumFrequency * (maximumFrequency / minimumFrequency) ** (index / (BODE_POINT_COUNT - 1)));
+
+    const plant = frequencies.map(frequency => powerStage.response(frequency));
+    const compensator = frequencies.map(frequency => compensatorResponse(components, frequency));
+    const loop = plant.map((value, index) => complexMultiply(value, compensator[index]));
+
+    const toDecibels = (values) => values.map(value => 20 * Math.log10(complexMagnitude(value)));
+    const toPhase = (values) => unwrapPhase(values.map(complexPhaseDegrees));
+    const bode = {
+        frequencies,
+        plantMagnitude: toDecibels(plant),
+        plantPhase: toPhase(plant),
+        compensatorMagnitude: toDecibels(compensator),
+        compensatorPhase: toPhase(compensator),
+        loopMagnitude: toDecibels(loop),
+        loopPhase: toPhase(loop)
+    };
+
+    // Log-frequency interpolation of the first crossing of a threshold
+    const findCrossing = (values, threshold) => {
+        for (let index = 1; index < values.length; index++) {
+            if ((values[index - 1] - threshold) * (values[index] - threshold) <= 0 && values[index - 1] !== values[index]) {
+                const ratio = (threshold - values[index - 1]) / (values[index] - values[index - 1]);
+                const logFrequency = Math.log10(frequencies[index - 1]) +
+                    ratio * (Math.log10(frequencies[index]) - Math.log10(frequencies[index - 1]));
+                return { frequency: 10 ** logFrequency, index, ratio };
+            }
+        }
+        return null;
+    };
+    const interpolate = (values, crossing) =>
+        values[crossing.index - 1] + crossing.ratio * (values[crossing.index] - values[crossing.index - 1]);
+
+    const gainCrossing = findCrossing(bode.loopMagnitude, 0);
+    const phaseCrossing = findCrossing(bode.loopPhase, -180);
+
+    return {
+        bode,
+        crossoverFrequency: gainCrossing ? gainCrossing.frequency : null,
+        phaseMargin: gainCrossing ? 180 + interpolate(bode.loopPhase, gainCrossing) : null,
+        phaseCrossoverFrequency: phaseCrossing ? phaseCrossing.frequency : null,
+        gainMargin: phaseCrossing ? -interpolate(bode.loopMagnitude, phaseCrossing) : Infinity
+    };
+}
+
+// Display Functions
+function readCompensationOptions(calculationParameters, switchingFrequency) {
+    const readPlainValue = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value <= 0 ? fallback : value;
+    };
+    const crossoverFrequency = getInputValue("targetCrossoverFrequency", "targetCrossoverFrequencyUnit");
+
+    return {
+        controlMode: document.getElementById("controlMode").value,
+        compensatorType: document.getElementById("compensatorType").value,
+        crossoverFrequency: crossoverFrequency !== null && crossoverFrequency > 0 ? crossoverFrequency : switchingFrequency / 10,
+        phaseMargin: readPlainValue("targetPhaseMargin", DEFAULT_PHASE_MARGIN),
+        rampAmplitude: getInputValue("rampAmplitude", "rampAmplitudeUnit") || DEFAULT_RAMP_AMPLITUDE,
+        currentSenseGain: readPlainValue("currentSenseGain", DEFAULT_CURRENT_SENSE_GAIN),
+        feedbackResistor: getInputValue("feedbackResistor", "feedbackResistorUnit") || DEFAULT_FEEDBACK_RESISTOR,
+        capacitorEsr: calculationParameters.capacitorEsr,
+        inductorDcr: calculationParameters.inductorDcr
+    };
+}
+
+function performCompensationDesign() {
+    const resultsContainer = document.getElementById("compensationResults");
+    const plotContainer = document.getElementById("bodePlots");
+
+    const showInfo = (message) => {
+        lastCompensation = null;
+        plotContainer.style.display = "none";
+        resultsContainer.innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> ${message}
+          </div>`;
+    };
+
+    if (lastCalculation === null || lastCalculation.validation.errors.length > 0) {
+        showInfo("Run a valid calculation first; the compensator is designed around its solved power stage.");
+        return;
+    }
+
+    const { operatingPoint, parameters } = lastCalculation;
+    if (!topologySupports(parameters, "compensation")) {
+        showInfo(`The compensator uses the buck control-to-output model; ${getTopology(parameters.topology).label} is not supported yet.`);
+        return;
+    }
+
+    const compensationOptions = readCompensationOptions(parameters, operatingPoint.switchingFrequency);
+    const powerStage = createPowerStageModel(operatingPoint, compensationOptions);
+    if (powerStage === null) {
+        showInfo("The compensator needs Vin, Vout, Iout, Fs, L, C and D from the calculation.");
+        return;
+    }
+
+    const design = designCompensator(powerStage, compensationOptions);
+    const loopAnalysis = analyzeLoopResponse(powerStage, design.components, operatingPoint.switchingFrequency);
+    lastCompensation = { options: compensationOptions, powerStage, design, loopAnalysis };
+    renderCompensationResults(lastCompensation);
+}
+
+function renderCompensationResults({ options, powerStage, design, loopAnalysis }) {
+    let htmlContent = "";
+
+    const designWarnings = [...design.designWarnings];
+    if (loopAnalysis.phaseMargin !== null && loopAnalysis.phaseMargin < 45) {
+        designWarnings.push(`Phase margin ${loopAnalysis.phaseMargin.toFixed(1)}° is below 45°`);
+    }
+    if (loopAnalysis.gainMargin < 6) {
+        designWarnings.push(`Gain margin ${loopAnalysis.gainMargin.toFixed(1)} dB is below 6 dB`);
+    }
+    if (options.crossoverFrequency > lastCalculation.operatingPoint.switchingFrequency / 5) {
+        designWarnings.push("Crossover above Fs/5 is usually too close to the switching frequency");
+    }
+
+    if (designWarnings.length > 0) {
+        htmlContent += '<div class="alert alert-warning">';
+        htmlContent += '<strong>⚠️ Loop Warnings:</strong><ul style="margin: 10px 0; padding-left: 20px;">';
+        designWarnings.forEach(warning => htmlContent += `<li>${warning}</li>`);
+        htmlContent += '</ul></div>';
+    }
+
+    const categories = [
+        {
+            title: "🔌 Power Stage",
+            items: [
+                { label: "LC Double Pole (f0)", value: formatOutputValue(powerStage.doublePoleFrequency, "Hz") },
+                { label: "ESR Zero (fesr)", value: powerStage.esrZeroFrequency ? formatOutputValue(powerStage.esrZeroFrequency, "Hz") : "N/A" },
+                powerStage.controlMode === "peakCurrent"
+                    ? { label: "Dominant Pole (fp)", value: formatOutputValue(powerStage.dominantPoleFrequency, "Hz") }
+                    : { label: "Modulator Gain (Vin/Vramp)", value: formatOutputValue(powerStage.modulatorGain, "ratio") },
+                powerStage.controlMode === "peakCurrent"
+                    ? { label: "Slope Compensation Factor (mc)", value: formatOutputValue(powerStage.slopeFactor, "ratio") }
+                    : { label: "Ramp Amplitude (Vramp)", value: formatOutputValue(powerStage.rampAmplitude, "V") }
+            ]
+        },
+        {
+            title: design.components.R3 !== undefined ? "🎛️ Type III Compensator" : "🎛️ Type II Compensator",
+            items: [
+                { label: "K Factor", value: formatOutputValue(design.kFactor, "ratio") },
+                { label: "Phase Boost", value: `${design.phaseBoost.toFixed(1)}°` },
+                ...Object.keys(design.components).map(name => ({
+                    label: name,
+                    value: formatOutputValue(design.components[name], name.startsWith("R") ? "Ω" : "F")
+                }))
+            ]
+        },
+        {
+            title: "📐 Loop Performance",
+            items: [
+                { label: "Crossover Frequency (fc)", value: loopAnalysis.crossoverFrequency ? formatOutputValue(loopAnalysis.crossoverFrequency, "Hz") : "N/A" },
+                { label: "Phase Margin", value: loopAnalysis.phaseMargin !== null ? `${loopAnalysis.phaseMargin.toFixed(1)}°` : "N/A" },
+                { label: "Gain Margin", value: Number.isFinite(loopAnalysis.gainMargin) ? `${loopAnalysis.gainMargin.toFixed(1)} dB` : "∞" }
+            ]
+        }
+    ];
+
+    categories.forEach(category => {
+        htmlContent += `<div style="margin-bottom: 25px;">`;
+        htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">${category.title}</h4>`;
+        category.items.forEach(item => {
+            htmlContent += `
+              <div class="result-item">
+                <div class="result-label">${item.label}</div>
+                <div class="result-value">${item.value}</div>
+              </div>`;
+        });
+        htmlContent += `</div>`;
+    });
+
+    document.getElementById("compensationResults").innerHTML = htmlContent;
+    document.getElementById("bodePlots").style.display = "block";
+
+    const { bode } = loopAnalysis;
+    const [magnitudeCanvas, phaseCanvas] = BODE_CANVAS_IDS.map(id => document.getElementById(id));
+    drawLinePlot(magnitudeCanvas, {
+        title: "Magnitude",
+        x: bode.frequencies,
+        logX: true,
+        xUnit: "Hz",
+        yUnit: "dB",
+        series: [
+            { label: "Plant", values: bode.plantMagnitude, color: "#c3cfe2", lineWidth: 1.5 },
+            { label: "Compensator", values: bode.compensatorMagnitude, color: "#4CAF50", lineWidth: 1.5 },
+            { label: "Loop", values: bode.loopMagnitude, color: "#667eea" }
+        ],
+        markers: [{ y: 0, label: "0 dB", color: "#888" }]
+    });
+    drawLinePlot(phaseCanvas, {
+        title: "Phase",
+        x: bode.frequencies,
+        logX: true,
+        xUnit: "Hz",
+        yUnit: "°",
+        series: [
+            { label: "Plant", values: bode.plantPhase, color: "#c3cfe2", lineWidth: 1.5 },
+            { label: "Compensator", values: bode.compensatorPhase, color: "#4CAF50", lineWidth: 1.5 },
+            { label: "Loop", values: bode.loopPhase, color: "#e91e63" }
+        ],
+        markers: [{ y: -180, label: "-180°", color: "#888" }]
+    });
+
+    const cursorReadout = document.getElementById("bodeCursor");
+    cursorReadout.textContent = "Move the cursor over a plot to read loop gain and phase.";
+    attachPlotCursor([magnitudeCanvas, phaseCanvas], (sampleIndex) => {
+        cursorReadout.textContent = [
+            `f = ${formatOutputValue(bode.frequencies[sampleIndex], "Hz")}`,
+            `|T| = ${bode.loopMagnitude[sampleIndex].toFixed(1)} dB`,
+            `∠T = ${bode.loopPhase[sampleIndex].toFixed(1)}°`
+        ].join("   ");
+    });
+}
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { performCompensationDesign });
@@ -0,0 +1,330 @@
+import { CALCULATION_TOLERANCE, formatOutputValue, getRectifierType, getTopology, parseEngineeringValue, topologySupports } from "./core/index.js";
+import { lastCalculation } from "./ิbuck.js";
+
+// Component Constants
+const CAPACITOR_VOLTAGE_DERATING = 0.8; // Vout must stay below 80% of the rated voltage
+const COMPONENT_SUGGESTION_LIMIT = 8;
+const COMPONENT_LIBRARY_STORAGE_KEY = "webcal.componentLibrary";
+
+// Generic sample parts; import a JSON or CSV library to use real part numbers
+const SAMPLE_COMPONENT_LIBRARY = {
+    inductors: [
+        { partNumber: "SAMPLE-L-1R0-15A", inductance: 1.0e-6, dcr: 0.004, saturationCurrent: 18, rmsCurrent: 15 },
+        { partNumber: "SAMPLE-L-2R2-10A", inductance: 2.2e-6, dcr: 0.008, saturationCurrent: 12, rmsCurrent: 10 },
+        { partNumber: "SAMPLE-L-3R3-8A", inductance: 3.3e-6, dcr: 0.012, saturationCurrent: 10, rmsCurrent: 8 },
+        { partNumber: "SAMPLE-L-4R7-6A", inductance: 4.7e-6, dcr: 0.018, saturationCurrent: 7.5, rmsCurrent: 6 },
+        { partNumber: "SAMPLE-L-6R8-5A", inductance: 6.8e-6, dcr: 0.025, saturationCurrent: 6.2, rmsCurrent: 5 },
+        { partNumber: "SAMPLE-L-10-4A", inductance: 10e-6, dcr: 0.036, saturationCurrent: 5, rmsCurrent: 4 },
+        { partNumber: "SAMPLE-L-10-8A", inductance: 10e-6, dcr: 0.015, saturationCurrent: 9, rmsCurrent: 8 },
+        { partNumber: "SAMPLE-L-15-3A", inductance: 15e-6, dcr: 0.055, saturationCurrent: 3.8, rmsCurrent: 3.2 },
+        { partNumber: "SAMPLE-L-22-3A", inductance: 22e-6, dcr: 0.07, saturationCurrent: 3.4, rmsCurrent: 2.8 },
+        { partNumber: "SAMPLE-L-33-2A", inductance: 33e-6, dcr: 0.11, saturationCurrent: 2.6, rmsCurrent: 2.1 },
+        { partNumber: "SAMPLE-L-47-2A", inductance: 47e-6, dcr: 0.15, saturationCurrent: 2.2, rmsCurrent: 1.8 },
+        { partNumber: "SAMPLE-L-100-1A", inductance: 100e-6, dcr: 0.32, saturationCurrent: 1.4, rmsCurrent: 1.1 }
+    ],
+    capacitors: [
+        { partNumber: "SAMPLE-C-X7R-4U7-25V", capacitance: 4.7e-6, esr: 0.005, voltageRating: 25, rippleCurrentRating: 3 },
+        { partNumber: "SAMPLE-C-X7R-10U-16V", capacitance: 10e-6, esr: 0.004, voltageRating: 16, rippleCurrentRating: 3.5 },
+        { partNumber: "SAMPLE-C-X7R-10U-25V", capacitance: 10e-6, esr: 0.004, voltageRating: 25, rippleCurrentRating: 3.5 },
+        { partNumber: "SAMPLE-C-X5R-22U-6V3", capacitance: 22e-6, esr: 0.003, voltageRating: 6.3, rippleCurrentRating: 4 },
+        { partNumber: "SAMPLE-C-X5R-22U-16V", capacitance: 22e-6, esr: 0.003, voltageRating: 16, rippleCurrentRating: 4 },
+        { partNumber: "SAMPLE-C-X5R-47U-6V3", capacitance: 47e-6, esr: 0.003, voltageRating: 6.3, rippleCurrentRating: 4.5 },
+        { partNumber: "SAMPLE-C-X5R-100U-6V3", capacitance: 100e-6, esr: 0.002, voltageRating: 6.3, rippleCurrentRating: 5 },
+        { partNumber: "SAMPLE-C-POLY-100U-16V", capacitance: 100e-6, esr: 0.015, voltageRating: 16, rippleCurrentRating: 2.8 },
+        { partNumber: "SAMPLE-C-POLY-220U-10V", capacitance: 220e-6, esr: 0.012, voltageRating: 10, rippleCurrentRating: 3.2 },
+        { partNumber: "SAMPLE-C-POLY-330U-6V3", capacitance: 330e-6, esr: 0.009, voltageRating: 6.3, rippleCurrentRating: 3.6 },
+        { partNumber: "SAMPLE-C-ALU-470U-25V", capacitance: 470e-6, esr: 0.08, voltageRating: 25, rippleCurrentRating: 1.2 },
+        { partNumber: "SAMPLE-C-ALU-1000U-16V", capacitance: 1000e-6, esr: 0.05, voltageRating: 16, rippleCurrentRating: 1.8 }
+    ]
+};
+
+// Component Library
+function loadComponentLibrary() {
+    try {
+        const storedLibrary = JSON.parse(localStorage.getItem(COMPONENT_LIBRARY_STORAGE_KEY));
+        if (storedLibrary && Array.isArray(storedLibrary.inductors) && Array.isArray(storedLibrary.capacitors)) {
+            // Libraries stored by earlier versions may hold parts without ratings
+            const keepValidParts = (records, normalize) => records.flatMap(record => {
+                try {
+                    return [normalize(record)];
+                } catch (error) {
+                    return [];
+                }
+            });
+            return {
+                inductors: keepValidParts(storedLibrary.inductors, normalizeInductor),
+                capacitors: keepValidParts(storedLibrary.capacitors, normalizeCapacitor)
+            };
+        }
+    } catch (error) {
+        // Fall back to the sample library when storage is unavailable or corrupt
+    }
+    return SAMPLE_COMPONENT_LIBRARY;
+}
+
+// Returns the parts and a description of every row that was skipped
+function parseComponentLibrary(fileText, fileName) {
+    if (fileName.toLowerCase().endsWith(".csv")) {
+        return parseComponentCsv(fileText);
+    }
+
+    const parsedLibrary = JSON.parse(fileText);
+    const library = { inductors: [], capacitors: [] };
+    const skippedRows = [];
+    const collectParts = (records, normalize, parts, listName) => (records || []).forEach((record, index) => {
+        try {
+            parts.push(normalize(record));
+        } catch (error) {
+            skippedRows.push(`${listName}[${index}]${record?.partNumber ? ` (${record.partNumber})` : ""}: ${error.message}`);
+        }
+    });
+    collectParts(parsedLibrary.inductors, normalizeInductor, library.inductors, "inductors");
+    collectParts(parsedLibrary.capacitors, normalizeCapacitor, library.capacitors, "capacitors");
+    return { library, skippedRows };
+}
+
+// CSV columns: type,partNumber,value,dcr,saturationCurrent,rmsCurrent,esr,voltageRating,rippleCurrentRating
+function parseComponentCsv(fileText) {
+    const rows = fileText.split(/\r?\n/).map(row => row.trim()).filter(row => row.length > 0);
+    const header = rows.shift().split(",").map(column => column.trim());
+    const library = { inductors: [], capacitors: [] };
+    const skippedRows = [];
+
+    rows.forEach((row, index) => {
+        const cells = row.split(",").map(cell => cell.trim());
+        const record = {};
+        header.forEach((column, columnIndex) => record[column] = cells[columnIndex]);
+
+        // Row numbers count the header as row 1, as in a spreadsheet
+        const rowName = `row ${index + 2}${record.partNumber ? ` (${record.partNumber})` : ""}`;
+        const type = (record.type || "").toLowerCase();
+        try {
+            if (type === "inductor") {
+                library.inductors.push(normalizeInductor({ ...record, inductance: record.value }));
+            } else if (type === "capacitor") {
+                library.capacitors.push(normalizeCapacitor({ ...record, capacitance: record.value }));
+            } else {
+                throw new Error(`unknown type "${record.type || ""}"`);
+            }
+        } catch (error) {
+            skippedRows.push(`${rowName}: ${error.message}`);
+        }
+    });
+
+    return { library, skippedRows };
+}
+
+// Numbers are taken as SI values and text as engineering notation, e.g. "4.7uH" or "10u"
+function parseComponentValue(record, key, unitType, isOptional = false) {
+    const value = record[key];
+    if (value === undefined || value === null || value === "") {
+        if (isOptional) return 0;
+        throw new Error(`missing ${key}`);
+    }
+
+    let number = NaN;
+    if (typeof value === "number") {
+        number = value;
+    } else if (typeof value === "string") {
+        try {
+            number = parseEngineeringValue(value, unitType);
+        } catch (error) {
+            // Reported below with the column name
+        }
+    }
+    if (!Number.isFinite(number) || number < 0 || (!isOptional && number === 0)) {
+        throw new Error(`${key} "${value}" is not a valid ${unitType} value`);
+    }
+    return number;
+}
+
+function normalizePartNumber(record) {
+    const partNumber = String(record.partNumber ?? "").trim();
+    if (!partNumber) throw new Error("missing partNumber");
+    return partNumber;
+}
+
+// Throws for a missing part number, value or rating, so a part is never checked against an unknown limit
+function normalizeInductor(record) {
+    return {
+        partNumber: normalizePartNumber(record),
+        inductance: parseComponentValue(record, "inductance", "H"),
+        dcr: parseComponentValue(record, "dcr", "Ω", true),
+        saturationCurrent: parseComponentValue(record, "saturationCurrent", "A"),
+        rmsCurrent: parseComponentValue(record, "rmsCurrent", "A")
+    };
+}
+
+function normalizeCapacitor(record) {
+    return {
+        partNumber: normalizePartNumber(record),
+        capacitance: parseComponentValue(record, "capacitance", "F"),
+        esr: parseComponentValue(record, "esr", "Ω", true),
+        voltageRating: parseComponentValue(record, "voltageRating", "V"),
+        rippleCurrentRating: parseComponentValue(record, "rippleCurrentRating", "A")
+    };
+}
+
+// Part Selection
+// Checks each inductor at the conduction mode its own inductance gives, so DCM peaks are not underestimated
+function analyzeInductorCurrents(calculation, inductance) {
+    const topology = getTopology(calculation.parameters.topology);
+    const { inputVoltage, outputVoltage, switchingFrequency } = calculation.operatingPoint;
+    // The network solution holds the CCM duty cycle; the operating point may carry the DCM one
+    const continuousDutyCycle = calculation.networkSolution.values.dutyCycle ?? calculation.operatingPoint.dutyCycle;
+    const continuousRipple = (inputVoltage - outputVoltage) * continuousDutyCycle / (inductance * switchingFrequency);
+    const operatingValues = { ...calculation.operatingPoint, inductance, inductorCurrentRipple: continuousRipple, dutyCycle: continuousDutyCycle };
+    const operatingMode = topology.analyzeOperatingMode(operatingValues, getRectifierType(calculation.parameters));
+    const isDiscontinuous = operatingMode !== null && operatingMode.mode === "DCM";
+    const dutyCycle = isDiscontinuous ? operatingMode.dutyCycle : continuousDutyCycle;
+    const { inductorRmsSquared } = topology.calculateCurrentStresses(operatingValues, operatingMode, dutyCycle);
+
+    return {
+        partRipple: isDiscontinuous ? operatingMode.inductorCurrentRipple : continuousRipple,
+        peakCurrent: topology.deriveCurrents(operatingValues, operatingMode).peakSwitchCurrent,
+        rmsCurrent: Math.sqrt(inductorRmsSquared),
+        isDiscontinuous
+    };
+}
+
+function suggestComponents(calculation, library) {
+    const { operatingPoint } = calculation;
+    const {
+        inputVoltage, outputVoltage, outputCurrent, switchingFrequency, dutyCycle,
+        inductorCurrentRipple, outputVoltageRipple
+    } = operatingPoint;
+    const suggestions = { inductors: [], capacitors: [] };
+    const isKnown = (value) => value !== null && value !== undefined && Number.isFinite(value);
+
+    if ([inputVoltage, outputVoltage, outputCurrent, switchingFrequency, dutyCycle].every(isKnown)) {
+        suggestions.inductors = library.inductors.map(part => {
+            const { partRipple, peakCurrent, rmsCurrent, isDiscontinuous } = analyzeInductorCurrents(calculation, part.inductance);
+            const issues = [];
+            if (isKnown(inductorCurrentRipple) && partRipple > inductorCurrentRipple * (1 + CALCULATION_TOLERANCE)) {
+                issues.push(`ΔIL ${formatOutputValue(partRipple, "A")} exceeds target`);
+            }
+            if (peakCurrent > part.saturationCurrent) {
+                issues.push(`saturates: Ipk ${formatOutputValue(peakCurrent, "A")} > Isat ${formatOutputValue(part.saturationCurrent, "A")}`);
+            }
+            if (rmsCurrent > part.rmsCurrent) {
+                issues.push(`over-stressed: Irms ${formatOutputValue(rmsCurrent, "A")} > rating ${formatOutputValue(part.rmsCurrent, "A")}`);
+            }
+            return { part, partRipple, peakCurrent, rmsCurrent, isDiscontinuous, issues };
+        });
+    }
+
+    if (isKnown(inductorCurrentRipple) && isKnown(switchingFrequency) && isKnown(outputVoltage)) {
+        suggestions.capacitors = library.capacitors.map(part => {
+            const partRipple = inductorCurrentRipple / (8 * switchingFrequency * part.capacitance) + inductorCurrentRipple * part.esr;
+            // The design's capacitor RMS current covers DCM; ΔIL/√12 is the CCM value
+            const rippleCurrent = operatingPoint.outputCapacitorRmsCurrent ?? inductorCurrentRipple / Math.sqrt(12);
+            const issues = [];
+            if (isKnown(outputVoltageRipple) && partRipple > outputVoltageRipple * (1 + CALCULATION_TOLERANCE)) {
+                issues.push(`ΔVout ${formatOutputValue(partRipple, "V")} exceeds target`);
+            }
+            if (outputVoltage > part.voltageRating * CAPACITOR_VOLTAGE_DERATING) {
+                issues.push(`over-stressed: Vout above ${CAPACITOR_VOLTAGE_DERATING * 100}% of ${formatOutputValue(part.voltageRating, "V")} rating`);
+            }
+            if (rippleCurrent > part.rippleCurrentRating) {
+                issues.push(`over-stressed: ripple ${formatOutputValue(rippleCurrent, "A")} > rating ${formatOutputValue(part.rippleCurrentRating, "A")}`);
+            }
+            return { part, partRipple, rippleCurrent, issues };
+        });
+    }
+
+    // Passing parts first, then the closest to the requested value with the lowest loss
+    const rank = (candidates, valueKey, resistanceKey, requiredValue) => candidates.sort((a, b) =>
+        (a.issues.length - b.issues.length) ||
+        (isKnown(requiredValue)
+            ? Math.abs(Math.log(a.part[valueKey] / requiredValue)) - Math.abs(Math.log(b.part[valueKey] / requiredValue))
+            : 0) ||
+        (a.part[resistanceKey] - b.part[resistanceKey]));
+
+    rank(suggestions.inductors, "inductance", "dcr", operatingPoint.inductance);
+    rank(suggestions.capacitors, "capacitance", "esr", operatingPoint.capacitance);
+    return suggestions;
+}
+
+// Display Functions
+export function renderComponentSuggestions(calculation) {
+    const container = document.getElementById("componentSuggestions");
+    if (calculation === null || calculation.validation.errors.length > 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <p>Calculate a design to see matching inductors and capacitors from the library.</p>
+          </div>`;
+        return;
+    }
+
+    if (!topologySupports(calculation.parameters, "componentSelection")) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <p>Part suggestions use the buck ripple and stress equations; ${getTopology(calculation.parameters.topology).label} is not supported yet.</p>
+          </div>`;
+        return;
+    }
+
+    const library = loadComponentLibrary();
+    const suggestions = suggestComponents(calculation, library);
+    const renderRows = (candidates, describe) => candidates.slice(0, COMPONENT_SUGGESTION_LIMIT).map(candidate => `
+              <div class="result-item${candidate.issues.length > 0 ? " result-item-flagged" : ""}">
+                <div class="result-label">${candidate.part.partNumber}<div class="result-detail">${candidate.issues.length > 0 ? `⚠️ ${candidate.issues.join("; ")}` : "✅ Meets ripple and stress limits"}</div></div>
+                <div class="result-value">${describe(candidate)}</div>
+              </div>`).join("");
+
+    let htmlContent = `<p class="library-summary">Library: ${library.inductors.length} inductors, ${library.capacitors.length} capacitors${library === SAMPLE_COMPONENT_LIBRARY ? " (sample parts)" : ""}</p>`;
+
+    htmlContent += `<div style="margin-bottom: 25px;">`;
+    htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">🧲 Inductors</h4>`;
+    htmlContent += suggestions.inductors.length > 0
+        ? renderRows(suggestions.inductors, ({ part, peakCurrent, isDiscontinuous }) =>
+            `${formatOutputValue(part.inductance, "H")}${isDiscontinuous ? " (DCM)" : ""}, Ipk ${formatOutputValue(peakCurrent, "A")} / Isat ${formatOutputValue(part.saturationCurrent, "A")}`)
+        : '<div class="alert alert-info">Inductor selection needs Vin, Vout, Iout, Fs and D.</div>';
+    htmlContent += `</div>`;
+
+    htmlContent += `<div style="margin-bottom: 25px;">`;
+    htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">🔋 Capacitors</h4>`;
+    htmlContent += suggestions.capacitors.length > 0
+        ? renderRows(suggestions.capacitors, ({ part, partRipple }) =>
+            `${formatOutputValue(part.capacitance, "F")}, ΔVout ${formatOutputValue(partRipple, "V")}, ${formatOutputValue(part.voltageRating, "V")}`)
+        : '<div class="alert alert-info">Capacitor selection needs ΔIL, Fs and Vout.</div>';
+    htmlContent += `</div>`;
+
+    container.innerHTML = htmlContent;
+}
+
+function importComponentLibrary(fileInput) {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { library, skippedRows } = parseComponentLibrary(reader.result, file.name);
+            localStorage.setItem(COMPONENT_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+            renderComponentSuggestions(lastCalculation);
+            if (skippedRows.length > 0) {
+                const container = document.getElementById("componentSuggestions");
+                container.innerHTML = `
+              <div class="alert alert-warning">
+                <strong>⚠️ Import:</strong> ${file.name}: ${skippedRows.length} row${skippedRows.length > 1 ? "s" : ""} skipped; ${skippedRows.join("; ")}.
+              </div>` + container.innerHTML;
+            }
+        } catch (error) {
+            document.getElementById("componentSuggestions").innerHTML = `
+              <div class="alert alert-error">
+                <strong>❌ Import Failed:</strong> ${file.name} is not a valid JSON or CSV component library.
+              </div>`;
+        }
+        fileInput.value = "";
+    };
+    reader.readAsText(file);
+}
+
+function resetComponentLibrary() {
+    localStorage.removeItem(COMPONENT_LIBRARY_STORAGE_KEY);
+    renderComponentSuggestions(lastCalculation);
+}
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { importComponentLibrary, resetComponentLibrary });
@@ -0,0 +1,363 @@
+import { formatOutputValue } from "./format.js";
+import { NETWORK_VARIABLES } from "./network.js";
+import { PARASITIC_PARAMETER_KEYS, PARASITIC_PARAMETER_LABELS, PARASITIC_PARAMETER_UNITS, STRESS_PARAMETER_LABELS, STRESS_PARAMETER_UNITS } from "./parameters.js";
+import { DEFAULT_AMBIENT_TEMPERATURE, DEFAULT_JUNCTION_TEMPERATURE_LIMIT } from "./stress.js";
+import { getRectifierType, getTopology } from "./topologyRegistry.js";
+
+// Equations behind the loss, power and stress values every topology computes; topology modules add their own.
+// `symbols` resolves symbols that mean another value in this entry, `dependsOn` lists the inputs of values
+// that come from a topology's current waveform model rather than a closed-form equation.
+export const DERIVED_EQUATIONS = [
+    { key: "inputCurrent", label: "Input current", equation: "Iin = Pin / Vin" },
+    { key: "outputPower", label: "Output power", equation: "Pout = Vout * Iout" },
+    { key: "inputPower", label: "Input power", equation: "Pin = Pout (lossless), Pin = Pout + Ploss (with parasitics)" },
+    { key: "operatingMode", label: "Conduction mode", equation: "CCM when Iout > Icrit, DCM when Iout < Icrit" },
+    { key: "mosfetConductionLoss", label: "MOSFET conduction loss", equation: "Pcond = Isw,rms² * Rds(on)" },
+    { key: "switchingLoss", label: "Switching loss", equation: "Psw = 0.5 * Vsw * Fs * (Ion * tr + Ioff * tf)" },
+    { key: "gateDriveLoss", label: "Gate drive loss", equation: "Pgate = Qg * Vdrv * Fs (per driven FET)" },
+    { key: "rectifierLoss", label: "Rectifier loss", equation: "Prect = Vf * Id,avg (diode), Prect = Irect,rms² * Rsync (synchronous)" },
+    { key: "inductorCopperLoss", label: "Inductor DCR loss", equation: "PDCR = IL,rms² * DCR" },
+    { key: "capacitorEsrLoss", label: "Capacitor ESR loss", equation: "PESR = IC,rms² * ESR" },
+    { key: "totalPowerLoss", label: "Total power loss", equation: "Ploss = Pcond + Psw + Pgate + Prect + PDCR + PESR" },
+    { key: "efficiency", label: "Efficiency", equation: "η = Pout / (Pout + Ploss)" },
+    { key: "switchRmsCurrent", label: "Switch RMS current", dependsOn: ["dutyCycle", "correctedDutyCycle", "outputCurrent", "inductorCurrentRipple"] },
+    { key: "rectifierRmsCurrent", label: "Rectifier RMS current", dependsOn: ["dutyCycle", "correctedDutyCycle", "outputCurrent", "inductorCurrentRipple"] },
+    { key: "rectifierAverageCurrent", label: "Rectifier average current", dependsOn: ["dutyCycle", "correctedDutyCycle", "outputCurrent"] },
+    { key: "inductorRmsCurrent", label: "Inductor RMS current", dependsOn: ["dutyCycle", "correctedDutyCycle", "outputCurrent", "inductorCurrentRipple"] },
+    { key: "inductorPeakCurrent", label: "Inductor peak current", equation: "ILpk = √(IL,rms² - ΔIL² / 12) + ΔIL / 2 (CCM), ILpk = ΔIL (DCM)" },
+    { key: "outputCapacitorRmsCurrent", label: "Output capacitor ripple current", dependsOn: ["dutyCycle", "correctedDutyCycle", "outputCurrent", "inductorCurrentRipple"] },
+    { key: "inputCapacitorRmsCurrent", label: "Input capacitor ripple current", equation: "ICin,rms = √(Iin,rms² - Iin²)" },
+    { key: "switchVoltageStress", label: "Switch voltage stress", dependsOn: ["inputVoltage", "outputVoltage"] },
+    { key: "rectifierVoltageStress", label: "Rectifier voltage stress", dependsOn: ["inputVoltage", "outputVoltage"] },
+    { key: "inputCapacitorVoltageStress", label: "Input capacitor voltage stress", equation: "VCin = Vin" },
+    { key: "outputCapacitorVoltageStress", label: "Output capacitor voltage stress", equation: "VCout = Vout + ΔVout / 2" },
+    { key: "switchPowerDissipation", label: "Switch dissipation", equation: "Pdev = (Pcond + Psw) / Nswitch" },
+    { key: "switchCaseTemperature", label: "Case temperature", equation: "Tc = Ta + Pdev * Rθca" },
+    { key: "switchJunctionTemperature", label: "Junction temperature", equation: "Tj = Tc + Pdev * Rθjc" },
+    { key: "rectifierPowerDissipation", label: "Rectifier dissipation", equation: "Pdev = Prect / Nswitch" },
+    {
+        key: "rectifierCaseTemperature", label: "Rectifier case temperature", equation: "Tc = Ta + Pdev * Rθca",
+        symbols: { Pdev: "rectifierPowerDissipation", "Rθca": "rectifierCaseToAmbient" }
+    },
+    {
+        key: "rectifierJunctionTemperature", label: "Rectifier junction temperature", equation: "Tj = Tc + Pdev * Rθjc",
+        symbols: { Tc: "rectifierCaseTemperature", Pdev: "rectifierPowerDissipation", "Rθjc": "rectifierJunctionToCase" }
+    },
+    { key: "switchVoltageUtilization", label: "Voltage derating (limit 80%)", equation: "U = Vstress / Vrating" },
+    {
+        key: "rectifierVoltageUtilization", label: "Rectifier voltage derating (limit 80%)", equation: "U = Vstress / Vrating",
+        symbols: { Vstress: "rectifierVoltageStress", Vrating: "rectifierVoltageRating" }
+    },
+    {
+        key: "inputCapacitorVoltageUtilization", label: "Input capacitor voltage derating (limit 80%)", equation: "U = Vstress / Vrating",
+        symbols: { Vstress: "inputCapacitorVoltageStress", Vrating: "inputCapacitorVoltageRating" }
+    },
+    {
+        key: "outputCapacitorVoltageUtilization", label: "Output capacitor voltage derating (limit 80%)", equation: "U = Vstress / Vrating",
+        symbols: { Vstress: "outputCapacitorVoltageStress", Vrating: "outputCapacitorVoltageRating" }
+    }
+];
+
+// Symbols of the values outside the constraint network; the first key listed for a symbol wins
+const TRACE_SYMBOLS = {
+    inputCurrent: { symbol: "Iin", unit: "A" },
+    outputPower: { symbol: "Pout", unit: "W" },
+    inputPower: { symbol: "Pin", unit: "W" },
+    totalPowerLoss: { symbol: "Ploss", unit: "W" },
+    efficiency: { symbol: "η", unit: "%" },
+    criticalLoadCurrent: { symbol: "Icrit", unit: "A" },
+    criticalInductance: { symbol: "Lcrit", unit: "H" },
+    diodeConductionRatio: { symbol: "D2", unit: "ratio" },
+    correctedDutyCycle: { symbol: "D'", unit: "ratio" },
+    peakSwitchCurrent: { symbol: "Ipk", unit: "A" },
+    averageInductorCurrent: { symbol: "IL", unit: "A" },
+    mosfetConductionLoss: { symbol: "Pcond", unit: "W" },
+    switchingLoss: { symbol: "Psw", unit: "W" },
+    gateDriveLoss: { symbol: "Pgate", unit: "W" },
+    rectifierLoss: { symbol: "Prect", unit: "W" },
+    inductorCopperLoss: { symbol: "PDCR", unit: "W" },
+    capacitorEsrLoss: { symbol: "PESR", unit: "W" },
+    mosfetOnResistance: { symbol: "Rds(on)", unit: "Ω" },
+    switchRiseTime: { symbol: "tr", unit: "s" },
+    switchFallTime: { symbol: "tf", unit: "s" },
+    gateCharge: { symbol: "Qg", unit: "C" },
+    gateDriveVoltage: { symbol: "Vdrv", unit: "V" },
+    diodeForwardVoltage: { symbol: "Vf", unit: "V" },
+    syncOnResistance: { symbol: "Rsync", unit: "Ω" },
+    inductorDcr: { symbol: "DCR", unit: "Ω" },
+    capacitorEsr: { symbol: "ESR", unit: "Ω" },
+    equivalentSeriesResistance: { symbol: "ESR", unit: "Ω" },
+    switchRmsCurrent: { symbol: "Isw,rms", unit: "A" },
+    rectifierRmsCurrent: { symbol: "Irect,rms", unit: "A" },
+    rectifierAverageCurrent: { symbol: "Id,avg", unit: "A" },
+    inductorRmsCurrent: { symbol: "IL,rms", unit: "A" },
+    inductorPeakCurrent: { symbol: "ILpk", unit: "A" },
+    outputCapacitorRmsCurrent: { symbol: "IC,rms", unit: "A" },
+    inputCapacitorRmsCurrent: { symbol: "ICin,rms", unit: "A" },
+    inputCapacitorVoltageStress: { symbol: "VCin", unit: "V" },
+    outputCapacitorVoltageStress: { symbol: "VCout", unit: "V" },
+    switchPowerDissipation: { symbol: "Pdev", unit: "W" },
+    ambientTemperature: { symbol: "Ta", unit: "°C" },
+    switchCaseToAmbient: { symbol: "Rθca", unit: "°C/W" },
+    switchJunctionToCase: { symbol: "Rθjc", unit: "°C/W" },
+    switchCaseTemperature: { symbol: "Tc", unit: "°C" },
+    switchJunctionTemperature: { symbol: "Tj", unit: "°C" },
+    switchVoltageStress: { symbol: "Vstress", unit: "V" },
+    switchVoltageRating: { symbol: "Vrating", unit: "V" },
+    switchVoltageUtilization: { symbol: "U", unit: "%" },
+    rectifierPowerDissipation: { symbol: "Pdev", unit: "W" },
+    rectifierCaseTemperature: { symbol: "Tc", unit: "°C" },
+    rectifierJunctionTemperature: { symbol: "Tj", unit: "°C" },
+    rectifierVoltageUtilization: { symbol: "U", unit: "%" },
+    inputCapacitorVoltageUtilization: { symbol: "U", unit: "%" },
+    outputCapacitorVoltageUtilization: { symbol: "U", unit: "%" }
+};
+
+// Parameters the engine substitutes when left empty; parasitics count as zero once any is entered
+const PARAMETER_DEFAULTS = {
+    ambientTemperature: DEFAULT_AMBIENT_TEMPERATURE,
+    junctionTemperatureLimit: DEFAULT_JUNCTION_TEMPERATURE_LIMIT
+};
+
+// Values the discontinuous-conduction equations replace, and the equation each one follows.
+// The ripple charge ΔQ comes from the DCM current waveform, so it carries that waveform's inputs.
+const RIPPLE_CHARGE_DEPENDENCIES = ["dutyCycle", "diodeConductionRatio", "inductorCurrentRipple", "outputCurrent", "switchingFrequency"];
+const DISCONTINUOUS_EQUATIONS = {
+    dutyCycle: { equation: (topology) => splitEquation(findDerivedEquation(topology, "diodeConductionRatio").equation)[0] },
+    inductorCurrentRipple: { equation: (topology) => findConstraintEquation(topology, "inductorRipple") },
+    outputVoltageRipple: { equation: () => "ΔVout = ΔQ / C", dependsOn: RIPPLE_CHARGE_DEPENDENCIES },
+    capacitance: { equation: () => "C = ΔQ / ΔVout", dependsOn: RIPPLE_CHARGE_DEPENDENCIES },
+    voltageRippleRatio: { equation: (topology) => findConstraintEquation(topology, "voltageRippleRatio") },
+    currentRippleRatio: { equation: (topology) => findConstraintEquation(topology, "currentRippleRatio") }
+};
+
+// Case tags that pick one clause of an equation such as "Ipk = Iout + ΔIL / 2 (CCM), Ipk = ΔIL (DCM)"
+const EQUATION_CASES = {
+    CCM: (context) => !context.isDiscontinuous,
+    DCM: (context) => context.isDiscontinuous,
+    lossless: (context) => !context.hasLosses,
+    "with parasitics": (context) => context.hasLosses,
+    diode: (context) => context.rectifierType === "diode",
+    synchronous: (context) => context.rectifierType === "synchronous"
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function findDerivedEquation(topology, key) {
+    return topology.derivedEquations.find(entry => entry.key === key) ||
+        DERIVED_EQUATIONS.find(entry => entry.key === key) || null;
+}
+
+function findConstraintEquation(topology, constraintId) {
+    return topology.constraints.find(constraint => constraint.id === constraintId).equation;
+}
+
+// Clauses of a multi-part equation, split at commas that start another "symbol = ..." clause
+function splitEquation(equation) {
+    return equation.split(/,\s+(?=[^,=]+=)/);
+}
+
+// Symbol and unit of any value a trace can show
+function describeValue(key, resultUnits) {
+    const known = NETWORK_VARIABLES[key] || TRACE_SYMBOLS[key];
+    const unit = known?.unit || resultUnits[key] || PARASITIC_PARAMETER_UNITS[key] || STRESS_PARAMETER_UNITS[key] || "ratio";
+    const symbol = known?.symbol || PARASITIC_PARAMETER_LABELS[key] || STRESS_PARAMETER_LABELS[key] || key;
+    return { symbol, unit };
+}
+
+// Equation Substitution
+function createSymbolResolver(symbolOverrides = {}) {
+    const keysBySymbol = {};
+    [...Object.entries(NETWORK_VARIABLES), ...Object.entries(TRACE_SYMBOLS)].forEach(([key, { symbol }]) => {
+        if (!(symbol in keysBySymbol)) keysBySymbol[symbol] = key;
+    });
+    Object.assign(keysBySymbol, symbolOverrides);
+
+    // Longest symbols first so ΔVout is not read as Δ followed by Vout; neighbours must not extend the symbol
+    const alternatives = Object.keys(keysBySymbol).sort((a, b) => b.length - a.length).map(escapeRegExp).join("|");
+    const pattern = new RegExp(`(?<![\\w,'])(${alternatives})(?![\\w']|,\\w)`, "gu");
+    return { keysBySymbol, pattern };
+}
+
+function findSymbolKeys(text, resolver) {
+    return [...text.matchAll(resolver.pattern)].map(match => resolver.keysBySymbol[match[1]]);
+}
+
+function substituteSymbols(text, resolver, formatValue) {
+    return text.replace(resolver.pattern, (symbol) => formatValue(resolver.keysBySymbol[symbol]) ?? symbol);
+}
+
+// Keeps the clauses whose case tag matches the operating point and drops the tags
+function selectEquationClauses(equation, context) {
+    const clauses = splitEquation(equation).map(clause => {
+        const match = clause.match(/^(.*?)\s+\(([^()]+)\)$/);
+        return match && EQUATION_CASES[match[2]]
+            ? { text: match[1], applies: EQUATION_CASES[match[2]](context) }
+            : { text: clause, applies: true };
+    });
+    return clauses.filter(clause => clause.applies).map(clause => clause.text);
+}
+
+// Audit Trail
+/**
+ * Traces every entered, solved and derived value of a calculation back to its equation and inputs.
+ *
+ * @param {Object} calculation result of calculate or runCalculation
+ * @returns {Object} trace per value key: {key, symbol, value, unit, origin, label, equation, substitution,
+ *   dependencies, inputs}. `origin` is "entered", "default", "solved" (constraint network), "derived"
+ *   (post-solve equation or current model) or "snapped" (standard value); `dependencies` are the keys of the
+ *   values the equation reads and `inputs` the entered keys they ultimately come from.
+ */
+export function traceCalculation(calculation) {
+    const { parameters, networkSolution, computed } = calculation;
+    const topology = getTopology(parameters.topology);
+    const resultUnits = {};
+    topology.resultCategories.forEach(category => category.items.forEach(item => resultUnits[item.key] = item.unit));
+
+    const context = {
+        isDiscontinuous: computed.diodeConductionRatio !== undefined,
+        hasLosses: computed.totalPowerLoss !== undefined,
+        rectifierType: getRectifierType(parameters)
+    };
+    const defaults = { ...PARAMETER_DEFAULTS };
+    if (context.hasLosses) PARASITIC_PARAMETER_KEYS.forEach(key => defaults[key] = 0);
+
+    const values = { ...defaults };
+    Object.entries(parameters).forEach(([key, value]) => { if (typeof value === "number") values[key] = value; });
+    Object.entries(networkSolution.values).forEach(([key, value]) => { if (value !== null) values[key] = value; });
+    Object.assign(values, computed);
+    const isEntered = (key) => parameters[key] !== null && parameters[key] !== undefined;
+    const exactTraces = calculation.exactCalculation ? traceCalculation(calculation.exactCalculation) : null;
+    const traces = {};
+
+    const formatValue = (key) => {
+        if (values[key] === undefined || typeof values[key] !== "number") return null;
+        return formatOutputValue(values[key], describeValue(key, resultUnits).unit);
+    };
+
+    // Solves each equation clause for its left-hand symbol, or substitutes every symbol when the value
+    // was solved from an equation written for another variable
+    const substituteEquation = (key, clauses, resolver) => clauses.map(clause => {
+        const [leftSide, rightSide] = clause.split(/\s+=\s+(.*)/s);
+        if (rightSide === undefined) return substituteSymbols(clause, resolver, formatValue);
+
+        const leftSymbol = leftSide.trim();
+        const leftKey = describeValue(key, resultUnits).symbol === leftSymbol ? key : resolver.keysBySymbol[leftSymbol] ?? null;
+        if (leftKey === null || formatValue(leftKey) === null) {
+            return substituteSymbols(clause, resolver, formatValue);
+        }
+        const result = formatValue(leftKey);
+        const substitutedRightSide = substituteSymbols(rightSide, resolver, formatValue);
+        return `${leftSide} = ${substitutedRightSide}${substitutedRightSide === result ? "" : ` = ${result}`}`;
+    }).join(", ");
+
+    const collectInputs = (dependencies) =>
+        [...new Set(dependencies.flatMap(dependency => traceValue(dependency)?.inputs || []))];
+
+    const createTrace = (key, fields) => {
+        const { symbol, unit } = describeValue(key, resultUnits);
+        return {
+            key, symbol, value: values[key], unit,
+            label: null, equation: null, substitution: null, dependencies: [], inputs: [],
+            ...fields
+        };
+    };
+
+    const traceEquation = (key, origin, label, equation, symbolOverrides, extraDependencies = []) => {
+        const resolver = createSymbolResolver(symbolOverrides);
+        const clauses = selectEquationClauses(equation, context);
+        const dependencies = [...new Set([...clauses.flatMap(clause => {
+            const [leftSide, rightSide] = clause.split(/\s+=\s+(.*)/s);
+            return findSymbolKeys(rightSide ?? leftSide, resolver);
+        }), ...extraDependencies])].filter(dependency => dependency !== key && values[dependency] !== undefined);
+        traces[key] = createTrace(key, { origin, label, equation: clauses.join(", "), dependencies });
+        traces[key].substitution = substituteEquation(key, clauses, resolver);
+        traces[key].inputs = collectInputs(dependencies);
+        return traces[key];
+    };
+
+    function traceValue(key) {
+        if (traces[key] !== undefined) return traces[key];
+        if (values[key] === undefined) return null;
+        traces[key] = createTrace(key, { origin: "derived", inputs: [] }); // Placeholder guarding against cycles
+
+        const snapping = (calculation.snapping || []).find(entry => entry.key === key);
+        const source = networkSolution.sources[key];
+        const derivedEntry = findDerivedEquation(topology, key);
+
+        if (snapping) {
+            const exactTrace = exactTraces?.[key];
+            const { unit } = describeValue(key, resultUnits);
+            return traces[key] = createTrace(key, {
+                origin: "snapped",
+                label: `Nearest ${snapping.series} standard value`,
+                equation: exactTrace?.equation ?? null,
+                substitution: `${formatOutputValue(snapping.exact, unit)} → ${formatOutputValue(snapping.snapped, unit)}`,
+                dependencies: exactTrace?.dependencies ?? [],
+                inputs: exactTrace?.inputs ?? []
+            });
+        }
+
+        const isDiscontinuousOverride = computed[key] !== undefined && computed[key] !== networkSolution.values[key];
+        if (context.isDiscontinuous && DISCONTINUOUS_EQUATIONS[key] && isDiscontinuousOverride && !isEntered(key)) {
+            const { equation, dependsOn } = DISCONTINUOUS_EQUATIONS[key];
+            return traceEquation(key, "derived", "Discontinuous conduction", equation(topology), {}, dependsOn);
+        }
+
+        if (isEntered(key)) {
+            // Operating-point values fixed from an exact solution before snapping keep their exact trace
+            const exactTrace = exactTraces?.[key];
+            if (exactTrace && exactTrace.origin !== "entered") return traces[key] = { ...exactTrace, value: values[key] };
+            return traces[key] = createTrace(key, { origin: "entered", inputs: [key] });
+        }
+
+        if (source && source.constraint !== null) {
+            const constraint = topology.constraints.find(entry => entry.id === source.constraint);
+            const dependencies = constraint.variables.filter(variable => variable !== key);
+            const resolver = createSymbolResolver();
+            return traces[key] = createTrace(key, {
+                origin: "solved",
+                label: `${constraint.label}, solved for ${NETWORK_VARIABLES[key].symbol}`,
+                equation: constraint.equation,
+                substitution: substituteEquation(key, [constraint.equation], resolver),
+                dependencies,
+                inputs: source.inputs
+            });
+        }
+
+        if (defaults[key] !== undefined) {
+            return traces[key] = createTrace(key, { origin: "default", label: "Default, not entered" });
+        }
+
+        if (derivedEntry?.equation) {
+            return traceEquation(key, "derived", derivedEntry.label, derivedEntry.equation, derivedEntry.symbols);
+        }
+
+        const dependencies = (derivedEntry?.dependsOn || []).filter(dependency => values[dependency] !== undefined);
+        return traces[key] = createTrace(key, {
+            origin: "derived",
+            label: derivedEntry ? `${derivedEntry.label}, from the ${topology.label} waveform model` : null,
+            dependencies,
+            inputs: collectInputs(dependencies)
+        });
+    }
+
+    Object.keys(values).forEach(traceValue);
+    return traces;
+}
+
+/**
+ * Pairs each validation error with the values that disagree, such as the entered inputs of an
+ * over-constrained equation.
+ *
+ * @param {Object} calculation result of calculate or runCalculation
+ * @returns {Array<{message: string, values: Array<{key, symbol, value, unit}>}>}
+ */
+export function traceValidationErrors(calculation) {
+    const { parameters, validation } = calculation;
+    const resultUnits = {};
+    return validation.errors.map((message, index) => ({
+        message,
+        values: (validation.errorKeys?.[index] || []).map(key => ({ key, value: parameters[key], ...describeValue(key, resultUnits) }))
+    }));
+}
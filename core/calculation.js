@@ -0,0 +1,224 @@
+import { solveConstraintNetwork } from "./network.js";
+import { PARASITIC_PARAMETER_KEYS } from "./parameters.js";
+import { snapCalculationToStandardValues } from "./standardValues.js";
+import { analyzeComponentStresses } from "./stress.js";
+import { getRectifierType, getTopology } from "./topologyRegistry.js";
+import { validateInputConsistency } from "./validation.js";
+
+// Calculation Engine
+export function calculateMissingParameters(inputParams, networkSolution = solveConstraintNetwork(inputParams)) {
+    const topology = getTopology(inputParams.topology);
+    const operatingMode = topology.analyzeOperatingMode(networkSolution.values, getRectifierType(inputParams));
+    const operatingValues = { ...networkSolution.values };
+    const computedValues = { ...networkSolution.computed };
+
+    // Report the conduction mode and the CCM/DCM boundary
+    if (operatingMode !== null) {
+        computedValues.operatingMode = operatingMode.label;
+        computedValues.criticalInductance = operatingMode.criticalInductance;
+        computedValues.criticalLoadCurrent = operatingMode.criticalLoadCurrent;
+    }
+
+    // Replace the CCM results with the discontinuous-conduction equations
+    if (operatingMode !== null && operatingMode.mode === "DCM") {
+        Object.assign(computedValues, applyDiscontinuousConduction(operatingValues, networkSolution.sources, operatingMode, topology));
+    }
+
+    const {
+        inputVoltage, outputVoltage, outputCurrent, switchingFrequency,
+        inductorCurrentRipple, outputVoltageRipple, dutyCycle
+    } = operatingValues;
+    const isDiscontinuous = operatingMode !== null && operatingMode.mode === "DCM";
+
+    // Calculate additional derived parameters
+    if (inputVoltage !== null && outputVoltage !== null && outputCurrent !== null) {
+        const outputPower = outputVoltage * outputCurrent;
+        const inputPower = outputPower; // Ideal case, ignoring losses
+        computedValues.inputCurrent = inputPower / inputVoltage;
+        computedValues.outputPower = outputPower;
+        computedValues.inputPower = inputPower;
+    }
+
+    if (inputVoltage !== null && outputCurrent !== null && dutyCycle !== null && switchingFrequency !== null) {
+        Object.assign(computedValues, topology.deriveCurrents(operatingValues, operatingMode));
+    }
+
+    // Replace the ideal power figures when component parasitics are given
+    const powerLosses = hasParasitics(inputParams) ? calculatePowerLosses(operatingValues, inputParams, operatingMode) : null;
+    if (powerLosses !== null) {
+        Object.assign(computedValues, powerLosses);
+    }
+
+    // RMS and voltage stresses, device temperatures and rating utilizations
+    Object.assign(computedValues, analyzeComponentStresses(inputParams, operatingValues, operatingMode, powerLosses).values);
+
+    // Calculate ESR-related parameters when ΔVout was entered independently of the ripple equation inputs
+    const { sources } = networkSolution;
+    const rippleConstraint = topology.constraints.find(constraint => constraint.id === "outputRipple");
+    const isRippleIndependent = !isDiscontinuous && sources.outputVoltageRipple?.constraint === null &&
+        rippleConstraint.variables.filter(key => key !== "outputVoltageRipple").every(key =>
+            sources[key] && !sources[key].inputs.includes("outputVoltageRipple"));
+    if (isRippleIndependent) {
+        const capacitorRipple = rippleConstraint.solvers.outputVoltageRipple(operatingValues);
+        const esrRipple = outputVoltageRipple - capacitorRipple;
+        if (esrRipple > 0 && inductorCurrentRipple !== null) {
+            const equivalentSeriesResistance = esrRipple / topology.esrRippleCurrent(operatingValues);
+            computedValues.equivalentSeriesResistance = equivalentSeriesResistance;
+        }
+    }
+
+    return computedValues;
+}
+
+// Operating Mode
+function applyDiscontinuousConduction(operatingValues, sources, operatingMode, topology) {
+    const isEntered = (key) => sources[key] !== undefined && sources[key].constraint === null;
+    const solveWith = (constraintId, key) => topology.constraints
+        .find(constraint => constraint.id === constraintId).solvers[key](operatingValues);
+    const { capacitance } = operatingValues;
+    const overrides = { diodeConductionRatio: operatingMode.secondaryDutyCycle };
+
+    if (!isEntered("dutyCycle")) overrides.dutyCycle = operatingMode.dutyCycle;
+    if (!isEntered("inductorCurrentRipple")) overrides.inductorCurrentRipple = operatingMode.inductorCurrentRipple;
+    Object.assign(operatingValues, overrides);
+
+    const { rippleCharge } = operatingMode;
+    if (!isEntered("outputVoltageRipple") && capacitance !== null) {
+        overrides.outputVoltageRipple = rippleCharge / capacitance;
+    } else if (isEntered("outputVoltageRipple") && !isEntered("capacitance")) {
+        overrides.capacitance = rippleCharge / operatingValues.outputVoltageRipple;
+    }
+    Object.assign(operatingValues, overrides);
+
+    if (!isEntered("voltageRippleRatio") && operatingValues.outputVoltageRipple !== null) {
+        overrides.voltageRippleRatio = solveWith("voltageRippleRatio", "voltageRippleRatio");
+    }
+    if (!isEntered("currentRippleRatio")) {
+        overrides.currentRippleRatio = solveWith("currentRippleRatio", "currentRippleRatio");
+    }
+    Object.assign(operatingValues, overrides);
+
+    return overrides;
+}
+
+// Loss Model
+export function hasParasitics(calculationParameters) {
+    return PARASITIC_PARAMETER_KEYS.some(key => calculationParameters[key] !== null && calculationParameters[key] !== undefined);
+}
+
+export function calculatePowerLosses(solvedValues, parasitics, operatingMode = null) {
+    const { inputVoltage, outputVoltage, outputCurrent, switchingFrequency } = solvedValues;
+    if (inputVoltage === null || outputVoltage === null || outputCurrent === null) return {};
+
+    const topology = getTopology(parasitics.topology);
+    const switchCount = topology.switchCount || 1;
+    const parasitic = (key) => parasitics[key] || 0;
+    const isSynchronous = getRectifierType(parasitics) === "synchronous";
+    const isDiscontinuous = operatingMode !== null && operatingMode.mode === "DCM";
+    const frequency = switchingFrequency || 0;
+    const lossValues = {};
+
+    // Drops seen by the inductor current; the rectifier drop depends on the current it carries
+    const drops = {
+        switchResistance: parasitic("mosfetOnResistance"),
+        inductorResistance: parasitic("inductorDcr"),
+        rectifierDrop: (current) => isSynchronous ? current * parasitic("syncOnResistance") : parasitic("diodeForwardVoltage")
+    };
+
+    // Volt-second balance including switch, inductor and rectifier drops (CCM only)
+    let dutyCycle = isDiscontinuous ? operatingMode.dutyCycle : solvedValues.dutyCycle;
+    if (!isDiscontinuous) {
+        dutyCycle = topology.correctDutyCycle(solvedValues, drops);
+        lossValues.correctedDutyCycle = dutyCycle;
+    }
+
+    const currents = topology.calculateCurrentStresses(solvedValues, operatingMode, dutyCycle);
+
+    lossValues.mosfetConductionLoss = switchCount * currents.switchRmsSquared * parasitic("mosfetOnResistance");
+    lossValues.switchingLoss = 0.5 * topology.calculateSwitchVoltage(solvedValues) * frequency *
+        (currents.turnOnCurrent * parasitic("switchRiseTime") + currents.turnOffCurrent * parasitic("switchFallTime"));
+    lossValues.gateDriveLoss = switchCount * (isSynchronous ? 2 : 1) * parasitic("gateCharge") * parasitic("gateDriveVoltage") * frequency;
+    lossValues.rectifierLoss = switchCount * (isSynchronous
+        ? currents.rectifierRmsSquared * parasitic("syncOnResistance")
+        : currents.rectifierAverage * parasitic("diodeForwardVoltage"));
+    lossValues.inductorCopperLoss = currents.inductorRmsSquared * parasitic("inductorDcr");
+    lossValues.capacitorEsrLoss = currents.capacitorRmsSquared * parasitic("capacitorEsr");
+
+    const totalPowerLoss = lossValues.mosfetConductionLoss + lossValues.switchingLoss + lossValues.gateDriveLoss +
+        lossValues.rectifierLoss + lossValues.inductorCopperLoss + lossValues.capacitorEsrLoss;
+    const outputPower = outputVoltage * outputCurrent;
+    const inputPower = outputPower + totalPowerLoss;
+
+    return {
+        ...lossValues,
+        totalPowerLoss,
+        efficiency: outputPower / inputPower,
+        inputPower,
+        inputCurrent: inputPower / inputVoltage
+    };
+}
+
+// Solve, validate and calculate one parameter set, optionally snapping L and C to standard values
+export function runCalculation(calculationParameters, standardSeries = "off") {
+    // Solve the constraint network once for validation and calculation
+    const networkSolution = solveConstraintNetwork(calculationParameters);
+
+    // Validate input consistency
+    const validationResults = validateInputConsistency(calculationParameters, networkSolution);
+
+    let computedParameters = {};
+
+    // Perform calculations only if no validation errors
+    if (validationResults.errors.length === 0) {
+        computedParameters = calculateMissingParameters(calculationParameters, networkSolution);
+    }
+
+    const calculation = {
+        parameters: calculationParameters,
+        networkSolution,
+        computed: computedParameters,
+        validation: validationResults,
+        operatingPoint: buildOperatingPoint(calculationParameters, networkSolution, computedParameters),
+        notes: []
+    };
+
+    if (standardSeries !== "off" && validationResults.errors.length === 0) {
+        return snapCalculationToStandardValues(calculation, standardSeries) || calculation;
+    }
+    return calculation;
+}
+
+// Fixes the solved operating point as inputs so the ripple results follow new L or C values
+export function buildOperatingPointParameters(calculationParameters, solvedValues, overrides = {}) {
+    return {
+        ...calculationParameters,
+        inputVoltage: solvedValues.inputVoltage,
+        outputVoltage: solvedValues.outputVoltage,
+        outputCurrent: solvedValues.outputCurrent,
+        switchingFrequency: solvedValues.switchingFrequency,
+        inductance: solvedValues.inductance,
+        capacitance: solvedValues.capacitance,
+        dutyCycle: null,
+        inductorCurrentRipple: null,
+        outputVoltageRipple: null,
+        voltageRippleRatio: null,
+        currentRippleRatio: null,
+        ...overrides
+    };
+}
+
+// Combines entered, solved and derived values with the parasitics the plots and models need
+export function buildOperatingPoint(calculationParameters, networkSolution, computedParameters) {
+    const { outputCurrent } = networkSolution.values;
+    const isSynchronous = getRectifierType(calculationParameters) === "synchronous";
+    const rectifierDrop = isSynchronous
+        ? (outputCurrent || 0) * (calculationParameters.syncOnResistance || 0)
+        : calculationParameters.diodeForwardVoltage || 0;
+
+    return {
+        ...networkSolution.values,
+        ...computedParameters,
+        equivalentSeriesResistance: calculationParameters.capacitorEsr ?? computedParameters.equivalentSeriesResistance ?? 0,
+        rectifierDrop
+    };
+}
@@ -0,0 +1,55 @@
+import { getTopology } from "./topologyRegistry.js";
+
+// Comparison Constants
+const COMPARISON_TOLERANCE = 1e-4; // relative; differences below display precision are not highlighted
+
+// Utility Functions
+// True when the values are not all the same, counting a missing value against a present one
+export function valuesDiffer(values, tolerance = COMPARISON_TOLERANCE) {
+    const present = values.filter(value => value !== null && value !== undefined);
+    if (present.length === 0) return false;
+    if (present.length < values.length) return true;
+    if (present.some(value => typeof value !== "number")) return present.some(value => value !== present[0]);
+
+    const reference = present[0];
+    return present.some(value => Math.abs(value - reference) > Math.abs(reference) * tolerance);
+}
+
+// Design Comparison
+// Result rows of several calculations side by side, grouped like the result categories. Categories and items are
+// merged by title and key in first-seen order, so designs of different topologies share their common rows;
+// designs with validation errors contribute no results.
+export function compareCalculations(calculations) {
+    const categories = [];
+    calculations.forEach(calculation => {
+        getTopology(calculation.parameters.topology).resultCategories.forEach(category => {
+            let mergedCategory = categories.find(entry => entry.title === category.title);
+            if (!mergedCategory) {
+                mergedCategory = { title: category.title, items: [] };
+                categories.push(mergedCategory);
+            }
+            category.items.forEach(item => {
+                if (!mergedCategory.items.some(entry => entry.key === item.key)) mergedCategory.items.push(item);
+            });
+        });
+    });
+
+    const resultValues = calculations.map(calculation => calculation.validation.errors.length === 0
+        ? { ...calculation.networkSolution.values, ...calculation.computed }
+        : {});
+
+    return categories
+        .map(category => ({
+            title: category.title,
+            rows: category.items
+                .map(item => {
+                    const values = resultValues.map(designValues => {
+                        const value = designValues[item.key];
+                        return (item.unit === "text" ? typeof value === "string" : Number.isFinite(value)) ? value : null;
+                    });
+                    return { key: item.key, label: item.label, unit: item.unit, values, differs: valuesDiffer(values) };
+                })
+                .filter(row => row.values.some(value => value !== null))
+        }))
+        .filter(category => category.rows.length > 0);
+}
@@ -0,0 +1,29 @@
+// Complex Arithmetic
+export function complexNumber(re, im = 0) {
+    return { re, im };
+}
+
+export function complexAdd(a, b) {
+    return complexNumber(a.re + b.re, a.im + b.im);
+}
+
+export function complexMultiply(a, b) {
+    return complexNumber(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+}
+
+export function complexDivide(a, b) {
+    const denominator = b.re * b.re + b.im * b.im;
+    return complexNumber((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+}
+
+export function complexParallel(a, b) {
+    return complexDivide(complexMultiply(a, b), complexAdd(a, b));
+}
+
+export function complexMagnitude(value) {
+    return Math.hypot(value.re, value.im);
+}
+
+export function complexPhaseDegrees(value) {
+    return Math.atan2(value.im, value.re) * 180 / Math.PI;
+}
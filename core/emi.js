@@ -0,0 +1,334 @@
+import { complexAdd, complexDivide, complexMagnitude, complexMultiply, complexNumber, complexParallel } from "./complex.js";
+import { formatOutputValue } from "./format.js";
+
+// EMI Constants
+const LISN_RESISTANCE = 50; // Ω, receiver port of the line impedance stabilization network
+const MICROVOLT = 1e-6;
+export const DEFAULT_EMI_MARGIN = 6; // dB below the limit line
+export const DEFAULT_MIDDLEBROOK_MARGIN = 6; // dB between the filter output and converter input impedances
+const FILTER_INDUCTANCE_RANGE = { minimum: 10e-9, maximum: 10e-3 }; // H, search range for the DM inductor
+const FILTER_INDUCTANCE_STEPS_PER_DECADE = 40;
+const IMPEDANCE_SWEEP_POINTS = 400;
+const MAX_DAMPING_RATIO = 4; // Cd / Cin beyond which the damping capacitor is impractically large
+
+// Conducted-emission limits in dBµV for the average detector. The spectrum estimate is a set of steady harmonics,
+// which read the same on peak, quasi-peak and average detectors, so the average line is the binding one.
+// Segments interpolate linearly in log frequency; frequencies outside every segment are unlimited.
+// Values as commonly quoted for pre-compliance work; check the current edition of the standard before a test.
+export const EMI_STANDARDS = {
+    cispr32ClassB: {
+        label: "CISPR 32 Class B (AV)",
+        lisnInductance: 50e-6,
+        startFrequency: 150e3,
+        stopFrequency: 30e6,
+        segments: [
+            { start: 150e3, stop: 500e3, startLimit: 56, stopLimit: 46 },
+            { start: 500e3, stop: 5e6, startLimit: 46, stopLimit: 46 },
+            { start: 5e6, stop: 30e6, startLimit: 50, stopLimit: 50 }
+        ]
+    },
+    cispr32ClassA: {
+        label: "CISPR 32 Class A (AV)",
+        lisnInductance: 50e-6,
+        startFrequency: 150e3,
+        stopFrequency: 30e6,
+        segments: [
+            { start: 150e3, stop: 500e3, startLimit: 66, stopLimit: 66 },
+            { start: 500e3, stop: 30e6, startLimit: 60, stopLimit: 60 }
+        ]
+    },
+    cispr25Class5: {
+        label: "CISPR 25 Class 5 (AV, voltage method)",
+        lisnInductance: 5e-6,
+        startFrequency: 150e3,
+        stopFrequency: 108e6,
+        segments: [
+            { start: 150e3, stop: 300e3, startLimit: 50, stopLimit: 50 }, // LW
+            { start: 530e3, stop: 1.8e6, startLimit: 34, stopLimit: 34 }, // MW
+            { start: 5.9e6, stop: 6.2e6, startLimit: 33, stopLimit: 33 }, // SW
+            { start: 26e6, stop: 28e6, startLimit: 24, stopLimit: 24 }, // CB
+            { start: 30e6, stop: 54e6, startLimit: 24, stopLimit: 24 }, // VHF
+            { start: 76e6, stop: 108e6, startLimit: 18, stopLimit: 18 } // FM
+        ]
+    }
+};
+
+export function getEmiLimit(standard, frequency) {
+    const segment = standard.segments.find(entry => frequency >= entry.start && frequency <= entry.stop);
+    if (!segment) return null;
+    if (segment.start === segment.stop) return segment.startLimit;
+
+    const position = Math.log10(frequency / segment.start) / Math.log10(segment.stop / segment.start);
+    return segment.startLimit + (segment.stopLimit - segment.startLimit) * position;
+}
+
+// Input Current Spectrum
+// Fourier coefficient (1/T)∫ i(t) e^(-jωt) dt of a piecewise-linear period given as [time, current] corners
+function piecewiseLinearCoefficient(corners, period, angularFrequency) {
+    const phasor = (time) => complexNumber(Math.cos(angularFrequency * time), -Math.sin(angularFrequency * time));
+    const inverseJw = complexNumber(0, -1 / angularFrequency); // 1 / (jω)
+    const inverseJwSquared = complexNumber(-1 / angularFrequency ** 2); // 1 / (jω)²
+    let coefficient = complexNumber(0);
+
+    for (let index = 0; index < corners.length - 1; index++) {
+        const [startTime, startCurrent] = corners[index];
+        const [endTime, endCurrent] = corners[index + 1];
+        const duration = endTime - startTime;
+        if (duration <= 0) continue;
+
+        const startPhasor = phasor(startTime);
+        const endPhasor = phasor(endTime);
+        const phasorDifference = complexAdd(startPhasor, complexMultiply(complexNumber(-1), endPhasor));
+        const slope = (endCurrent - startCurrent) / duration;
+
+        // ∫ (i0 + slope * (t - t0)) e^(-jωt) dt over the segment
+        const constantPart = complexMultiply(complexNumber(startCurrent), complexMultiply(phasorDifference, inverseJw));
+        const rampPart = complexMultiply(complexNumber(slope), complexAdd(
+            complexMultiply(complexNumber(-duration), complexMultiply(endPhasor, inverseJw)),
+            complexMultiply(phasorDifference, inverseJwSquared)));
+        coefficient = complexAdd(coefficient, complexAdd(constantPart, rampPart));
+    }
+
+    return complexMultiply(coefficient, complexNumber(1 / period));
+}
+
+// RMS harmonics of the buck input (switch) current: a trapezoid from the valley to the peak inductor current
+// during the on-time with the switch rise and fall times as edges, zero for the rest of the period
+export function calculateInputCurrentHarmonics(operatingPoint, stopFrequency, edgeTimes = {}) {
+    const { switchingFrequency, dutyCycle, inductorPeakCurrent, inductorCurrentRipple, diodeConductionRatio } = operatingPoint;
+    const period = 1 / switchingFrequency;
+    const onTime = dutyCycle * period;
+    const isDiscontinuous = diodeConductionRatio !== null && diodeConductionRatio !== undefined;
+    const valleyCurrent = isDiscontinuous ? 0 : inductorPeakCurrent - inductorCurrentRipple;
+    const riseTime = Math.min(edgeTimes.riseTime || 0, onTime / 2);
+    const fallTime = Math.min(edgeTimes.fallTime || 0, (period - onTime) / 2);
+
+    const corners = [
+        [0, 0],
+        [riseTime, valleyCurrent],
+        [onTime, inductorPeakCurrent],
+        [onTime + fallTime, 0],
+        [period, 0]
+    ];
+
+    const harmonics = [];
+    for (let order = 1; order * switchingFrequency <= stopFrequency; order++) {
+        const frequency = order * switchingFrequency;
+        const coefficient = piecewiseLinearCoefficient(corners, period, 2 * Math.PI * frequency);
+        harmonics.push({ order, frequency, current: Math.SQRT2 * complexMagnitude(coefficient) });
+    }
+    return harmonics;
+}
+
+// Filter Network
+function capacitorImpedance(angularFrequency, capacitance, esr = 0) {
+    return complexNumber(esr, -1 / (angularFrequency * capacitance));
+}
+
+function lisnImpedance(angularFrequency, standard) {
+    return complexParallel(complexNumber(LISN_RESISTANCE), complexNumber(0, angularFrequency * standard.lisnInductance));
+}
+
+// LISN receiver voltage in dBµV for one harmonic through Cin (with its damping branch), Lf and the line-side Cf;
+// differential-mode current returns through the second LISN, so the loop sees two LISN impedances
+function measuredLevel(harmonic, filter, standard) {
+    const angularFrequency = 2 * Math.PI * harmonic.frequency;
+    const lisn = lisnImpedance(angularFrequency, standard);
+    const lineLoop = complexMultiply(complexNumber(2), lisn);
+
+    let shunt = capacitorImpedance(angularFrequency, filter.inputCapacitance, filter.inputCapacitorEsr);
+    if (filter.damping) {
+        const dampingBranch = complexAdd(complexNumber(filter.damping.resistance), capacitorImpedance(angularFrequency, filter.damping.capacitance));
+        shunt = complexParallel(shunt, dampingBranch);
+    }
+
+    // Without Lf the harmonic divides between Cin and the LISNs; with it, Lf feeds Cf in parallel with the LISNs
+    let lineCurrent;
+    if (filter.inductance > 0) {
+        const lineSide = filter.capacitance > 0
+            ? complexParallel(capacitorImpedance(angularFrequency, filter.capacitance), lineLoop)
+            : lineLoop;
+        const seriesBranch = complexAdd(complexNumber(0, angularFrequency * filter.inductance), lineSide);
+        const inductorCurrent = complexMultiply(complexNumber(harmonic.current), complexDivide(shunt, complexAdd(shunt, seriesBranch)));
+        lineCurrent = complexMultiply(inductorCurrent, complexDivide(lineSide, lineLoop));
+    } else {
+        lineCurrent = complexMultiply(complexNumber(harmonic.current), complexDivide(shunt, complexAdd(shunt, lineLoop)));
+    }
+
+    return 20 * Math.log10(complexMagnitude(complexMultiply(lineCurrent, lisn)) / MICROVOLT);
+}
+
+function evaluateSpectrum(harmonics, filter, standard) {
+    return harmonics.map(harmonic => {
+        const limit = getEmiLimit(standard, harmonic.frequency);
+        const level = measuredLevel(harmonic, filter, standard);
+        return { ...harmonic, level, limit, margin: limit === null ? null : limit - level };
+    });
+}
+
+function findWorstMargin(spectrum) {
+    return spectrum
+        .filter(point => point.margin !== null)
+        .reduce((worst, point) => worst === null || point.margin < worst.margin ? point : worst, null);
+}
+
+// Smallest Lf on a log grid, refined by bisection, that keeps every limited harmonic the margin below its limit
+function sizeFilterInductance(harmonics, filter, standard, margin) {
+    const passes = (inductance) => evaluateSpectrum(harmonics, { ...filter, inductance }, standard)
+        .every(point => point.margin === null || point.margin >= margin);
+    const { minimum, maximum } = FILTER_INDUCTANCE_RANGE;
+    const stepCount = Math.round(Math.log10(maximum / minimum) * FILTER_INDUCTANCE_STEPS_PER_DECADE);
+
+    let previous = 0;
+    for (let step = 0; step <= stepCount; step++) {
+        const inductance = minimum * (maximum / minimum) ** (step / stepCount);
+        if (passes(inductance)) {
+            let low = previous;
+            let high = inductance;
+            for (let iteration = 0; iteration < 30; iteration++) {
+                const middle = low > 0 ? Math.sqrt(low * high) : high / 2;
+                if (passes(middle)) high = middle; else low = middle;
+            }
+            return high;
+        }
+        previous = inductance;
+    }
+    return null;
+}
+
+// Stability
+// Peak |Zo| of the filter seen from the converter with a stiff source: Lf against Cin and the damping branch
+function calculatePeakOutputImpedance(filter) {
+    const resonance = 1 / (2 * Math.PI * Math.sqrt(filter.inductance * filter.inputCapacitance));
+    let peak = 0;
+    for (let index = 0; index < IMPEDANCE_SWEEP_POINTS; index++) {
+        const frequency = resonance / 10 * 100 ** (index / (IMPEDANCE_SWEEP_POINTS - 1));
+        const angularFrequency = 2 * Math.PI * frequency;
+        let impedance = complexParallel(
+            complexNumber(0, angularFrequency * filter.inductance),
+            capacitorImpedance(angularFrequency, filter.inputCapacitance, filter.inputCapacitorEsr));
+        if (filter.damping) {
+            impedance = complexParallel(impedance,
+                complexAdd(complexNumber(filter.damping.resistance), capacitorImpedance(angularFrequency, filter.damping.capacitance)));
+        }
+        peak = Math.max(peak, complexMagnitude(impedance));
+    }
+    return peak;
+}
+
+// Optimal parallel Rd-Cd damping (Erickson): with n = Cd / Cin the peak output impedance is R0 * √(2(2 + n)) / n,
+// so the smallest n reaching the allowed peak solves X n² - 2n - 4 = 0 with X = (allowed peak / R0)²
+function designParallelDamping(inductance, inputCapacitance, allowedPeak) {
+    const characteristicImpedance = Math.sqrt(inductance / inputCapacitance);
+    const ratioSquared = (allowedPeak / characteristicImpedance) ** 2;
+    const n = (1 + Math.sqrt(1 + 4 * ratioSquared)) / ratioSquared;
+    return {
+        ratio: n,
+        capacitance: n * inputCapacitance,
+        resistance: characteristicImpedance * Math.sqrt((2 + n) * (4 + 3 * n) / (2 * n ** 2 * (4 + n)))
+    };
+}
+
+// EMI Estimate
+// Unfiltered and filtered conducted-emission estimates, the DM filter inductance (sized unless given) and the
+// Middlebrook check of the filter output impedance against the converter's negative input resistance Vin² / Pin
+export function analyzeInputFilter(operatingPoint, options) {
+    const standard = EMI_STANDARDS[options.standard] || EMI_STANDARDS.cispr32ClassB;
+    const margin = options.margin ?? DEFAULT_EMI_MARGIN;
+    const middlebrookMargin = options.middlebrookMargin ?? DEFAULT_MIDDLEBROOK_MARGIN;
+    const harmonics = calculateInputCurrentHarmonics(operatingPoint, standard.stopFrequency, options.edgeTimes)
+        .filter(harmonic => harmonic.frequency >= standard.startFrequency);
+    const warnings = [];
+
+    const baseFilter = {
+        inputCapacitance: options.inputCapacitance,
+        inputCapacitorEsr: options.inputCapacitorEsr || 0,
+        capacitance: options.filterCapacitance ?? options.inputCapacitance,
+        inductance: 0,
+        damping: null
+    };
+    const unfiltered = evaluateSpectrum(harmonics, baseFilter, standard);
+    const worstUnfiltered = findWorstMargin(unfiltered);
+
+    let inductance = options.filterInductance ?? null;
+    if (inductance === null) {
+        inductance = worstUnfiltered === null || worstUnfiltered.margin >= margin
+            ? 0
+            : sizeFilterInductance(harmonics, baseFilter, standard, margin);
+        if (inductance === null) {
+            inductance = FILTER_INDUCTANCE_RANGE.maximum;
+            warnings.push(
+                `No single-stage filter up to ${formatOutputValue(inductance, "H")} meets ${standard.label} with ${margin} dB margin; ` +
+                `add filter capacitance or a second stage`
+            );
+        }
+    }
+
+    const filter = { ...baseFilter, inductance };
+    const converterInputImpedance = operatingPoint.inputVoltage ** 2 / operatingPoint.inputPower;
+    const allowedPeak = converterInputImpedance / 10 ** (middlebrookMargin / 20);
+    let stability = null;
+
+    if (inductance > 0) {
+        const undampedPeak = calculatePeakOutputImpedance(filter);
+        if (undampedPeak > allowedPeak) {
+            filter.damping = designParallelDamping(inductance, filter.inputCapacitance, allowedPeak);
+            if (filter.damping.ratio > MAX_DAMPING_RATIO) {
+                warnings.push(
+                    `Damping needs Cd = ${formatOutputValue(filter.damping.capacitance, "F")}, ${filter.damping.ratio.toFixed(1)}× Cin; ` +
+                    `√(Lf / Cin) = ${formatOutputValue(Math.sqrt(inductance / filter.inputCapacitance), "Ω")} is high for the ` +
+                    `${formatOutputValue(converterInputImpedance, "Ω")} converter input impedance, so increase Cin or reduce Lf`
+                );
+            }
+        }
+
+        const dampedPeak = calculatePeakOutputImpedance(filter);
+        stability = {
+            cornerFrequency: 1 / (2 * Math.PI * Math.sqrt(inductance * filter.inputCapacitance)),
+            characteristicImpedance: Math.sqrt(inductance / filter.inputCapacitance),
+            undampedPeak,
+            dampedPeak,
+            middlebrookMargin: 20 * Math.log10(converterInputImpedance / dampedPeak),
+            meetsMiddlebrook: dampedPeak <= allowedPeak * (1 + 1e-6)
+        };
+    }
+
+    const filtered = evaluateSpectrum(harmonics, filter, standard);
+    const worstFiltered = findWorstMargin(filtered);
+    if (worstUnfiltered !== null && worstUnfiltered.margin < 0) {
+        warnings.push(
+            `Without a filter the input current exceeds ${standard.label} by ${(-worstUnfiltered.margin).toFixed(1)} dB ` +
+            `at ${formatOutputValue(worstUnfiltered.frequency, "Hz")}`
+        );
+    }
+    if (worstFiltered !== null && worstFiltered.margin < margin) {
+        warnings.push(
+            `With the filter the margin is ${worstFiltered.margin.toFixed(1)} dB at ${formatOutputValue(worstFiltered.frequency, "Hz")}, ` +
+            `short of the ${margin} dB target`
+        );
+    }
+    if (stability !== null && !stability.meetsMiddlebrook) {
+        warnings.push(
+            `Middlebrook criterion not met: peak filter output impedance ${formatOutputValue(stability.dampedPeak, "Ω")} is within ` +
+            `${middlebrookMargin} dB of the ${formatOutputValue(converterInputImpedance, "Ω")} converter input impedance`
+        );
+    }
+
+    return {
+        standard,
+        margin,
+        spectrum: unfiltered.map((point, index) => ({
+            frequency: point.frequency,
+            current: point.current,
+            limit: point.limit,
+            unfilteredLevel: point.level,
+            filteredLevel: filtered[index].level
+        })),
+        worstUnfiltered,
+        worstFiltered,
+        filter,
+        converterInputImpedance,
+        stability,
+        warnings
+    };
+}
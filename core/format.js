@@ -0,0 +1,178 @@
+// Engineering Notation
+// SI prefixes from largest to smallest; formatted mantissas stay within [1, 1000)
+const SI_PREFIXES = [
+    { symbol: "T", multiplier: 1e12 },
+    { symbol: "G", multiplier: 1e9 },
+    { symbol: "M", multiplier: 1e6 },
+    { symbol: "k", multiplier: 1e3 },
+    { symbol: "", multiplier: 1 },
+    { symbol: "m", multiplier: 1e-3 },
+    { symbol: "µ", multiplier: 1e-6 },
+    { symbol: "n", multiplier: 1e-9 },
+    { symbol: "p", multiplier: 1e-12 },
+    { symbol: "f", multiplier: 1e-15 }
+];
+
+// Prefix spellings accepted on input, including the ASCII and Greek micro signs and SPICE-style "meg"
+const INPUT_PREFIX_MULTIPLIERS = {
+    T: 1e12, G: 1e9, M: 1e6, meg: 1e6, Meg: 1e6, MEG: 1e6, k: 1e3, K: 1e3,
+    m: 1e-3, u: 1e-6, "\u00b5": 1e-6, "\u03bc": 1e-6, n: 1e-9, p: 1e-12, f: 1e-15
+};
+
+// Units that take SI prefixes, with the quantity named in mismatch errors
+export const ENGINEERING_UNITS = {
+    "V": "voltage",
+    "A": "current",
+    "H": "inductance",
+    "F": "capacitance",
+    "Hz": "frequency",
+    "s": "time",
+    "C": "charge",
+    "W": "power",
+    "Ω": "resistance"
+};
+
+// Display-only units formatted with SI prefixes; typed values never carry them
+const DISPLAY_ENGINEERING_UNITS = ["T", "A/m", "m", "J"];
+
+// Units without SI prefixes
+const PLAIN_UNITS = {
+    "°C": "temperature",
+    "°C/W": "thermal resistance"
+};
+
+const UNIT_ALIASES = {
+    "V": "V", "A": "A", "H": "H", "F": "F", "Hz": "Hz", "hz": "Hz", "HZ": "Hz", "s": "s", "sec": "s",
+    "C": "C", "W": "W", "\u03a9": "Ω", "\u2126": "Ω", "ohm": "Ω", "ohms": "Ω", "Ohm": "Ω", "%": "%",
+    "°C": "°C", "degC": "°C", "\u2103": "°C", "°C/W": "°C/W", "C/W": "°C/W", "K/W": "°C/W"
+};
+
+const NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*(.*)$/;
+const DEFAULT_SIGNIFICANT_DIGITS = 4;
+const DEFAULT_PERCENT_DIGITS = 3;
+
+// Dimensionless fields accept a trailing "%" but no SI prefix
+function isDimensionless(unitType) {
+    return unitType === "%" || unitType === "ratio";
+}
+
+function describeQuantity(unit) {
+    const quantity = ENGINEERING_UNITS[unit] || PLAIN_UNITS[unit];
+    return `${/^[aeiou]/.test(quantity) ? "an" : "a"} ${quantity}`;
+}
+
+function describeUnit(unitType) {
+    return isDimensionless(unitType) ? "a ratio (plain number or %)" : `${describeQuantity(unitType)} (${unitType})`;
+}
+
+/**
+ * Splits a unit symbol such as "mΩ", "uF", "kHz" or "meg" into its prefix multiplier and unit.
+ *
+ * @param {string} symbol prefix and/or unit, without the number
+ * @returns {{multiplier: number, unit: (string|null)}|null} `unit` is null for a bare prefix; null when unrecognized
+ */
+export function parseUnitSymbol(symbol) {
+    if (UNIT_ALIASES[symbol]) return { multiplier: 1, unit: UNIT_ALIASES[symbol] };
+
+    const prefix = ["meg", "Meg", "MEG", symbol[0]].find(candidate => symbol.startsWith(candidate) && INPUT_PREFIX_MULTIPLIERS[candidate]);
+    if (!prefix) return null;
+
+    const unitText = symbol.slice(prefix.length).trim();
+    if (unitText === "") return { multiplier: INPUT_PREFIX_MULTIPLIERS[prefix], unit: null };
+    const unit = UNIT_ALIASES[unitText];
+    return ENGINEERING_UNITS[unit] ? { multiplier: INPUT_PREFIX_MULTIPLIERS[prefix], unit } : null;
+}
+
+/**
+ * Parses a typed value such as "4.7u", "470k", "3.3V", "10mΩ" or "30%".
+ *
+ * @param {string} text field text
+ * @param {string} unitType expected unit, as used by formatOutputValue ("V", "A", "H", "F", "Hz", "s", "C", "W", "Ω", "°C", "°C/W", "%" or "ratio")
+ * @returns {{number: number, multiplier: (number|null)}} the typed number and the scale given by its suffix;
+ *   `multiplier` is null for a bare number, which keeps whatever unit the caller has selected
+ * @throws {Error} for text that is not a number or carries a unit of another quantity
+ */
+export function parseEngineeringInput(text, unitType) {
+    const trimmedText = String(text).trim();
+    const match = NUMBER_PATTERN.exec(trimmedText);
+    if (!match) throw new Error(`"${trimmedText}" is not a number`);
+
+    const number = parseFloat(match[1]);
+    const suffix = match[2].trim();
+    if (suffix === "") return { number, multiplier: null };
+
+    const symbol = parseUnitSymbol(suffix);
+    if (!symbol) throw new Error(`"${trimmedText}": unknown unit "${suffix}", expected ${describeUnit(unitType)}`);
+
+    if (isDimensionless(unitType)) {
+        if (symbol.unit !== "%") throw new Error(`"${trimmedText}" is not ${describeUnit(unitType)}`);
+        return { number, multiplier: 0.01 };
+    }
+    if (symbol.unit === "%") throw new Error(`"${trimmedText}" is a percentage, expected ${describeUnit(unitType)}`);
+    // A bare "C" in a temperature field means degrees, not coulombs
+    if (unitType === "°C" && symbol.unit === "C" && symbol.multiplier === 1) return { number, multiplier: 1 };
+    if (symbol.unit !== null && symbol.unit !== unitType) {
+        throw new Error(`"${trimmedText}" is ${describeQuantity(symbol.unit)}, expected ${describeUnit(unitType)}`);
+    }
+    if (PLAIN_UNITS[unitType] && symbol.multiplier !== 1) throw new Error(`"${trimmedText}": SI prefixes do not apply to ${unitType}`);
+    return { number, multiplier: symbol.multiplier };
+}
+
+/**
+ * Parses a typed value into SI units; a bare number is taken as already in SI units.
+ *
+ * @param {string} text field text, e.g. "4.7uH"
+ * @param {string} unitType expected unit, see parseEngineeringInput
+ * @returns {number} value in SI units (ratios as fractions)
+ * @throws {Error} see parseEngineeringInput
+ */
+export function parseEngineeringValue(text, unitType) {
+    const { number, multiplier } = parseEngineeringInput(text, unitType);
+    return number * (multiplier ?? 1);
+}
+
+// Formatting
+function formatEngineeringValue(value, unit, significantDigits) {
+    const magnitude = Math.abs(value);
+    if (magnitude !== 0 && (magnitude >= 1e15 || magnitude < 1e-15)) {
+        return `${value.toExponential(significantDigits - 1)} ${unit}`;
+    }
+
+    let index = magnitude === 0 ? SI_PREFIXES.findIndex(prefix => prefix.multiplier === 1) : SI_PREFIXES.findIndex(prefix => magnitude >= prefix.multiplier);
+    // Rounding can carry into the next prefix, e.g. 999.96 mV at four digits
+    if (index > 0 && Math.abs(Number((value / SI_PREFIXES[index].multiplier).toPrecision(significantDigits))) >= 1000) index--;
+
+    const prefix = SI_PREFIXES[index];
+    return `${(value / prefix.multiplier).toPrecision(significantDigits)} ${prefix.symbol}${unit}`;
+}
+
+/**
+ * Formats a value for display, in engineering notation for SI units.
+ *
+ * @param {*} value SI value, or a string for unitType "text"
+ * @param {string} unitType "V", "A", "H", "F", "Hz", "s", "C", "W", "Ω", "T", "A/m", "m", "J", "%", "ratio", "°C", "°C/W",
+ *     "A/mm²" (value in A/m²), "dB", "dBµV", "°" or "text"
+ * @param {number} [significantDigits] defaults to 4, or 3 for percentages
+ * @returns {string} e.g. "4.700 µH", "-12.00 V", "29.2%"; "N/A" for missing values
+ */
+export function formatOutputValue(value, unitType, significantDigits) {
+    if (unitType === "text") return value || "N/A";
+    if (value === null || value === undefined || isNaN(value)) return "N/A";
+
+    if (ENGINEERING_UNITS[unitType] || DISPLAY_ENGINEERING_UNITS.includes(unitType)) return formatEngineeringValue(value, unitType, significantDigits ?? DEFAULT_SIGNIFICANT_DIGITS);
+
+    const digits = significantDigits ?? DEFAULT_SIGNIFICANT_DIGITS;
+    const formatters = {
+        "%": (val) => `${(val * 100).toPrecision(significantDigits ?? DEFAULT_PERCENT_DIGITS)}%`,
+        "°C": (val) => `${val.toFixed(1)} °C`,
+        "°C/W": (val) => `${val.toPrecision(digits)} °C/W`,
+        "A/mm²": (val) => `${(val / 1e6).toPrecision(digits)} A/mm²`,
+        "dB": (val) => `${val.toFixed(1)} dB`,
+        "dBµV": (val) => `${val.toFixed(1)} dBµV`,
+        "°": (val) => `${val.toFixed(1)}°`,
+        "ratio": (val) => val.toPrecision(digits),
+        "default": (val) => val.toPrecision(digits)
+    };
+
+    return (formatters[unitType] || formatters["default"])(value);
+}
@@ -0,0 +1,103 @@
+// Headless Calculation Core
+// DOM-free entry point shared by the web page, the CLI (bin/webcal.js) and the test suite.
+// Importing this module registers every bundled topology.
+import { runCalculation } from "./calculation.js";
+import { NETWORK_VARIABLES } from "./network.js";
+import { PARASITIC_PARAMETER_KEYS, PARASITIC_PARAMETER_UNITS, STRESS_PARAMETER_KEYS, STRESS_PARAMETER_UNITS } from "./parameters.js";
+import { E_SERIES } from "./standardValues.js";
+import { DEFAULT_TOPOLOGY_ID, TOPOLOGIES } from "./topologyRegistry.js";
+import "./topologies/buck.js";
+import "./topologies/synchronousBuck.js";
+import "./topologies/boost.js";
+import "./topologies/buckBoost.js";
+import "./topologies/inverting.js";
+import "./topologies/sepic.js";
+
+export * from "./audit.js";
+export * from "./calculation.js";
+export * from "./comparison.js";
+export * from "./complex.js";
+export * from "./emi.js";
+export * from "./format.js";
+export * from "./network.js";
+export * from "./optimizer.js";
+export * from "./parameters.js";
+export * from "./standardValues.js";
+export * from "./stress.js";
+export * from "./magnetics.js";
+export * from "./topologyRegistry.js";
+export * from "./validation.js";
+
+export const RECTIFIER_TYPES = ["diode", "synchronous"];
+
+// Every numeric parameter the engine reads, in SI units (ripple ratios as fractions, temperatures in °C)
+export const CALCULATION_PARAMETER_KEYS = [...Object.keys(NETWORK_VARIABLES), ...PARASITIC_PARAMETER_KEYS, ...STRESS_PARAMETER_KEYS];
+
+/**
+ * Unit of a calculation parameter, as understood by formatOutputValue and parseEngineeringValue.
+ *
+ * @param {string} key one of CALCULATION_PARAMETER_KEYS
+ * @returns {string|undefined} e.g. "V", "H", "Ω", "°C", "%" or "ratio"
+ */
+export function getParameterUnit(key) {
+    return NETWORK_VARIABLES[key] ? NETWORK_VARIABLES[key].unit : PARASITIC_PARAMETER_UNITS[key] || STRESS_PARAMETER_UNITS[key];
+}
+
+/**
+ * Builds a complete parameter set from a partial one.
+ * Omitted numeric parameters become null (unknown); `topology` defaults to "buck" and
+ * `rectifierType` to "diode".
+ *
+ * @param {Object} [parameters] SI values keyed like CALCULATION_PARAMETER_KEYS, plus topology and rectifierType
+ * @returns {Object} parameter set accepted by runCalculation and the other engine functions
+ * @throws {Error} for unknown keys, non-numeric values, or an unknown topology or rectifier type
+ */
+export function createCalculationParameters(parameters = {}) {
+    const { topology = DEFAULT_TOPOLOGY_ID, rectifierType = "diode", ...values } = parameters;
+
+    if (!TOPOLOGIES[topology]) {
+        throw new Error(`Unknown topology "${topology}"; expected one of ${Object.keys(TOPOLOGIES).join(", ")}`);
+    }
+    if (!RECTIFIER_TYPES.includes(rectifierType)) {
+        throw new Error(`Unknown rectifier type "${rectifierType}"; expected ${RECTIFIER_TYPES.join(" or ")}`);
+    }
+
+    const calculationParameters = { topology, rectifierType };
+    CALCULATION_PARAMETER_KEYS.forEach(key => calculationParameters[key] = null);
+
+    Object.entries(values).forEach(([key, value]) => {
+        if (!CALCULATION_PARAMETER_KEYS.includes(key)) throw new Error(`Unknown parameter "${key}"`);
+        if (value === null || value === undefined) return;
+        if (typeof value !== "number" || !Number.isFinite(value)) throw new Error(`Parameter "${key}" must be a finite number`);
+        calculationParameters[key] = value;
+    });
+    return calculationParameters;
+}
+
+/**
+ * Solves, validates and calculates a design.
+ *
+ * @param {Object} parameters partial parameter set, see createCalculationParameters
+ * @param {Object} [options]
+ * @param {string} [options.standardSeries] "E6", "E12" or "E24" to snap computed L and C; default "off"
+ * @returns {{parameters, networkSolution, computed, validation: {warnings: string[], errors: string[], errorKeys: string[][]}, operatingPoint, notes: string[]}}
+ *   `networkSolution.values` holds the solved network variables and `computed` every derived result;
+ *   `computed` is empty when validation reports errors; `errorKeys` lists the parameters behind each error
+ */
+export function calculate(parameters, options = {}) {
+    const standardSeries = options.standardSeries || "off";
+    if (standardSeries !== "off" && !E_SERIES[standardSeries]) {
+        throw new Error(`Unknown standard-value series "${standardSeries}"; expected ${Object.keys(E_SERIES).join(", ")}`);
+    }
+    return runCalculation(createCalculationParameters(parameters), standardSeries);
+}
+
+/**
+ * Flattens a calculation into one value per result key, with the solved network variables first.
+ *
+ * @param {Object} calculation result of calculate or runCalculation
+ * @returns {Object} result values keyed like the topology's resultCategories items
+ */
+export function collectResultValues(calculation) {
+    return { ...calculation.networkSolution.values, ...calculation.computed };
+}
@@ -0,0 +1,194 @@
+import { formatOutputValue } from "./format.js";
+
+// Magnetics Constants
+const VACUUM_PERMEABILITY = 4e-7 * Math.PI; // H/m
+const COPPER_RESISTIVITY = 1.724e-8; // Ω·m at 20 °C
+const COPPER_TEMPERATURE_COEFFICIENT = 0.00393; // 1/°C
+export const DEFAULT_CURRENT_DENSITY = 5e6; // A/m², 5 A/mm² for a naturally cooled winding
+export const DEFAULT_MAX_FILL_FACTOR = 0.4; // Practical limit for round magnet wire
+export const DEFAULT_WINDING_TEMPERATURE = 100; // °C, copper resistance is evaluated hot
+const SATURATION_MARGIN_WARNING = 0.2; // Warn below 20% headroom to Bsat
+const INDUCTANCE_OVERSHOOT_WARNING = 0.2; // Warn when whole turns overshoot L by more than 20%
+
+// Typical catalogue values; check the vendor datasheet before committing to a part.
+// Steinmetz core loss Pv = k * f^alpha * Bac^beta in W/m³ with f in Hz and the peak AC flux density Bac in T.
+export const CORE_MATERIALS = {
+    iron26: { label: "Iron powder -26 (µ75)", permeability: 75, saturationFluxDensity: 1.3, steinmetz: { k: 60, alpha: 1.3, beta: 2.1 } },
+    sendust60: { label: "Sendust 60µ", permeability: 60, saturationFluxDensity: 1.0, steinmetz: { k: 2.0, alpha: 1.46, beta: 2.0 } },
+    ferrite: { label: "MnZn power ferrite (3C90 class)", permeability: 2300, saturationFluxDensity: 0.35, steinmetz: { k: 3.2, alpha: 1.4, beta: 2.5 } } // Bsat at 100 °C
+};
+
+// Toroid geometry from outer diameter, inner diameter and height in metres
+function toroidCore(id, name, family, material, outerDiameter, innerDiameter, height) {
+    const effectiveArea = (outerDiameter - innerDiameter) / 2 * height;
+    const pathLength = Math.PI * (outerDiameter - innerDiameter) / Math.log(outerDiameter / innerDiameter);
+    return {
+        id, name, family, material,
+        inductanceFactor: VACUUM_PERMEABILITY * CORE_MATERIALS[material].permeability * effectiveArea / pathLength,
+        effectiveArea,
+        pathLength,
+        effectiveVolume: effectiveArea * pathLength,
+        windowArea: Math.PI * innerDiameter ** 2 / 4,
+        meanTurnLength: (outerDiameter - innerDiameter) + 2 * height
+    };
+}
+
+// Gapped E-core pairs; AL, Ae, le, Ve, bobbin window and MLT as listed by the vendor
+function gappedECore(id, name, inductanceFactor, effectiveArea, pathLength, effectiveVolume, windowArea, meanTurnLength) {
+    return {
+        id, name, family: "E-core", material: "ferrite",
+        inductanceFactor, effectiveArea, pathLength, effectiveVolume, windowArea, meanTurnLength
+    };
+}
+
+export const CORE_DATABASE = [
+    toroidCore("T50-26", "T50-26", "Powder toroid", "iron26", 12.7e-3, 7.7e-3, 4.83e-3),
+    toroidCore("T68-26", "T68-26", "Powder toroid", "iron26", 17.5e-3, 9.4e-3, 4.83e-3),
+    toroidCore("T106-26", "T106-26", "Powder toroid", "iron26", 26.9e-3, 14.5e-3, 11.1e-3),
+    toroidCore("T157-26", "T157-26", "Powder toroid", "iron26", 39.9e-3, 24.1e-3, 14.5e-3),
+    toroidCore("S60-20", "Sendust 60µ Ø20.3", "Powder toroid", "sendust60", 20.3e-3, 12.7e-3, 6.35e-3),
+    toroidCore("S60-27", "Sendust 60µ Ø26.9", "Powder toroid", "sendust60", 26.9e-3, 14.7e-3, 11.2e-3),
+    toroidCore("S60-40", "Sendust 60µ Ø39.9", "Powder toroid", "sendust60", 39.9e-3, 24.1e-3, 14.5e-3),
+    toroidCore("TX13", "Ferrite toroid 13/7.9/6.4", "Ferrite toroid", "ferrite", 13e-3, 7.9e-3, 6.4e-3),
+    toroidCore("TX25", "Ferrite toroid 25/15/10", "Ferrite toroid", "ferrite", 25e-3, 15e-3, 10e-3),
+    gappedECore("E20-AL160", "E20/10/6, AL 160 nH", 160e-9, 32.1e-6, 46.0e-3, 1490e-9, 33e-6, 38e-3),
+    gappedECore("E25-AL250", "E25/13/7, AL 250 nH", 250e-9, 52.5e-6, 57.5e-3, 3020e-9, 61e-6, 52e-3),
+    gappedECore("E32-AL250", "E32/16/9, AL 250 nH", 250e-9, 83e-6, 74e-3, 6140e-9, 105e-6, 67e-3),
+    gappedECore("E42-AL400", "E42/21/15, AL 400 nH", 400e-9, 178e-6, 97e-3, 17300e-9, 256e-6, 93e-3)
+];
+
+// AWG 10-40: bare diameter from the AWG definition, heavy-build insulated diameter approximated as d + 30 µm + 4%
+export const WIRE_GAUGES = Array.from({ length: 31 }, (_, index) => {
+    const awg = 10 + index;
+    const diameter = 0.127e-3 * 92 ** ((36 - awg) / 39);
+    return {
+        awg,
+        diameter,
+        area: Math.PI * diameter ** 2 / 4,
+        insulatedDiameter: diameter * 1.04 + 30e-6
+    };
+});
+
+export function getCore(coreId) {
+    return CORE_DATABASE.find(core => core.id === coreId) || null;
+}
+
+// Winding Design
+// L, Ipk, Irms, ΔIL and Fs from a calculation, or null when the design is incomplete
+export function getInductorRequirements(operatingPoint) {
+    const requirements = {
+        inductance: operatingPoint.inductance,
+        peakCurrent: operatingPoint.inductorPeakCurrent,
+        rmsCurrent: operatingPoint.inductorRmsCurrent,
+        currentRipple: operatingPoint.inductorCurrentRipple,
+        switchingFrequency: operatingPoint.switchingFrequency
+    };
+    const isPositive = (value) => value !== null && value !== undefined && Number.isFinite(value) && value > 0;
+    return Object.values(requirements).every(isPositive) ? requirements : null;
+}
+
+// Thinnest gauge whose parallel strands carry the RMS current at the target density; AWG 10 when none does
+function selectWireGauge(rmsCurrent, currentDensity, strands) {
+    const requiredArea = rmsCurrent / currentDensity / strands;
+    return [...WIRE_GAUGES].reverse().find(gauge => gauge.area >= requiredArea) || WIRE_GAUGES[0];
+}
+
+export function designInductor(requirements, core, options = {}) {
+    const { inductance, peakCurrent, rmsCurrent, currentRipple, switchingFrequency } = requirements;
+    const currentDensity = options.currentDensity || DEFAULT_CURRENT_DENSITY;
+    const maxFillFactor = options.maxFillFactor || DEFAULT_MAX_FILL_FACTOR;
+    const strands = Math.max(1, Math.round(options.strands || 1));
+    const windingTemperature = options.windingTemperature ?? DEFAULT_WINDING_TEMPERATURE;
+    const material = CORE_MATERIALS[core.material];
+
+    // Whole turns reaching at least the required inductance
+    const turns = Math.max(1, Math.ceil(Math.sqrt(inductance / core.inductanceFactor)));
+    const actualInductance = core.inductanceFactor * turns ** 2;
+
+    // ΔB follows the applied volt-seconds (L * ΔIL); the DC part follows the wound inductance
+    const fluxSwing = inductance * currentRipple / (turns * core.effectiveArea);
+    const peakFluxDensity = actualInductance * (peakCurrent - currentRipple / 2) / (turns * core.effectiveArea) + fluxSwing / 2;
+    const saturationMargin = 1 - peakFluxDensity / material.saturationFluxDensity;
+
+    const wire = selectWireGauge(rmsCurrent, currentDensity, strands);
+    const copperArea = wire.area * strands;
+    const fillFactor = turns * strands * Math.PI * wire.insulatedDiameter ** 2 / 4 / core.windowArea;
+    const resistivity = COPPER_RESISTIVITY * (1 + COPPER_TEMPERATURE_COEFFICIENT * (windingTemperature - 20));
+    const windingResistance = resistivity * turns * core.meanTurnLength / copperArea;
+    const skinDepth = Math.sqrt(resistivity / (Math.PI * switchingFrequency * VACUUM_PERMEABILITY));
+
+    // The ripple sees a skin-effect resistance (single-layer round-wire estimate); the DC part sees Rdc
+    const acResistanceFactor = Math.max(1, wire.diameter / (4 * skinDepth) + 0.25);
+    const rippleRmsSquared = Math.min(currentRipple ** 2 / 12, rmsCurrent ** 2);
+    const dcCopperLoss = (rmsCurrent ** 2 - rippleRmsSquared) * windingResistance;
+    const acCopperLoss = rippleRmsSquared * windingResistance * acResistanceFactor;
+    const copperLoss = dcCopperLoss + acCopperLoss;
+
+    const { k, alpha, beta } = material.steinmetz;
+    const coreLossDensity = k * switchingFrequency ** alpha * (fluxSwing / 2) ** beta;
+    const coreLoss = coreLossDensity * core.effectiveVolume;
+
+    const design = {
+        core,
+        materialLabel: material.label,
+        saturationFluxDensity: material.saturationFluxDensity,
+        turns,
+        inductance: actualInductance,
+        peakFluxDensity,
+        fluxSwing,
+        saturationMargin,
+        magnetizingForce: turns * peakCurrent / core.pathLength,
+        wire,
+        strands,
+        currentDensity: rmsCurrent / copperArea,
+        fillFactor,
+        windingResistance,
+        skinDepth,
+        acResistanceFactor,
+        copperLoss,
+        coreLossDensity,
+        coreLoss,
+        totalLoss: copperLoss + coreLoss,
+        saturates: saturationMargin < 0,
+        fits: fillFactor <= maxFillFactor,
+        matchesInductance: actualInductance <= inductance * (1 + INDUCTANCE_OVERSHOOT_WARNING),
+        warnings: []
+    };
+
+    if (design.saturates) {
+        design.warnings.push(
+            `Saturates: Bpk ${formatOutputValue(peakFluxDensity, "T")} exceeds Bsat ${formatOutputValue(material.saturationFluxDensity, "T")}`
+        );
+    } else if (saturationMargin < SATURATION_MARGIN_WARNING) {
+        design.warnings.push(`Only ${formatOutputValue(saturationMargin, "%")} margin to saturation`);
+    }
+    if (!design.fits) {
+        design.warnings.push(
+            `Winding does not fit: fill factor ${formatOutputValue(fillFactor, "%")} exceeds ${formatOutputValue(maxFillFactor, "%")} of the window`
+        );
+    }
+    if (design.currentDensity > currentDensity * (1 + 1e-9)) {
+        design.warnings.push(`AWG ${wire.awg} runs at ${formatOutputValue(design.currentDensity, "A/mm²")}; add parallel strands`);
+    }
+    if (!design.matchesInductance) {
+        design.warnings.push(`${turns} turns give ${formatOutputValue(actualInductance, "H")}; a core with a lower AL matches L more closely`);
+    }
+    if (acCopperLoss > dcCopperLoss) {
+        design.warnings.push(
+            `AC copper loss dominates: AWG ${wire.awg} is ${formatOutputValue(wire.diameter / skinDepth, "ratio")}× the ` +
+            `${formatOutputValue(skinDepth, "m")} skin depth; use thinner parallel strands or Litz wire`
+        );
+    }
+
+    return design;
+}
+
+// Designs on every core: saturating or overfilled cores last, then those with little margin or a poor L match,
+// each group by total loss
+export function designInductorOnCores(requirements, options = {}, cores = CORE_DATABASE) {
+    const rank = (design) => 2 * (Number(design.saturates) + Number(!design.fits)) +
+        Number(design.saturationMargin < SATURATION_MARGIN_WARNING || !design.matchesInductance);
+    return cores
+        .map(core => designInductor(requirements, core, options))
+        .sort((a, b) => rank(a) - rank(b) || a.totalLoss - b.totalLoss);
+}
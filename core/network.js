@@ -0,0 +1,97 @@
+import { formatOutputValue } from "./format.js";
+import { CALCULATION_TOLERANCE } from "./parameters.js";
+import { getTopology } from "./topologyRegistry.js";
+
+// Constraint Network
+export const NETWORK_VARIABLES = {
+    dutyCycle: { symbol: "D", unit: "ratio" },
+    inputVoltage: { symbol: "Vin", unit: "V" },
+    outputVoltage: { symbol: "Vout", unit: "V" },
+    outputCurrent: { symbol: "Iout", unit: "A" },
+    switchingFrequency: { symbol: "Fs", unit: "Hz" },
+    inductance: { symbol: "L", unit: "H" },
+    capacitance: { symbol: "C", unit: "F" },
+    inductorCurrentRipple: { symbol: "ΔIL", unit: "A" },
+    outputVoltageRipple: { symbol: "ΔVout", unit: "V" },
+    voltageRippleRatio: { symbol: "ΔV/V", unit: "%" },
+    currentRippleRatio: { symbol: "ΔI/I", unit: "%" }
+};
+
+function isConstraintSatisfied(constraint, expectedValue, actualValue) {
+    const allowedDeviation = constraint.absoluteTolerance
+        ? CALCULATION_TOLERANCE
+        : Math.abs(expectedValue * CALCULATION_TOLERANCE);
+    return Math.abs(actualValue - expectedValue) <= allowedDeviation;
+}
+
+export function solveConstraintNetwork(inputParams, constraints = getTopology(inputParams.topology).constraints) {
+    const values = {};
+    const sources = {};
+
+    Object.keys(NETWORK_VARIABLES).forEach(key => {
+        const value = inputParams[key];
+        values[key] = value === undefined ? null : value;
+        if (values[key] !== null) {
+            sources[key] = { constraint: null, inputs: [key] };
+        }
+    });
+
+    const collectInputs = (keys) => [...new Set(keys.flatMap(key => sources[key].inputs))];
+
+    // Propagate until no constraint can isolate another unknown
+    let hasChanged = true;
+    while (hasChanged) {
+        hasChanged = false;
+        constraints.forEach(constraint => {
+            const unknowns = constraint.variables.filter(key => values[key] === null);
+            if (unknowns.length !== 1 || !constraint.solvers[unknowns[0]]) return;
+
+            const target = unknowns[0];
+            const solvedValue = constraint.solvers[target](values);
+            if (!Number.isFinite(solvedValue)) return;
+
+            const knownVariables = constraint.variables.filter(key => key !== target);
+            values[target] = solvedValue;
+            sources[target] = { constraint: constraint.id, inputs: collectInputs(knownVariables) };
+            hasChanged = true;
+        });
+    }
+
+    // Fully known constraints expose inputs that over-constrain the system
+    const conflicts = [];
+    const reportedInputSets = new Set();
+    constraints.forEach(constraint => {
+        if (constraint.variables.some(key => values[key] === null)) return;
+
+        const checkedKey = constraint.variables[0];
+        const expectedValue = constraint.solvers[checkedKey](values);
+        if (!Number.isFinite(expectedValue) || isConstraintSatisfied(constraint, expectedValue, values[checkedKey])) return;
+
+        const conflictingInputs = collectInputs(constraint.variables);
+        const inputSetKey = [...conflictingInputs].sort().join(",");
+        if (reportedInputSets.has(inputSetKey)) return;
+        reportedInputSets.add(inputSetKey);
+
+        const { symbol, unit } = NETWORK_VARIABLES[checkedKey];
+        const inputSymbols = conflictingInputs.map(key => NETWORK_VARIABLES[key].symbol).join(", ");
+        conflicts.push({
+            constraint: constraint.id,
+            equation: constraint.equation,
+            variable: checkedKey,
+            actual: values[checkedKey],
+            expected: expectedValue,
+            inputs: conflictingInputs,
+            message: `${constraint.label} mismatch: ${symbol} = ${formatOutputValue(values[checkedKey], unit)}, ` +
+                `but ${constraint.equation} gives ${formatOutputValue(expectedValue, unit)} (over-constrained by ${inputSymbols})`
+        });
+    });
+
+    const computed = {};
+    Object.keys(sources).forEach(key => {
+        if (sources[key].constraint !== null) computed[key] = values[key];
+    });
+
+    const unresolved = Object.keys(NETWORK_VARIABLES).filter(key => values[key] === null);
+
+    return { values, computed, sources, conflicts, unresolved };
+}
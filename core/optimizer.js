@@ -0,0 +1,218 @@
+import { runCalculation } from "./calculation.js";
+import { PARASITIC_PARAMETER_KEYS } from "./parameters.js";
+import { listESeriesValues } from "./standardValues.js";
+
+// Optimizer Constants
+export const DEFAULT_FREQUENCY_RANGE = { minimum: 100e3, maximum: 2e6 }; // Hz, searched in the standard-value series
+const DEFAULT_OPTIMIZER_SERIES = "E12";
+const DEFAULT_CANDIDATE_COUNT = 10;
+const DEFAULT_INPUT_VOLTAGE_POINTS = 5; // Vin samples across the range, ends included
+const INDUCTANCE_STEPS = 3; // standard values tried from the smallest L that meets ΔI/I upwards
+const CAPACITANCE_STEPS = 2; // standard values tried from the smallest C that meets ΔV/V upwards
+const LIMIT_TOLERANCE = 1e-9; // relative, so a part sized exactly at a limit passes
+
+// Parameters the optimizer chooses or derives; the rest of the parameter set is kept as given
+const OPTIMIZER_DESIGN_KEYS = [
+    "inputVoltage", "switchingFrequency", "inductance", "capacitance", "dutyCycle",
+    "inductorCurrentRipple", "outputVoltageRipple", "voltageRippleRatio", "currentRippleRatio"
+];
+
+// Ranking objectives; `score` reads a verified candidate and `direction` says which end of the ranking is best
+export const OPTIMIZATION_OBJECTIVES = {
+    energy: {
+        label: "Minimize L·C energy storage",
+        unit: "J",
+        direction: "minimize",
+        score: (candidate) => candidate.storedEnergy
+    },
+    efficiency: {
+        label: "Maximize worst-case efficiency",
+        unit: "%",
+        direction: "maximize",
+        requiresLosses: true,
+        score: (candidate) => candidate.worstCase.efficiency
+    }
+};
+
+// Reasons a candidate is dropped, in the order they are checked
+export const OPTIMIZER_REJECTIONS = {
+    validation: "fail validation",
+    currentRipple: "exceed ΔI/I",
+    voltageRipple: "exceed ΔV/V",
+    peakCurrent: "exceed the peak current",
+    inductance: "need more than the largest L",
+    capacitance: "need more than the largest C"
+};
+
+// Utility Functions
+function createInputVoltagePoints(minimum, maximum, pointCount) {
+    if (minimum === maximum) return [minimum];
+    const points = Array.from({ length: Math.max(pointCount, 2) }, (_, index) =>
+        minimum + (maximum - minimum) * index / (Math.max(pointCount, 2) - 1));
+    return [...new Set(points)];
+}
+
+function exceedsLimit(value, limit) {
+    return limit !== null && limit !== undefined && value > limit * (1 + LIMIT_TOLERANCE);
+}
+
+// Largest network value over the Vin points, or null when any point cannot be solved
+function findWorstSolvedValue(points, key) {
+    let worst = 0;
+    for (const parameters of points) {
+        const calculation = runCalculation(parameters);
+        const value = calculation.networkSolution.values[key];
+        if (calculation.validation.errors.length > 0 || value === null || !(value > 0)) return null;
+        worst = Math.max(worst, value);
+    }
+    return worst;
+}
+
+// Search Functions
+// Runs the design at every Vin point; runCalculation checks each one with validateInputConsistency
+function evaluateCandidate(baseParameters, inputVoltages, design, goals) {
+    const corners = inputVoltages.map(inputVoltage => ({
+        inputVoltage,
+        calculation: runCalculation({ ...baseParameters, ...design, inputVoltage })
+    }));
+    const failedCorner = corners.find(corner => corner.calculation.validation.errors.length > 0);
+    if (failedCorner) return { rejection: "validation" };
+
+    const worstOf = (key, pick = Math.max) => {
+        const values = corners.map(corner => corner.calculation.operatingPoint[key]).filter(Number.isFinite);
+        return values.length > 0 ? pick(...values) : null;
+    };
+    const worstCase = {
+        currentRippleRatio: worstOf("currentRippleRatio"),
+        voltageRippleRatio: worstOf("voltageRippleRatio"),
+        peakSwitchCurrent: worstOf("peakSwitchCurrent"),
+        inductorPeakCurrent: worstOf("inductorPeakCurrent") ?? worstOf("peakSwitchCurrent"),
+        efficiency: worstOf("efficiency", Math.min)
+    };
+
+    let rejection = null;
+    if (exceedsLimit(worstCase.currentRippleRatio, goals.currentRippleRatio)) rejection = "currentRipple";
+    else if (exceedsLimit(worstCase.voltageRippleRatio, goals.voltageRippleRatio)) rejection = "voltageRipple";
+    else if (exceedsLimit(worstCase.peakSwitchCurrent, goals.maxPeakCurrent)) rejection = "peakCurrent";
+    if (rejection !== null) return { rejection };
+
+    // The form takes a single Vin, so a candidate loads at the point with the largest current ripple
+    const designCorner = corners.reduce((worst, corner) =>
+        corner.calculation.operatingPoint.currentRippleRatio > worst.calculation.operatingPoint.currentRippleRatio ? corner : worst);
+
+    // Energy stored at the worst-case peaks: ½·L·ILpk² + ½·C·Vout²
+    const storedEnergy = 0.5 * design.inductance * worstCase.inductorPeakCurrent ** 2 +
+        0.5 * design.capacitance * Math.abs(baseParameters.outputVoltage) ** 2;
+
+    return {
+        rejection: null,
+        candidate: {
+            ...design,
+            storedEnergy,
+            worstCase,
+            inputVoltage: designCorner.inputVoltage,
+            calculation: designCorner.calculation,
+            corners
+        }
+    };
+}
+
+/**
+ * Searches switching frequency, inductance and capacitance for designs that meet the ripple and size goals
+ * over the whole input-voltage range. Fs, L and C are taken from a standard-value series; for each Fs the
+ * smallest L meeting ΔI/I and the smallest C meeting ΔV/V at every Vin point are tried with a few larger values.
+ *
+ * @param {Object} parameters complete parameter set with Vout, Iout, topology, rectifier and any parasitics;
+ *   its Vin, Fs, L, C, D and ripple values are replaced
+ * @param {Object} goals
+ * @param {number} goals.inputVoltageMinimum lowest Vin in V
+ * @param {number} goals.inputVoltageMaximum highest Vin in V
+ * @param {number} goals.currentRippleRatio largest ΔI/I as a fraction
+ * @param {number} goals.voltageRippleRatio largest ΔV/V as a fraction
+ * @param {number} [goals.maxPeakCurrent] largest peak switch current in A
+ * @param {number} [goals.maxInductance] largest L in H, bounding inductor size and cost
+ * @param {number} [goals.maxCapacitance] largest C in F, bounding capacitor size and cost
+ * @param {string} [goals.objective] key of OPTIMIZATION_OBJECTIVES; default "energy"
+ * @param {Object} [options] `frequencyRange` {minimum, maximum} in Hz, `series` ("E6", "E12", "E24"),
+ *   `candidateCount` and `inputVoltagePoints`
+ * @returns {{objective, inputVoltages: number[], candidates: Object[], evaluatedCount: number, rejections: Object}}
+ *   candidates ranked best first, each with switchingFrequency, inductance, capacitance, score, storedEnergy,
+ *   worstCase values, the design-point inputVoltage and calculation, and the calculation at every Vin point
+ * @throws {Error} for missing specifications or goals, or an objective the parameters cannot evaluate
+ */
+export function optimizeDesign(parameters, goals, options = {}) {
+    const objective = OPTIMIZATION_OBJECTIVES[goals.objective || "energy"];
+    if (!objective) {
+        throw new Error(`Unknown objective "${goals.objective}"; expected ${Object.keys(OPTIMIZATION_OBJECTIVES).join(" or ")}`);
+    }
+    const { inputVoltageMinimum, inputVoltageMaximum, currentRippleRatio, voltageRippleRatio } = goals;
+    if (!(inputVoltageMinimum > 0) || !(inputVoltageMaximum >= inputVoltageMinimum)) {
+        throw new Error("The input voltage range needs 0 < Vin,min ≤ Vin,max");
+    }
+    if (!Number.isFinite(parameters.outputVoltage) || parameters.outputVoltage === 0 || !(parameters.outputCurrent > 0)) {
+        throw new Error("The optimizer needs Vout and a positive Iout");
+    }
+    if (!(currentRippleRatio > 0) || !(voltageRippleRatio > 0)) {
+        throw new Error("The optimizer needs positive ΔI/I and ΔV/V limits");
+    }
+    if (objective.requiresLosses && !PARASITIC_PARAMETER_KEYS.some(key => parameters[key] > 0)) {
+        throw new Error(`"${objective.label}" needs the loss parasitics, e.g. the MOSFET on-resistance or diode forward voltage`);
+    }
+
+    const series = options.series || DEFAULT_OPTIMIZER_SERIES;
+    const frequencyRange = options.frequencyRange || DEFAULT_FREQUENCY_RANGE;
+    const baseParameters = { ...parameters };
+    OPTIMIZER_DESIGN_KEYS.forEach(key => baseParameters[key] = null);
+    const inputVoltages = createInputVoltagePoints(inputVoltageMinimum, inputVoltageMaximum,
+        options.inputVoltagePoints || DEFAULT_INPUT_VOLTAGE_POINTS);
+    const atEveryInputVoltage = (values) => inputVoltages.map(inputVoltage => ({ ...baseParameters, ...values, inputVoltage }));
+
+    const rejections = Object.fromEntries(Object.keys(OPTIMIZER_REJECTIONS).map(key => [key, 0]));
+    const candidates = [];
+    let evaluatedCount = 0;
+
+    listESeriesValues(series, frequencyRange.minimum, frequencyRange.maximum).forEach(switchingFrequency => {
+        const requiredInductance = findWorstSolvedValue(atEveryInputVoltage({ switchingFrequency, currentRippleRatio }), "inductance");
+        if (requiredInductance === null) {
+            rejections.validation++;
+            return;
+        }
+        const inductances = listESeriesValues(series, requiredInductance, requiredInductance * 10).slice(0, INDUCTANCE_STEPS);
+        const fittingInductances = inductances.filter(inductance => !exceedsLimit(inductance, goals.maxInductance));
+        rejections.inductance += inductances.length - fittingInductances.length;
+
+        fittingInductances.forEach(inductance => {
+            const requiredCapacitance = findWorstSolvedValue(
+                atEveryInputVoltage({ switchingFrequency, inductance, voltageRippleRatio }), "capacitance");
+            if (requiredCapacitance === null) {
+                rejections.validation++;
+                return;
+            }
+            const capacitances = listESeriesValues(series, requiredCapacitance, requiredCapacitance * 10).slice(0, CAPACITANCE_STEPS);
+            const fittingCapacitances = capacitances.filter(capacitance => !exceedsLimit(capacitance, goals.maxCapacitance));
+            rejections.capacitance += capacitances.length - fittingCapacitances.length;
+
+            fittingCapacitances.forEach(capacitance => {
+                evaluatedCount++;
+                const evaluation = evaluateCandidate(baseParameters, inputVoltages, { switchingFrequency, inductance, capacitance }, goals);
+                if (evaluation.rejection !== null) {
+                    rejections[evaluation.rejection]++;
+                    return;
+                }
+                candidates.push({ ...evaluation.candidate, score: objective.score(evaluation.candidate) });
+            });
+        });
+    });
+
+    // Best score first; ties go to the smaller stored energy, then the lower frequency
+    const sign = objective.direction === "minimize" ? 1 : -1;
+    candidates.sort((a, b) => sign * (a.score - b.score) || a.storedEnergy - b.storedEnergy || a.switchingFrequency - b.switchingFrequency);
+
+    return {
+        objective,
+        inputVoltages,
+        candidates: candidates.slice(0, options.candidateCount || DEFAULT_CANDIDATE_COUNT),
+        evaluatedCount,
+        rejections
+    };
+}
@@ -0,0 +1,152 @@
+// Calculation Constants
+export const CALCULATION_TOLERANCE = 0.05; // 5% tolerance for validation
+
+export const PARASITIC_PARAMETER_LABELS = {
+    mosfetOnResistance: "MOSFET on-resistance",
+    switchRiseTime: "Switch rise time",
+    switchFallTime: "Switch fall time",
+    gateCharge: "Gate charge",
+    gateDriveVoltage: "Gate drive voltage",
+    diodeForwardVoltage: "Diode forward voltage",
+    syncOnResistance: "Sync FET on-resistance",
+    inductorDcr: "Inductor DCR",
+    capacitorEsr: "Capacitor ESR"
+};
+
+export const PARASITIC_PARAMETER_KEYS = Object.keys(PARASITIC_PARAMETER_LABELS);
+
+export const PARASITIC_PARAMETER_UNITS = {
+    mosfetOnResistance: "Ω",
+    switchRiseTime: "s",
+    switchFallTime: "s",
+    gateCharge: "C",
+    gateDriveVoltage: "V",
+    diodeForwardVoltage: "V",
+    syncOnResistance: "Ω",
+    inductorDcr: "Ω",
+    capacitorEsr: "Ω"
+};
+
+// Thermal resistances, ambient and ratings for the stress and derating checks
+export const STRESS_PARAMETER_LABELS = {
+    ambientTemperature: "Ambient temperature",
+    switchJunctionToCase: "Switch Rθjc",
+    switchCaseToAmbient: "Switch Rθca",
+    rectifierJunctionToCase: "Rectifier Rθjc",
+    rectifierCaseToAmbient: "Rectifier Rθca",
+    junctionTemperatureLimit: "Junction temperature limit",
+    switchVoltageRating: "Switch voltage rating",
+    rectifierVoltageRating: "Rectifier voltage rating",
+    inputCapacitorVoltageRating: "Input capacitor voltage rating",
+    outputCapacitorVoltageRating: "Output capacitor voltage rating"
+};
+
+export const STRESS_PARAMETER_KEYS = Object.keys(STRESS_PARAMETER_LABELS);
+
+export const STRESS_PARAMETER_UNITS = {
+    ambientTemperature: "°C",
+    switchJunctionToCase: "°C/W",
+    switchCaseToAmbient: "°C/W",
+    rectifierJunctionToCase: "°C/W",
+    rectifierCaseToAmbient: "°C/W",
+    junctionTemperatureLimit: "°C",
+    switchVoltageRating: "V",
+    rectifierVoltageRating: "V",
+    inputCapacitorVoltageRating: "V",
+    outputCapacitorVoltageRating: "V"
+};
+
+// Result categories shared by the results panel and the exported reports
+export const RESULT_CATEGORIES = [
+    {
+        title: "⚡ Basic Parameters",
+        items: [
+            { key: 'dutyCycle', label: 'Duty Cycle (D)', unit: 'ratio' },
+            { key: 'inputVoltage', label: 'Input Voltage (Vin)', unit: 'V' },
+            { key: 'outputVoltage', label: 'Output Voltage (Vout)', unit: 'V' },
+            { key: 'inputCurrent', label: 'Input Current (Iin)', unit: 'A' },
+            { key: 'outputCurrent', label: 'Output Current (Iout)', unit: 'A' }
+        ]
+    },
+    {
+        title: "🔧 Component Values",
+        items: [
+            { key: 'inductance', label: 'Inductance (L)', unit: 'H' },
+            { key: 'capacitance', label: 'Capacitance (C)', unit: 'F' },
+            { key: 'switchingFrequency', label: 'Switching Frequency (Fs)', unit: 'Hz' },
+            { key: 'equivalentSeriesResistance', label: 'ESR (Req)', unit: 'Ω' }
+        ]
+    },
+    {
+        title: "📊 Ripple Analysis",
+        items: [
+            { key: 'inductorCurrentRipple', label: 'Inductor Current Ripple (ΔIL)', unit: 'A' },
+            { key: 'outputVoltageRipple', label: 'Output Voltage Ripple (ΔVout)', unit: 'V' },
+            { key: 'voltageRippleRatio', label: 'Voltage Ripple Ratio (ΔV/V)', unit: '%' },
+            { key: 'currentRippleRatio', label: 'Current Ripple Ratio (ΔI/I)', unit: '%' }
+        ]
+    },
+    {
+        title: "⚡ Power & Performance",
+        items: [
+            { key: 'outputPower', label: 'Output Power (Pout)', unit: 'W' },
+            { key: 'inputPower', label: 'Input Power (Pin)', unit: 'W' },
+            { key: 'peakSwitchCurrent', label: 'Peak Switch Current', unit: 'A' }
+        ]
+    },
+    {
+        title: "🔁 Operating Mode",
+        items: [
+            { key: 'operatingMode', label: 'Conduction Mode', unit: 'text' },
+            { key: 'criticalLoadCurrent', label: 'Critical Load Current (Icrit)', unit: 'A' },
+            { key: 'criticalInductance', label: 'Critical Inductance (Lcrit)', unit: 'H' },
+            { key: 'diodeConductionRatio', label: 'Rectifier Conduction Ratio (D2)', unit: 'ratio' }
+        ]
+    },
+    {
+        title: "🔥 Losses & Efficiency",
+        items: [
+            { key: 'correctedDutyCycle', label: 'Corrected Duty Cycle (D\')', unit: 'ratio' },
+            { key: 'mosfetConductionLoss', label: 'MOSFET Conduction Loss', unit: 'W' },
+            { key: 'switchingLoss', label: 'Switching Loss', unit: 'W' },
+            { key: 'gateDriveLoss', label: 'Gate Drive Loss', unit: 'W' },
+            { key: 'rectifierLoss', label: 'Rectifier Loss', unit: 'W' },
+            { key: 'inductorCopperLoss', label: 'Inductor DCR Loss', unit: 'W' },
+            { key: 'capacitorEsrLoss', label: 'Capacitor ESR Loss', unit: 'W' },
+            { key: 'totalPowerLoss', label: 'Total Power Loss', unit: 'W' },
+            { key: 'efficiency', label: 'Efficiency (η)', unit: '%' }
+        ]
+    },
+    {
+        title: "🧱 Component Stress",
+        items: [
+            { key: 'switchRmsCurrent', label: 'Switch RMS Current', unit: 'A' },
+            { key: 'rectifierRmsCurrent', label: 'Rectifier RMS Current', unit: 'A' },
+            { key: 'rectifierAverageCurrent', label: 'Rectifier Average Current', unit: 'A' },
+            { key: 'inductorRmsCurrent', label: 'Inductor RMS Current', unit: 'A' },
+            { key: 'inductorPeakCurrent', label: 'Inductor Peak Current', unit: 'A' },
+            { key: 'inputCapacitorRmsCurrent', label: 'Input Capacitor Ripple Current (RMS)', unit: 'A' },
+            { key: 'outputCapacitorRmsCurrent', label: 'Output Capacitor Ripple Current (RMS)', unit: 'A' },
+            { key: 'switchVoltageStress', label: 'Switch Voltage Stress', unit: 'V' },
+            { key: 'rectifierVoltageStress', label: 'Rectifier Voltage Stress', unit: 'V' },
+            { key: 'inputCapacitorVoltageStress', label: 'Input Capacitor Voltage Stress', unit: 'V' },
+            { key: 'outputCapacitorVoltageStress', label: 'Output Capacitor Voltage Stress', unit: 'V' }
+        ]
+    },
+    {
+        title: "🌡️ Thermal & Derating",
+        items: [
+            { key: 'switchPowerDissipation', label: 'Switch Dissipation (per device)', unit: 'W' },
+            { key: 'switchCaseTemperature', label: 'Switch Case Temperature (Tc)', unit: '°C' },
+            { key: 'switchJunctionTemperature', label: 'Switch Junction Temperature (Tj)', unit: '°C' },
+            { key: 'rectifierPowerDissipation', label: 'Rectifier Dissipation (per device)', unit: 'W' },
+            { key: 'rectifierCaseTemperature', label: 'Rectifier Case Temperature (Tc)', unit: '°C' },
+            { key: 'rectifierJunctionTemperature', label: 'Rectifier Junction Temperature (Tj)', unit: '°C' },
+            { key: 'switchVoltageUtilization', label: 'Switch Voltage / Rating', unit: '%' },
+            { key: 'rectifierVoltageUtilization', label: 'Rectifier Voltage / Rating', unit: '%' },
+            { key: 'inputCapacitorVoltageUtilization', label: 'Input Capacitor Voltage / Rating', unit: '%' },
+            { key: 'outputCapacitorVoltageUtilization', label: 'Output Capacitor Voltage / Rating', unit: '%' }
+        ]
+    }
+];
+
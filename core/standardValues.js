@@ -0,0 +1,81 @@
+import { buildOperatingPointParameters, runCalculation } from "./calculation.js";
+import { formatOutputValue } from "./format.js";
+import { CALCULATION_TOLERANCE } from "./parameters.js";
+
+// IEC 60063 preferred-number series
+export const E_SERIES = {
+    E6: [1.0, 1.5, 2.2, 3.3, 4.7, 6.8],
+    E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2],
+    E24: [
+        1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0,
+        3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1
+    ]
+};
+
+// Standard Values
+export function snapToESeries(value, seriesName) {
+    const series = E_SERIES[seriesName];
+    if (!series || value === null || !(value > 0)) return value;
+
+    const decade = 10 ** Math.floor(Math.log10(value));
+    const candidates = [...series, 10].map(mantissa => Number((mantissa * decade).toPrecision(3)));
+
+    // Nearest in log space, as the series are geometrically spaced
+    return candidates.reduce((best, candidate) =>
+        Math.abs(Math.log(candidate / value)) < Math.abs(Math.log(best / value)) ? candidate : best);
+}
+
+// Every value of the series from minimum to maximum inclusive, in ascending order
+export function listESeriesValues(seriesName, minimum, maximum) {
+    const series = E_SERIES[seriesName];
+    if (!series || !(minimum > 0) || !(maximum >= minimum)) return [];
+
+    const values = [];
+    for (let exponent = Math.floor(Math.log10(minimum)); exponent <= Math.ceil(Math.log10(maximum)); exponent++) {
+        series.forEach(mantissa => {
+            const value = Number((mantissa * 10 ** exponent).toPrecision(3));
+            if (value >= minimum * (1 - 1e-9) && value <= maximum * (1 + 1e-9)) values.push(value);
+        });
+    }
+    return values;
+}
+
+export function snapCalculationToStandardValues(calculation, seriesName) {
+    const { parameters, networkSolution, computed } = calculation;
+    const solvedValues = { ...networkSolution.values, ...computed };
+
+    // Only computed L and C are snapped; entered values are already real parts
+    const snappedKeys = ["inductance", "capacitance"].filter(key =>
+        computed[key] !== undefined && computed[key] !== null);
+    if (snappedKeys.length === 0) return null;
+
+    const overrides = {};
+    snappedKeys.forEach(key => overrides[key] = snapToESeries(computed[key], seriesName));
+
+    const snappedCalculation = runCalculation(buildOperatingPointParameters(parameters, solvedValues, overrides));
+    Object.assign(snappedCalculation.computed, overrides);
+    snappedCalculation.snapping = snappedKeys.map(key => ({ key, series: seriesName, exact: computed[key], snapped: overrides[key] }));
+    snappedCalculation.exactCalculation = calculation;
+
+    const units = { inductance: "H", capacitance: "F" };
+    const labels = { inductance: "Inductance (L)", capacitance: "Capacitance (C)" };
+    snappedCalculation.notes = snappedKeys.filter(key => Math.abs(overrides[key] / computed[key] - 1) > 1e-9).map(key =>
+        `${labels[key]} snapped to ${seriesName}: ${formatOutputValue(computed[key], units[key])} → ${formatOutputValue(overrides[key], units[key])}; ripple results use the snapped value`);
+
+    // Snapped parts may no longer meet the original ripple targets
+    const rippleTargets = [
+        { key: "inductorCurrentRipple", label: "Inductor current ripple ΔIL", unit: "A" },
+        { key: "outputVoltageRipple", label: "Output voltage ripple ΔVout", unit: "V" }
+    ];
+    rippleTargets.forEach(target => {
+        const targetValue = solvedValues[target.key];
+        const snappedValue = snappedCalculation.computed[target.key];
+        if (targetValue !== null && snappedValue !== undefined && snappedValue > targetValue * (1 + CALCULATION_TOLERANCE)) {
+            snappedCalculation.validation.warnings.push(
+                `${target.label} with standard values is ${formatOutputValue(snappedValue, target.unit)}, above the target ${formatOutputValue(targetValue, target.unit)}`
+            );
+        }
+    });
+
+    return snappedCalculation;
+}
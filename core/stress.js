@@ -0,0 +1,122 @@
+import { calculatePowerLosses, hasParasitics } from "./calculation.js";
+import { formatOutputValue } from "./format.js";
+import { getTopology } from "./topologyRegistry.js";
+
+// Derating Rules
+export const VOLTAGE_DERATING_FACTOR = 0.8; // Devices and capacitors run at most at 80% of their rated voltage
+export const DEFAULT_JUNCTION_TEMPERATURE_LIMIT = 125; // °C, used when no limit is entered
+export const DEFAULT_AMBIENT_TEMPERATURE = 25; // °C, used when no ambient is entered
+
+const VOLTAGE_DERATING_CHECKS = [
+    { label: "Switch", stressKey: "switchVoltageStress", ratingKey: "switchVoltageRating", utilizationKey: "switchVoltageUtilization" },
+    { label: "Rectifier", stressKey: "rectifierVoltageStress", ratingKey: "rectifierVoltageRating", utilizationKey: "rectifierVoltageUtilization" },
+    { label: "Input capacitor", stressKey: "inputCapacitorVoltageStress", ratingKey: "inputCapacitorVoltageRating", utilizationKey: "inputCapacitorVoltageUtilization" },
+    { label: "Output capacitor", stressKey: "outputCapacitorVoltageStress", ratingKey: "outputCapacitorVoltageRating", utilizationKey: "outputCapacitorVoltageUtilization" }
+];
+
+// Semiconductors with a junction → case → ambient thermal path; result keys are prefixed with the id
+const THERMAL_DEVICES = [
+    { id: "switch", label: "Switch", junctionToCaseKey: "switchJunctionToCase", caseToAmbientKey: "switchCaseToAmbient" },
+    { id: "rectifier", label: "Rectifier", junctionToCaseKey: "rectifierJunctionToCase", caseToAmbientKey: "rectifierCaseToAmbient" }
+];
+
+function calculateDeviceTemperatures(calculationParameters, powerLosses, switchCount) {
+    const ambientTemperature = calculationParameters.ambientTemperature ?? DEFAULT_AMBIENT_TEMPERATURE;
+    const dissipations = {
+        switch: (powerLosses.mosfetConductionLoss + powerLosses.switchingLoss) / switchCount,
+        rectifier: powerLosses.rectifierLoss / switchCount
+    };
+    const values = {};
+
+    THERMAL_DEVICES.forEach(device => {
+        const power = dissipations[device.id];
+        const caseToAmbient = calculationParameters[device.caseToAmbientKey];
+        const junctionToCase = calculationParameters[device.junctionToCaseKey];
+        values[`${device.id}PowerDissipation`] = power;
+        if (caseToAmbient === null || caseToAmbient === undefined) return;
+
+        const caseTemperature = ambientTemperature + power * caseToAmbient;
+        values[`${device.id}CaseTemperature`] = caseTemperature;
+        if (junctionToCase !== null && junctionToCase !== undefined) {
+            values[`${device.id}JunctionTemperature`] = caseTemperature + power * junctionToCase;
+        }
+    });
+    return values;
+}
+
+// Component Stress
+// RMS currents and voltage stresses on every power component, device temperatures when thermal resistances
+// are given, and the derating warnings for entered ratings. `powerLosses` defaults to calculatePowerLosses
+// when parasitics are entered.
+export function analyzeComponentStresses(calculationParameters, operatingValues, operatingMode = null, powerLosses = undefined) {
+    const { inputVoltage, outputVoltage, outputCurrent, dutyCycle, outputVoltageRipple } = operatingValues;
+    if ([inputVoltage, outputVoltage, outputCurrent, dutyCycle].some(value => value === null || value === undefined)) {
+        return { values: {}, warnings: [] };
+    }
+    if (inputVoltage <= 0 || outputVoltage <= 0 || outputCurrent <= 0 || !(dutyCycle > 0 && dutyCycle < 1)) {
+        return { values: {}, warnings: [] };
+    }
+
+    const topology = getTopology(calculationParameters.topology);
+    const losses = powerLosses ?? (hasParasitics(calculationParameters)
+        ? calculatePowerLosses(operatingValues, calculationParameters, operatingMode)
+        : null);
+    const isDiscontinuous = operatingMode !== null && operatingMode.mode === "DCM";
+    const stressDutyCycle = isDiscontinuous
+        ? operatingMode.dutyCycle
+        : (Number.isFinite(losses?.correctedDutyCycle) ? losses.correctedDutyCycle : dutyCycle);
+
+    const currents = topology.calculateCurrentStresses(operatingValues, operatingMode, stressDutyCycle);
+    const inputCurrent = losses ? losses.inputCurrent : outputVoltage * outputCurrent / inputVoltage;
+    const deviceVoltage = topology.calculateDeviceVoltage(operatingValues);
+    const rms = (square) => Math.sqrt(Math.max(square, 0));
+
+    const values = {
+        switchRmsCurrent: rms(currents.switchRmsSquared),
+        rectifierRmsCurrent: rms(currents.rectifierRmsSquared),
+        rectifierAverageCurrent: currents.rectifierAverage,
+        inductorRmsCurrent: rms(currents.windingRmsSquared),
+        inputCapacitorRmsCurrent: rms(currents.inputRmsSquared - inputCurrent ** 2),
+        outputCapacitorRmsCurrent: rms(currents.capacitorRmsSquared),
+        switchVoltageStress: deviceVoltage,
+        rectifierVoltageStress: deviceVoltage,
+        inputCapacitorVoltageStress: inputVoltage,
+        outputCapacitorVoltageStress: outputVoltage + (outputVoltageRipple || 0) / 2
+    };
+    // Trapezoidal winding current in CCM, a triangle from zero in DCM
+    const { inductorCurrentRipple } = operatingValues;
+    if (inductorCurrentRipple !== null && inductorCurrentRipple !== undefined) {
+        values.inductorPeakCurrent = isDiscontinuous
+            ? inductorCurrentRipple
+            : rms(currents.windingRmsSquared - inductorCurrentRipple ** 2 / 12) + inductorCurrentRipple / 2;
+    }
+    if (losses) Object.assign(values, calculateDeviceTemperatures(calculationParameters, losses, topology.switchCount || 1));
+
+    const warnings = [];
+    VOLTAGE_DERATING_CHECKS.forEach(check => {
+        const rating = calculationParameters[check.ratingKey];
+        if (!(rating > 0)) return;
+
+        const stress = values[check.stressKey];
+        values[check.utilizationKey] = stress / rating;
+        if (stress > rating * VOLTAGE_DERATING_FACTOR) {
+            warnings.push(
+                `${check.label} voltage stress ${formatOutputValue(stress, "V")} exceeds ${VOLTAGE_DERATING_FACTOR * 100}% ` +
+                `of its ${formatOutputValue(rating, "V")} rating`
+            );
+        }
+    });
+
+    const junctionTemperatureLimit = calculationParameters.junctionTemperatureLimit ?? DEFAULT_JUNCTION_TEMPERATURE_LIMIT;
+    THERMAL_DEVICES.forEach(device => {
+        const junctionTemperature = values[`${device.id}JunctionTemperature`];
+        if (junctionTemperature !== undefined && junctionTemperature > junctionTemperatureLimit) {
+            warnings.push(
+                `${device.label} junction temperature ${formatOutputValue(junctionTemperature, "°C")} exceeds ` +
+                `the ${formatOutputValue(junctionTemperatureLimit, "°C")} limit; reduce its losses or thermal resistance`
+            );
+        }
+    });
+
+    return { values, warnings };
+}
@@ -0,0 +1,50 @@
+import { formatOutputValue } from "../format.js";
+import { registerTopology } from "../topologyRegistry.js";
+import { createBoostDerivedTopology } from "./boostDerived.js";
+
+// Boost Topology
+// The inductor charges from Vin and then discharges in series with Vin, so Vout = Vin / (1 − D).
+function validateBoostOperatingPoint(calculationParameters) {
+    const { inputVoltage, outputVoltage } = calculationParameters;
+    const warnings = [];
+
+    if (inputVoltage !== null && outputVoltage !== null && outputVoltage <= inputVoltage) {
+        warnings.push(
+            `Boost converter requires Vout > Vin. Current: Vout = ${formatOutputValue(outputVoltage, "V")}, Vin = ${formatOutputValue(inputVoltage, "V")}`
+        );
+    }
+    return { warnings, errors: [] };
+}
+
+registerTopology(createBoostDerivedTopology({
+    id: "boost",
+    label: "Boost",
+    dutyConstraint: {
+        id: "dutyCycle",
+        label: "Duty cycle",
+        equation: "D = 1 - Vin / Vout",
+        variables: ["dutyCycle", "inputVoltage", "outputVoltage"],
+        absoluteTolerance: true,
+        solvers: {
+            dutyCycle: (v) => 1 - v.inputVoltage / v.outputVoltage,
+            inputVoltage: (v) => v.outputVoltage * (1 - v.dutyCycle),
+            outputVoltage: (v) => v.inputVoltage / (1 - v.dutyCycle)
+        }
+    },
+    transferVoltage: (v) => v.outputVoltage - v.inputVoltage,
+    switchVoltage: (v) => v.outputVoltage,
+    offStateSource: true,
+    continuousInputCurrent: true,
+    inductorAverageCurrents: (outputCurrent, dutyCycle) => [outputCurrent / (1 - dutyCycle)],
+    averageInductorLabel: "Average Inductor Current (IL)",
+    validateOperatingPoint: validateBoostOperatingPoint,
+    derivedEquations: [
+        { key: "criticalLoadCurrent", label: "Critical load current", equation: "Icrit = Vin * D * (1 - D) / (2 * L * Fs)" },
+        { key: "criticalInductance", label: "Critical inductance", equation: "Lcrit = Vin * D * (1 - D) / (2 * Iout * Fs)" },
+        { key: "diodeConductionRatio", label: "DCM duty cycle", equation: "D = √(2 * L * Fs * Iout * (Vout - Vin)) / Vin, D2 = Vin * D / (Vout - Vin)" },
+        { key: "averageInductorCurrent", label: "Average inductor current", equation: "IL = Iout / (1 - D)" },
+        { key: "peakSwitchCurrent", label: "Peak switch current", equation: "Ipk = IL + ΔIL / 2 (CCM), Ipk = Vin * D / (L * Fs) (DCM)" },
+        { key: "equivalentSeriesResistance", label: "Equivalent series resistance", equation: "ESR = (ΔVout - Iout * D / (Fs * C)) / (IL + ΔIL / 2)" },
+        { key: "correctedDutyCycle", label: "Corrected duty cycle", equation: "D' = (Vout + Vrect + IL * DCR - Vin) / (Vout + Vrect - IL * Rds(on))" }
+    ]
+}));
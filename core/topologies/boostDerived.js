@@ -0,0 +1,265 @@
+import { CALCULATION_TOLERANCE, RESULT_CATEGORIES } from "../parameters.js";
+
+// Boost-Derived Topologies
+// The inductor charges from Vin while the switch is on and discharges into the output while it is off,
+// so the output capacitor sees the pulsed rectifier current. Boost, buck-boost, inverting and SEPIC
+// modules describe their conversion ratio and currents; this factory supplies the shared physics.
+const DUTY_CYCLE_CORRECTION_ITERATIONS = 50;
+
+// ΔIL = Vin·D / (L·Fs): each inductor sees Vin for the on-time
+const ON_TIME_RIPPLE_CONSTRAINT = {
+    id: "inductorRipple",
+    label: "Inductor ripple",
+    equation: "ΔIL = Vin * D / (L * Fs)",
+    variables: ["inductorCurrentRipple", "inputVoltage", "dutyCycle", "inductance", "switchingFrequency"],
+    solvers: {
+        inductorCurrentRipple: (v) => v.inputVoltage * v.dutyCycle / (v.inductance * v.switchingFrequency),
+        inductance: (v) => v.inputVoltage * v.dutyCycle / (v.inductorCurrentRipple * v.switchingFrequency),
+        switchingFrequency: (v) => v.inputVoltage * v.dutyCycle / (v.inductance * v.inductorCurrentRipple)
+    }
+};
+
+// ΔVout = Iout·D / (Fs·C): the capacitor alone supplies the load during the on-time
+const PULSED_OUTPUT_RIPPLE_CONSTRAINT = {
+    id: "outputRipple",
+    label: "Output ripple",
+    equation: "ΔVout = Iout * D / (Fs * C)",
+    variables: ["outputVoltageRipple", "outputCurrent", "dutyCycle", "switchingFrequency", "capacitance"],
+    solvers: {
+        outputVoltageRipple: (v) => v.outputCurrent * v.dutyCycle / (v.switchingFrequency * v.capacitance),
+        capacitance: (v) => v.outputCurrent * v.dutyCycle / (v.switchingFrequency * v.outputVoltageRipple),
+        switchingFrequency: (v) => v.outputCurrent * v.dutyCycle / (v.capacitance * v.outputVoltageRipple)
+    }
+};
+
+const OUTPUT_VOLTAGE_RIPPLE_RATIO_CONSTRAINT = {
+    id: "voltageRippleRatio",
+    label: "Voltage ripple ratio",
+    equation: "ΔV/V = ΔVout / Vout",
+    variables: ["voltageRippleRatio", "outputVoltageRipple", "outputVoltage"],
+    absoluteTolerance: true,
+    solvers: {
+        voltageRippleRatio: (v) => v.outputVoltageRipple / v.outputVoltage,
+        outputVoltageRipple: (v) => v.voltageRippleRatio * v.outputVoltage,
+        outputVoltage: (v) => v.outputVoltageRipple / v.voltageRippleRatio
+    }
+};
+
+// ΔI/I = ΔIL / IL with IL = Iout / (1 − D), the inductor current of a single-inductor stage
+const INDUCTOR_CURRENT_RIPPLE_RATIO_CONSTRAINT = {
+    id: "currentRippleRatio",
+    label: "Current ripple ratio",
+    equation: "ΔI/I = ΔIL * (1 - D) / Iout",
+    variables: ["currentRippleRatio", "inductorCurrentRipple", "outputCurrent", "dutyCycle"],
+    absoluteTolerance: true,
+    solvers: {
+        currentRippleRatio: (v) => v.inductorCurrentRipple * (1 - v.dutyCycle) / v.outputCurrent,
+        inductorCurrentRipple: (v) => v.currentRippleRatio * v.outputCurrent / (1 - v.dutyCycle),
+        outputCurrent: (v) => v.inductorCurrentRipple * (1 - v.dutyCycle) / v.currentRippleRatio
+    }
+};
+
+// Vout = Vin · D / (1 − D), shared by the inverting, non-inverting buck-boost and SEPIC stages
+export const BUCK_BOOST_DUTY_CONSTRAINT = {
+    id: "dutyCycle",
+    label: "Duty cycle",
+    equation: "D = Vout / (Vin + Vout)",
+    variables: ["dutyCycle", "inputVoltage", "outputVoltage"],
+    absoluteTolerance: true,
+    solvers: {
+        dutyCycle: (v) => v.outputVoltage / (v.inputVoltage + v.outputVoltage),
+        inputVoltage: (v) => v.outputVoltage * (1 - v.dutyCycle) / v.dutyCycle,
+        outputVoltage: (v) => v.inputVoltage * v.dutyCycle / (1 - v.dutyCycle)
+    }
+};
+
+export const BUCK_BOOST_DERIVED_EQUATIONS = [
+    { key: "criticalLoadCurrent", label: "Critical load current", equation: "Icrit = Vin * D * (1 - D) / (2 * L * Fs)" },
+    { key: "criticalInductance", label: "Critical inductance", equation: "Lcrit = Vin * D * (1 - D) / (2 * Iout * Fs)" },
+    { key: "diodeConductionRatio", label: "DCM duty cycle", equation: "D = √(2 * L * Fs * Iout * Vout) / Vin, D2 = Vin * D / Vout" },
+    { key: "averageInductorCurrent", label: "Average inductor current", equation: "IL = Iout / (1 - D)" },
+    { key: "peakSwitchCurrent", label: "Peak switch current", equation: "Ipk = IL + ΔIL / 2 (CCM), Ipk = Vin * D / (L * Fs) (DCM)" },
+    { key: "equivalentSeriesResistance", label: "Equivalent series resistance", equation: "ESR = (ΔVout - Iout * D / (Fs * C)) / (IL + ΔIL / 2)" },
+    { key: "correctedDutyCycle", label: "Corrected duty cycle", equation: "D' = (Vout + Vrect + IL * DCR) / (Vin - IL * Rds(on) + Vout + Vrect)" }
+];
+
+function insertResultItem(categories, categoryTitle, item) {
+    return categories.map(category => category.title === categoryTitle
+        ? { ...category, items: [...category.items, item] }
+        : category);
+}
+
+// definition fields:
+//   id, label, dutyConstraint, currentRippleRatioConstraint, derivedEquations, averageInductorLabel
+//   transferVoltage(values)        voltage the inductor discharges against (DCM energy balance)
+//   switchVoltage(values)          voltage commutated by the switches
+//   deviceVoltage(values)          off-state voltage across each switch and rectifier, optional (default switchVoltage)
+//   continuousInputCurrent         true when an inductor sits in series with Vin (boost, SEPIC)
+//   offStateSource                 true when Vin stays in the discharge path (boost)
+//   inductanceScale                equivalent inductance per L seen by the switch current (SEPIC: 1/2)
+//   inductorAverageCurrents(Iout, D)
+//   switchCount                    switches (and rectifiers) in series with the inductor current
+//   validateOperatingPoint(calculationParameters), optional
+export function createBoostDerivedTopology(definition) {
+    const inductanceScale = definition.inductanceScale || 1;
+    const switchCount = definition.switchCount || 1;
+
+    // Current commutated between switch and rectifier, and its ripple
+    const commutatedCurrent = (outputCurrent, dutyCycle) => outputCurrent / (1 - dutyCycle);
+    const commutatedRipple = (inductorCurrentRipple) => (inductorCurrentRipple || 0) / inductanceScale;
+
+    const analyzeOperatingMode = (solvedValues, rectifierType) => {
+        const { inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance } = solvedValues;
+        if ([inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance].some(value => value === null)) return null;
+        if (inputVoltage <= 0 || outputVoltage <= 0 || outputCurrent <= 0) return null;
+
+        const continuousDutyCycle = definition.dutyConstraint.solvers.dutyCycle(solvedValues);
+        if (!(continuousDutyCycle > 0 && continuousDutyCycle < 1)) return null;
+
+        // Boundary where the summed inductor current just reaches zero at the end of the off-time
+        const equivalentInductance = inductance * inductanceScale;
+        const boundaryProduct = inputVoltage * continuousDutyCycle * (1 - continuousDutyCycle);
+        const criticalLoadCurrent = boundaryProduct / (2 * equivalentInductance * switchingFrequency);
+        const criticalInductance = boundaryProduct / (2 * outputCurrent * switchingFrequency) / inductanceScale;
+        const boundary = { criticalLoadCurrent, criticalInductance };
+
+        if (rectifierType === "synchronous") {
+            return { mode: "CCM", label: "CCM (forced, synchronous)", ...boundary };
+        }
+
+        if (Math.abs(outputCurrent - criticalLoadCurrent) <= criticalLoadCurrent * CALCULATION_TOLERANCE) {
+            return { mode: "BCM", label: "BCM (boundary)", ...boundary };
+        }
+
+        if (outputCurrent > criticalLoadCurrent) {
+            return { mode: "CCM", label: "CCM (continuous)", ...boundary };
+        }
+
+        // DCM: ½·Le·Ipk²·Fs = Iout·Vt, so D = √(2·Le·Fs·Iout·Vt) / Vin and D2 = Vin·D / Vt
+        const transferVoltage = definition.transferVoltage(solvedValues);
+        const dutyCycle = Math.sqrt(2 * equivalentInductance * switchingFrequency * outputCurrent * transferVoltage) / inputVoltage;
+        const peakCurrent = inputVoltage * dutyCycle / (equivalentInductance * switchingFrequency);
+        const secondaryDutyCycle = inputVoltage * dutyCycle / transferVoltage;
+
+        return {
+            mode: "DCM",
+            label: "DCM (discontinuous)",
+            ...boundary,
+            dutyCycle,
+            secondaryDutyCycle,
+            peakCurrent,
+            inductorCurrentRipple: inputVoltage * dutyCycle / (inductance * switchingFrequency),
+            // Rectifier charge above Iout: ΔQ = (Ipk − Iout)²·D2 / (2·Ipk·Fs)
+            rippleCharge: (peakCurrent - outputCurrent) ** 2 * secondaryDutyCycle / (2 * peakCurrent * switchingFrequency)
+        };
+    };
+
+    // In DCM the effective duty cycle is the one whose CCM commutated current matches the DCM average
+    const effectiveDutyCycle = (outputCurrent, operatingMode, dutyCycle) => {
+        if (operatingMode === null || operatingMode.mode !== "DCM") return dutyCycle;
+        const { secondaryDutyCycle, peakCurrent } = operatingMode;
+        const averageCurrent = (operatingMode.dutyCycle + secondaryDutyCycle) * peakCurrent / 2;
+        return 1 - outputCurrent / averageCurrent;
+    };
+
+    const deriveCurrents = (operatingValues, operatingMode) => {
+        const { outputCurrent, dutyCycle, inductorCurrentRipple } = operatingValues;
+        const isDiscontinuous = operatingMode !== null && operatingMode.mode === "DCM";
+        const averageDutyCycle = effectiveDutyCycle(outputCurrent, operatingMode, dutyCycle);
+
+        return {
+            averageInductorCurrent: definition.inductorAverageCurrents(outputCurrent, averageDutyCycle)[0],
+            peakSwitchCurrent: isDiscontinuous
+                ? operatingMode.peakCurrent
+                : commutatedCurrent(outputCurrent, dutyCycle) + commutatedRipple(inductorCurrentRipple) / 2
+        };
+    };
+
+    const calculateCurrentStresses = (operatingValues, operatingMode, dutyCycle) => {
+        const { outputCurrent } = operatingValues;
+
+        if (operatingMode !== null && operatingMode.mode === "DCM") {
+            const { secondaryDutyCycle, peakCurrent } = operatingMode;
+            const switchRmsSquared = dutyCycle * peakCurrent ** 2 / 3;
+            const rectifierRmsSquared = secondaryDutyCycle * peakCurrent ** 2 / 3;
+            const inductorRmsSquared = inductanceScale * (dutyCycle + secondaryDutyCycle) * peakCurrent ** 2 / 3;
+            // Triangular winding currents shared equally between the inductors
+            const windingRmsSquared = inductorRmsSquared / definition.inductorAverageCurrents(outputCurrent, dutyCycle).length;
+            return {
+                switchRmsSquared,
+                rectifierRmsSquared,
+                rectifierAverage: secondaryDutyCycle * peakCurrent / 2,
+                inductorRmsSquared,
+                windingRmsSquared,
+                capacitorRmsSquared: rectifierRmsSquared - outputCurrent ** 2,
+                inputRmsSquared: definition.continuousInputCurrent ? windingRmsSquared : switchRmsSquared,
+                turnOnCurrent: 0,
+                turnOffCurrent: peakCurrent
+            };
+        }
+
+        const switchedCurrent = commutatedCurrent(outputCurrent, dutyCycle);
+        const switchedRipple = commutatedRipple(operatingValues.inductorCurrentRipple);
+        const switchedRmsSquared = switchedCurrent ** 2 + switchedRipple ** 2 / 12;
+        const inductorCurrents = definition.inductorAverageCurrents(outputCurrent, dutyCycle);
+        const windingRmsSquares = inductorCurrents.map(current => current ** 2 + (operatingValues.inductorCurrentRipple || 0) ** 2 / 12);
+        const rectifierRmsSquared = (1 - dutyCycle) * switchedRmsSquared;
+
+        return {
+            switchRmsSquared: dutyCycle * switchedRmsSquared,
+            rectifierRmsSquared,
+            rectifierAverage: outputCurrent,
+            inductorRmsSquared: windingRmsSquares.reduce((sum, square) => sum + square, 0),
+            windingRmsSquared: Math.max(...windingRmsSquares),
+            capacitorRmsSquared: rectifierRmsSquared - outputCurrent ** 2,
+            // A series input inductor draws a continuous current; otherwise the input sees the switch pulses
+            inputRmsSquared: definition.continuousInputCurrent ? windingRmsSquares[0] : dutyCycle * switchedRmsSquared,
+            turnOnCurrent: Math.max(switchedCurrent - switchedRipple / 2, 0),
+            turnOffCurrent: switchedCurrent + switchedRipple / 2
+        };
+    };
+
+    // Volt-second balance with drops; the drops depend on IL = Iout / (1 − D), so iterate to a fixed point
+    const correctDutyCycle = (operatingValues, drops) => {
+        const { inputVoltage, outputVoltage, outputCurrent } = operatingValues;
+        const offStateSource = definition.offStateSource ? inputVoltage : 0;
+        let dutyCycle = definition.dutyConstraint.solvers.dutyCycle(operatingValues);
+
+        for (let iteration = 0; iteration < DUTY_CYCLE_CORRECTION_ITERATIONS; iteration++) {
+            const switchedCurrent = commutatedCurrent(outputCurrent, dutyCycle);
+            const rectifierDrop = switchCount * drops.rectifierDrop(switchedCurrent);
+            const nextDutyCycle = (outputVoltage + rectifierDrop + switchedCurrent * drops.inductorResistance - offStateSource) /
+                (inputVoltage - switchedCurrent * switchCount * drops.switchResistance - offStateSource + outputVoltage + rectifierDrop);
+            if (!(nextDutyCycle > 0 && nextDutyCycle < 1)) return NaN;
+            dutyCycle = nextDutyCycle;
+        }
+        return dutyCycle;
+    };
+
+    return {
+        id: definition.id,
+        label: definition.label,
+        constraints: [
+            definition.dutyConstraint,
+            ON_TIME_RIPPLE_CONSTRAINT,
+            PULSED_OUTPUT_RIPPLE_CONSTRAINT,
+            OUTPUT_VOLTAGE_RIPPLE_RATIO_CONSTRAINT,
+            definition.currentRippleRatioConstraint || INDUCTOR_CURRENT_RIPPLE_RATIO_CONSTRAINT
+        ],
+        validateOperatingPoint: definition.validateOperatingPoint || (() => ({ warnings: [], errors: [] })),
+        analyzeOperatingMode,
+        deriveCurrents,
+        calculateCurrentStresses,
+        calculateSwitchVoltage: definition.switchVoltage,
+        calculateDeviceVoltage: definition.deviceVoltage || definition.switchVoltage,
+        correctDutyCycle,
+        // The capacitor current steps by the rectifier peak current at turn-off
+        esrRippleCurrent: (operatingValues) => commutatedCurrent(operatingValues.outputCurrent, operatingValues.dutyCycle) +
+            commutatedRipple(operatingValues.inductorCurrentRipple) / 2,
+        switchCount,
+        resultCategories: insertResultItem(RESULT_CATEGORIES, "⚡ Basic Parameters",
+            { key: "averageInductorCurrent", label: definition.averageInductorLabel, unit: "A" }),
+        derivedEquations: definition.derivedEquations,
+        features: { waveforms: false, simulation: false, compensation: false, componentSelection: false, inputFilter: false }
+    };
+}
@@ -0,0 +1,218 @@
+import { formatOutputValue } from "../format.js";
+import { CALCULATION_TOLERANCE, RESULT_CATEGORIES } from "../parameters.js";
+import { registerTopology } from "../topologyRegistry.js";
+
+// Buck Topology
+// Vin is chopped to Vout = D·Vin; the inductor carries Iout and the output capacitor only sees ΔIL.
+const BUCK_CONSTRAINTS = [
+    {
+        id: "dutyCycle",
+        label: "Duty cycle",
+        equation: "D = Vout / Vin",
+        variables: ["dutyCycle", "inputVoltage", "outputVoltage"],
+        absoluteTolerance: true,
+        solvers: {
+            dutyCycle: (v) => v.outputVoltage / v.inputVoltage,
+            inputVoltage: (v) => v.outputVoltage / v.dutyCycle,
+            outputVoltage: (v) => v.inputVoltage * v.dutyCycle
+        }
+    },
+    {
+        id: "inductorRipple",
+        label: "Inductor ripple",
+        equation: "ΔIL = (Vin - Vout) * D / (L * Fs)",
+        variables: ["inductorCurrentRipple", "inputVoltage", "outputVoltage", "dutyCycle", "inductance", "switchingFrequency"],
+        solvers: {
+            inductorCurrentRipple: (v) => (v.inputVoltage - v.outputVoltage) * v.dutyCycle / (v.inductance * v.switchingFrequency),
+            inductance: (v) => (v.inputVoltage - v.outputVoltage) * v.dutyCycle / (v.inductorCurrentRipple * v.switchingFrequency),
+            switchingFrequency: (v) => (v.inputVoltage - v.outputVoltage) * v.dutyCycle / (v.inductance * v.inductorCurrentRipple)
+        }
+    },
+    {
+        id: "outputRipple",
+        label: "Output ripple",
+        equation: "ΔVout = ΔIL / (8 * Fs * C)",
+        variables: ["outputVoltageRipple", "inductorCurrentRipple", "switchingFrequency", "capacitance"],
+        solvers: {
+            outputVoltageRipple: (v) => v.inductorCurrentRipple / (8 * v.switchingFrequency * v.capacitance),
+            capacitance: (v) => v.inductorCurrentRipple / (8 * v.switchingFrequency * v.outputVoltageRipple),
+            inductorCurrentRipple: (v) => v.outputVoltageRipple * 8 * v.switchingFrequency * v.capacitance,
+            switchingFrequency: (v) => v.inductorCurrentRipple / (8 * v.capacitance * v.outputVoltageRipple)
+        }
+    },
+    {
+        // ΔIL eliminated between the two ripple equations, so L, C and ΔVout can fix Fs
+        id: "lcRipple",
+        label: "LC output ripple",
+        equation: "ΔVout = (Vin - Vout) * D / (8 * L * C * Fs²)",
+        variables: ["outputVoltageRipple", "inputVoltage", "outputVoltage", "dutyCycle", "inductance", "capacitance", "switchingFrequency"],
+        solvers: {
+            outputVoltageRipple: (v) => (v.inputVoltage - v.outputVoltage) * v.dutyCycle /
+                (8 * v.inductance * v.capacitance * v.switchingFrequency ** 2),
+            inductance: (v) => (v.inputVoltage - v.outputVoltage) * v.dutyCycle /
+                (8 * v.outputVoltageRipple * v.capacitance * v.switchingFrequency ** 2),
+            capacitance: (v) => (v.inputVoltage - v.outputVoltage) * v.dutyCycle /
+                (8 * v.outputVoltageRipple * v.inductance * v.switchingFrequency ** 2),
+            switchingFrequency: (v) => Math.sqrt((v.inputVoltage - v.outputVoltage) * v.dutyCycle /
+                (8 * v.outputVoltageRipple * v.inductance * v.capacitance))
+        }
+    },
+    {
+        id: "voltageRippleRatio",
+        label: "Voltage ripple ratio",
+        equation: "ΔV/V = ΔVout / Vout",
+        variables: ["voltageRippleRatio", "outputVoltageRipple", "outputVoltage"],
+        absoluteTolerance: true,
+        solvers: {
+            voltageRippleRatio: (v) => v.outputVoltageRipple / v.outputVoltage,
+            outputVoltageRipple: (v) => v.voltageRippleRatio * v.outputVoltage,
+            outputVoltage: (v) => v.outputVoltageRipple / v.voltageRippleRatio
+        }
+    },
+    {
+        id: "currentRippleRatio",
+        label: "Current ripple ratio",
+        equation: "ΔI/I = ΔIL / Iout",
+        variables: ["currentRippleRatio", "inductorCurrentRipple", "outputCurrent"],
+        absoluteTolerance: true,
+        solvers: {
+            currentRippleRatio: (v) => v.inductorCurrentRipple / v.outputCurrent,
+            inductorCurrentRipple: (v) => v.currentRippleRatio * v.outputCurrent,
+            outputCurrent: (v) => v.inductorCurrentRipple / v.currentRippleRatio
+        }
+    }
+];
+
+// Operating Mode
+function analyzeBuckOperatingMode(solvedValues, rectifierType) {
+    const { inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance } = solvedValues;
+    if ([inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance].some(value => value === null)) return null;
+    if (outputVoltage <= 0 || outputVoltage >= inputVoltage || outputCurrent <= 0) return null;
+
+    // Boundary where the CCM valley current just reaches zero
+    const continuousDutyCycle = outputVoltage / inputVoltage;
+    const continuousRipple = (inputVoltage - outputVoltage) * continuousDutyCycle / (inductance * switchingFrequency);
+    const criticalLoadCurrent = continuousRipple / 2;
+    const criticalInductance = (inputVoltage - outputVoltage) * continuousDutyCycle / (2 * outputCurrent * switchingFrequency);
+    const boundary = { criticalLoadCurrent, criticalInductance };
+
+    // A synchronous rectifier lets the inductor current reverse, so it never enters DCM
+    if (rectifierType === "synchronous") {
+        return { mode: "CCM", label: "CCM (forced, synchronous)", ...boundary };
+    }
+
+    if (Math.abs(outputCurrent - criticalLoadCurrent) <= criticalLoadCurrent * CALCULATION_TOLERANCE) {
+        return { mode: "BCM", label: "BCM (boundary)", ...boundary };
+    }
+
+    if (outputCurrent > criticalLoadCurrent) {
+        return { mode: "CCM", label: "CCM (continuous)", ...boundary };
+    }
+
+    // DCM: D = √(2·L·Fs·Iout·Vout / (Vin·(Vin − Vout))), current falls to zero after D2·T
+    const dutyCycle = Math.sqrt(2 * inductance * switchingFrequency * outputCurrent * outputVoltage /
+        (inputVoltage * (inputVoltage - outputVoltage)));
+    const peakCurrent = (inputVoltage - outputVoltage) * dutyCycle / (inductance * switchingFrequency);
+    const secondaryDutyCycle = dutyCycle * (inputVoltage - outputVoltage) / outputVoltage;
+    const operatingMode = {
+        mode: "DCM",
+        label: "DCM (discontinuous)",
+        ...boundary,
+        dutyCycle,
+        secondaryDutyCycle,
+        peakCurrent,
+        inductorCurrentRipple: peakCurrent
+    };
+
+    return { ...operatingMode, rippleCharge: calculateDiscontinuousRippleCharge(operatingMode, outputCurrent, switchingFrequency) };
+}
+
+// Charge delivered above Iout per period: ΔQ = (Ipk − Iout)²·(D + D2) / (2·Ipk·Fs)
+function calculateDiscontinuousRippleCharge(operatingMode, outputCurrent, switchingFrequency) {
+    const { dutyCycle, secondaryDutyCycle, peakCurrent } = operatingMode;
+    return (peakCurrent - outputCurrent) ** 2 * (dutyCycle + secondaryDutyCycle) / (2 * peakCurrent * switchingFrequency);
+}
+
+// Switch, rectifier, inductor and capacitor currents for the given conduction mode
+function calculateBuckCurrentStresses(operatingValues, operatingMode, dutyCycle) {
+    const { outputCurrent } = operatingValues;
+
+    if (operatingMode !== null && operatingMode.mode === "DCM") {
+        const { secondaryDutyCycle, peakCurrent } = operatingMode;
+        const switchRmsSquared = dutyCycle * peakCurrent ** 2 / 3;
+        const inductorRmsSquared = (dutyCycle + secondaryDutyCycle) * peakCurrent ** 2 / 3;
+        return {
+            switchRmsSquared,
+            rectifierRmsSquared: secondaryDutyCycle * peakCurrent ** 2 / 3,
+            rectifierAverage: secondaryDutyCycle * peakCurrent / 2,
+            inductorRmsSquared,
+            windingRmsSquared: inductorRmsSquared,
+            capacitorRmsSquared: inductorRmsSquared - outputCurrent ** 2,
+            inputRmsSquared: switchRmsSquared,
+            turnOnCurrent: 0,
+            turnOffCurrent: peakCurrent
+        };
+    }
+
+    const currentRipple = operatingValues.inductorCurrentRipple || 0;
+    const inductorRmsSquared = outputCurrent ** 2 + currentRipple ** 2 / 12;
+    return {
+        switchRmsSquared: dutyCycle * inductorRmsSquared,
+        rectifierRmsSquared: (1 - dutyCycle) * inductorRmsSquared,
+        rectifierAverage: (1 - dutyCycle) * outputCurrent,
+        inductorRmsSquared,
+        windingRmsSquared: inductorRmsSquared,
+        capacitorRmsSquared: currentRipple ** 2 / 12,
+        // The input capacitor supplies the pulsed switch current
+        inputRmsSquared: dutyCycle * inductorRmsSquared,
+        turnOnCurrent: Math.max(outputCurrent - currentRipple / 2, 0),
+        turnOffCurrent: outputCurrent + currentRipple / 2
+    };
+}
+
+function validateBuckOperatingPoint(calculationParameters) {
+    const { inputVoltage, outputVoltage } = calculationParameters;
+    const warnings = [];
+
+    if (inputVoltage !== null && outputVoltage !== null && outputVoltage >= inputVoltage) {
+        warnings.push(
+            `Buck converter requires Vout < Vin. Current: Vout = ${formatOutputValue(outputVoltage, "V")}, Vin = ${formatOutputValue(inputVoltage, "V")}`
+        );
+    }
+    return { warnings, errors: [] };
+}
+
+export const BUCK_TOPOLOGY = {
+    id: "buck",
+    label: "Buck",
+    constraints: BUCK_CONSTRAINTS,
+    validateOperatingPoint: validateBuckOperatingPoint,
+    analyzeOperatingMode: analyzeBuckOperatingMode,
+    deriveCurrents: (operatingValues, operatingMode) => ({
+        peakSwitchCurrent: operatingMode !== null && operatingMode.mode === "DCM"
+            ? operatingMode.peakCurrent
+            : operatingValues.outputCurrent + (operatingValues.inductorCurrentRipple || 0) / 2
+    }),
+    calculateCurrentStresses: calculateBuckCurrentStresses,
+    calculateSwitchVoltage: (operatingValues) => operatingValues.inputVoltage,
+    calculateDeviceVoltage: (operatingValues) => operatingValues.inputVoltage,
+    correctDutyCycle: (operatingValues, drops) => {
+        const { inputVoltage, outputVoltage, outputCurrent } = operatingValues;
+        const rectifierDrop = drops.rectifierDrop(outputCurrent);
+        return (outputVoltage + outputCurrent * drops.inductorResistance + rectifierDrop) /
+            (inputVoltage - outputCurrent * drops.switchResistance + rectifierDrop);
+    },
+    esrRippleCurrent: (operatingValues) => operatingValues.inductorCurrentRipple / 2,
+    resultCategories: RESULT_CATEGORIES,
+    derivedEquations: [
+        { key: "criticalLoadCurrent", label: "Critical load current", equation: "Icrit = (Vin - Vout) * D / (2 * L * Fs)" },
+        { key: "criticalInductance", label: "Critical inductance", equation: "Lcrit = (Vin - Vout) * D / (2 * Iout * Fs)" },
+        { key: "diodeConductionRatio", label: "DCM duty cycle", equation: "D = √(2 * L * Fs * Iout * Vout / (Vin * (Vin - Vout))), D2 = D * (Vin - Vout) / Vout" },
+        { key: "peakSwitchCurrent", label: "Peak switch current", equation: "Ipk = Iout + ΔIL / 2 (CCM), Ipk = ΔIL (DCM)" },
+        { key: "equivalentSeriesResistance", label: "Equivalent series resistance", equation: "ESR = (ΔVout - ΔIL / (8 * Fs * C)) / (ΔIL / 2)" },
+        { key: "correctedDutyCycle", label: "Corrected duty cycle", equation: "D' = (Vout + Iout * DCR + Vrect) / (Vin - Iout * Rds(on) + Vrect)" }
+    ],
+    features: { waveforms: true, simulation: true, compensation: true, componentSelection: true, inputFilter: true }
+};
+
+registerTopology(BUCK_TOPOLOGY);
@@ -0,0 +1,22 @@
+import { registerTopology } from "../topologyRegistry.js";
+import { BUCK_BOOST_DERIVED_EQUATIONS, BUCK_BOOST_DUTY_CONSTRAINT, createBoostDerivedTopology } from "./boostDerived.js";
+
+// Non-Inverting Buck-Boost Topology
+// Two switches and two rectifiers apply Vin and then Vout across the inductor, so Vout = Vin · D / (1 − D)
+// with the output referenced to ground; every path carries two switch or rectifier drops.
+registerTopology(createBoostDerivedTopology({
+    id: "buckBoost",
+    label: "Buck-Boost (non-inverting)",
+    dutyConstraint: BUCK_BOOST_DUTY_CONSTRAINT,
+    transferVoltage: (v) => v.outputVoltage,
+    switchVoltage: (v) => v.inputVoltage + v.outputVoltage,
+    // Each half-bridge only blocks its own rail
+    deviceVoltage: (v) => Math.max(v.inputVoltage, v.outputVoltage),
+    offStateSource: false,
+    switchCount: 2,
+    inductorAverageCurrents: (outputCurrent, dutyCycle) => [outputCurrent / (1 - dutyCycle)],
+    averageInductorLabel: "Average Inductor Current (IL)",
+    derivedEquations: BUCK_BOOST_DERIVED_EQUATIONS.map(entry => entry.key === "correctedDutyCycle"
+        ? { ...entry, equation: "D' = (Vout + 2 * Vrect + IL * DCR) / (Vin - 2 * IL * Rds(on) + Vout + 2 * Vrect)" }
+        : entry)
+}));
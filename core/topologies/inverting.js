@@ -0,0 +1,28 @@
+import { formatOutputValue } from "../format.js";
+import { registerTopology } from "../topologyRegistry.js";
+import { BUCK_BOOST_DERIVED_EQUATIONS, BUCK_BOOST_DUTY_CONSTRAINT, createBoostDerivedTopology } from "./boostDerived.js";
+
+// Inverting Buck-Boost Topology
+// A single switch and diode give a negative output, |Vout| = Vin · D / (1 − D); Vout is entered as a magnitude.
+function validateInvertingOperatingPoint(calculationParameters) {
+    const { outputVoltage } = calculationParameters;
+    const errors = [];
+
+    if (outputVoltage !== null && outputVoltage < 0) {
+        errors.push(`Enter the inverted output as a magnitude, e.g. Vout = ${formatOutputValue(-outputVoltage, "V")}`);
+    }
+    return { warnings: [], errors };
+}
+
+registerTopology(createBoostDerivedTopology({
+    id: "inverting",
+    label: "Inverting Buck-Boost",
+    dutyConstraint: BUCK_BOOST_DUTY_CONSTRAINT,
+    transferVoltage: (v) => v.outputVoltage,
+    switchVoltage: (v) => v.inputVoltage + v.outputVoltage,
+    offStateSource: false,
+    inductorAverageCurrents: (outputCurrent, dutyCycle) => [outputCurrent / (1 - dutyCycle)],
+    averageInductorLabel: "Average Inductor Current (IL)",
+    validateOperatingPoint: validateInvertingOperatingPoint,
+    derivedEquations: BUCK_BOOST_DERIVED_EQUATIONS
+}));
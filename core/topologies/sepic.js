@@ -0,0 +1,40 @@
+import { registerTopology } from "../topologyRegistry.js";
+import { BUCK_BOOST_DUTY_CONSTRAINT, createBoostDerivedTopology } from "./boostDerived.js";
+
+// SEPIC Topology
+// A coupling capacitor transfers energy from L1 to L2, giving a non-inverted Vout = Vin · D / (1 − D).
+// Both inductors carry ΔIL, so the switch sees twice the ripple and the network uses L1 = L2 = L.
+registerTopology(createBoostDerivedTopology({
+    id: "sepic",
+    label: "SEPIC",
+    dutyConstraint: BUCK_BOOST_DUTY_CONSTRAINT,
+    currentRippleRatioConstraint: {
+        // Referenced to the input inductor current IL1 = Iout · D / (1 − D)
+        id: "currentRippleRatio",
+        label: "Current ripple ratio",
+        equation: "ΔI/I = ΔIL * (1 - D) / (Iout * D)",
+        variables: ["currentRippleRatio", "inductorCurrentRipple", "outputCurrent", "dutyCycle"],
+        absoluteTolerance: true,
+        solvers: {
+            currentRippleRatio: (v) => v.inductorCurrentRipple * (1 - v.dutyCycle) / (v.outputCurrent * v.dutyCycle),
+            inductorCurrentRipple: (v) => v.currentRippleRatio * v.outputCurrent * v.dutyCycle / (1 - v.dutyCycle),
+            outputCurrent: (v) => v.inductorCurrentRipple * (1 - v.dutyCycle) / (v.currentRippleRatio * v.dutyCycle)
+        }
+    },
+    transferVoltage: (v) => v.outputVoltage,
+    switchVoltage: (v) => v.inputVoltage + v.outputVoltage,
+    offStateSource: false,
+    continuousInputCurrent: true,
+    inductanceScale: 0.5,
+    inductorAverageCurrents: (outputCurrent, dutyCycle) => [outputCurrent * dutyCycle / (1 - dutyCycle), outputCurrent],
+    averageInductorLabel: "Average Input Inductor Current (IL1)",
+    derivedEquations: [
+        { key: "criticalLoadCurrent", label: "Critical load current", equation: "Icrit = Vin * D * (1 - D) / (L * Fs)" },
+        { key: "criticalInductance", label: "Critical inductance", equation: "Lcrit = Vin * D * (1 - D) / (Iout * Fs)" },
+        { key: "diodeConductionRatio", label: "DCM duty cycle", equation: "D = √(L * Fs * Iout * Vout) / Vin, D2 = Vin * D / Vout" },
+        { key: "averageInductorCurrent", label: "Average input inductor current", equation: "IL1 = Iout * D / (1 - D), IL2 = Iout" },
+        { key: "peakSwitchCurrent", label: "Peak switch current", equation: "Ipk = IL1 + IL2 + ΔIL (CCM), Ipk = 2 * Vin * D / (L * Fs) (DCM)" },
+        { key: "equivalentSeriesResistance", label: "Equivalent series resistance", equation: "ESR = (ΔVout - Iout * D / (Fs * C)) / (IL1 + IL2 + ΔIL)" },
+        { key: "correctedDutyCycle", label: "Corrected duty cycle", equation: "D' = (Vout + Vrect + (IL1 + IL2) * DCR) / (Vin - (IL1 + IL2) * Rds(on) + Vout + Vrect)" }
+    ]
+}));
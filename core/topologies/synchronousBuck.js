@@ -0,0 +1,11 @@
+import { registerTopology } from "../topologyRegistry.js";
+import { BUCK_TOPOLOGY } from "./buck.js";
+
+// Synchronous Buck Topology
+// Same power stage as the buck with the low-side MOSFET as rectifier, so it always runs in forced CCM.
+registerTopology({
+    ...BUCK_TOPOLOGY,
+    id: "synchronousBuck",
+    label: "Synchronous Buck",
+    rectifierType: "synchronous"
+});
@@ -0,0 +1,36 @@
+// Topology Registry
+// Each topology module registers an object with:
+//   id, label                 selector entry
+//   constraints               network constraints; each relates its variables, the first variable is
+//                             the one checked when every variable is known, and `solvers` lists the
+//                             variables it can isolate
+//   validateOperatingPoint    (calculationParameters, solvedValues) => { warnings, errors }
+//   analyzeOperatingMode      (solvedValues, rectifierType) => null or the CCM/BCM/DCM analysis
+//   deriveCurrents            (operatingValues, operatingMode) => peak switch and average inductor currents
+//   calculateCurrentStresses  (operatingValues, operatingMode, dutyCycle) => RMS and average currents:
+//                             switch, rectifier, inductor (all windings), winding (worst single one),
+//                             output capacitor and input (current drawn from the input capacitor)
+//   calculateSwitchVoltage    (operatingValues) => voltage the switch commutates
+//   calculateDeviceVoltage    (operatingValues) => off-state voltage across each switch and rectifier
+//   correctDutyCycle          (operatingValues, drops) => duty cycle including resistive and rectifier drops
+//   esrRippleCurrent          (operatingValues) => capacitor current step that develops the ESR ripple
+//   resultCategories, derivedEquations, features, and optionally rectifierType and switchCount
+export const TOPOLOGIES = {};
+export const DEFAULT_TOPOLOGY_ID = "buck";
+
+export function registerTopology(topology) {
+    TOPOLOGIES[topology.id] = topology;
+}
+
+export function getTopology(topologyId) {
+    return TOPOLOGIES[topologyId] || TOPOLOGIES[DEFAULT_TOPOLOGY_ID];
+}
+
+// Topologies such as the synchronous buck fix the rectifier regardless of the selector
+export function getRectifierType(calculationParameters) {
+    return getTopology(calculationParameters.topology).rectifierType || calculationParameters.rectifierType;
+}
+
+export function topologySupports(calculationParameters, feature) {
+    return getTopology(calculationParameters.topology).features[feature] === true;
+}
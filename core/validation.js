@@ -0,0 +1,94 @@
+import { formatOutputValue } from "./format.js";
+import { solveConstraintNetwork } from "./network.js";
+import { CALCULATION_TOLERANCE, PARASITIC_PARAMETER_KEYS, PARASITIC_PARAMETER_LABELS, STRESS_PARAMETER_KEYS, STRESS_PARAMETER_LABELS, STRESS_PARAMETER_UNITS } from "./parameters.js";
+import { analyzeComponentStresses } from "./stress.js";
+import { getRectifierType, getTopology } from "./topologyRegistry.js";
+
+// Validation Functions
+export function validateInputConsistency(calculationParameters, networkSolution = solveConstraintNetwork(calculationParameters)) {
+    const {
+        outputCurrent, switchingFrequency, inductance, capacitance,
+        dutyCycle, voltageRippleRatio, currentRippleRatio
+    } = calculationParameters;
+
+    const validationWarnings = [];
+    const validationErrors = networkSolution.conflicts.map(conflict => conflict.message);
+    // Keys of the entered values behind each error, index-aligned with validationErrors
+    const errorKeys = networkSolution.conflicts.map(conflict => conflict.inputs);
+    const pushError = (message, keys) => {
+        validationErrors.push(message);
+        errorKeys.push(keys);
+    };
+
+    // Physical constraints validation
+    if (dutyCycle !== null && (dutyCycle <= 0 || dutyCycle >= 1)) {
+        validationWarnings.push(`Duty cycle should be between 0 and 1. Current: ${dutyCycle.toPrecision(3)}`);
+    }
+
+    // Topology rules such as the conversion-ratio range
+    const topology = getTopology(calculationParameters.topology);
+    const topologyValidation = topology.validateOperatingPoint(calculationParameters, networkSolution.values);
+    validationWarnings.push(...topologyValidation.warnings);
+    topologyValidation.errors.forEach(error => pushError(error, []));
+
+    // Conduction mode checks on the entered or solved operating point
+    const operatingMode = topology.analyzeOperatingMode(networkSolution.values, getRectifierType(calculationParameters));
+    if (operatingMode !== null && operatingMode.mode === "DCM") {
+        validationWarnings.push(
+            `Discontinuous conduction: Iout = ${formatOutputValue(networkSolution.values.outputCurrent, "A")} is below the critical load current ` +
+            `Icrit = ${formatOutputValue(operatingMode.criticalLoadCurrent, "A")}. D, ΔIL and ΔVout use the DCM equations; ` +
+            `L ≥ ${formatOutputValue(operatingMode.criticalInductance, "H")} keeps the converter in CCM`
+        );
+    } else if (operatingMode !== null && operatingMode.mode === "BCM") {
+        validationWarnings.push(
+            `Boundary conduction: Iout is within ${CALCULATION_TOLERANCE * 100}% of the critical load current ` +
+            `${formatOutputValue(operatingMode.criticalLoadCurrent, "A")}; a lighter load will enter DCM`
+        );
+    }
+
+    // Positive value checks
+    const positiveChecks = [
+        { key: "switchingFrequency", value: switchingFrequency, name: "Switching frequency" },
+        { key: "inductance", value: inductance, name: "Inductance" },
+        { key: "capacitance", value: capacitance, name: "Capacitance" },
+        { key: "outputCurrent", value: outputCurrent, name: "Output current" }
+    ];
+
+    positiveChecks.forEach(check => {
+        if (check.value !== null && check.value <= 0) {
+            pushError(`${check.name} must be positive`, [check.key]);
+        }
+    });
+
+    // Parasitics may be zero but never negative
+    PARASITIC_PARAMETER_KEYS.forEach(key => {
+        const value = calculationParameters[key];
+        if (value !== null && value !== undefined && value < 0) {
+            pushError(`${PARASITIC_PARAMETER_LABELS[key]} cannot be negative`, [key]);
+        }
+    });
+
+    // Thermal resistances and ratings may be left empty but never negative; temperatures may be
+    STRESS_PARAMETER_KEYS.filter(key => STRESS_PARAMETER_UNITS[key] !== "°C").forEach(key => {
+        const value = calculationParameters[key];
+        if (value !== null && value !== undefined && value < 0) {
+            pushError(`${STRESS_PARAMETER_LABELS[key]} cannot be negative`, [key]);
+        }
+    });
+
+    // Reasonable range warnings
+    if (voltageRippleRatio !== null && (voltageRippleRatio <= 0 || voltageRippleRatio > 1)) {
+        validationWarnings.push("Voltage ripple ratio should typically be 0-100%");
+    }
+
+    if (currentRippleRatio !== null && (currentRippleRatio <= 0 || currentRippleRatio > 1)) {
+        validationWarnings.push("Current ripple ratio should typically be 0-100%");
+    }
+
+    // Voltage and junction-temperature derating on the solved operating point
+    if (validationErrors.length === 0) {
+        validationWarnings.push(...analyzeComponentStresses(calculationParameters, networkSolution.values, operatingMode).warnings);
+    }
+
+    return { warnings: validationWarnings, errors: validationErrors, errorKeys };
+}
@@ -0,0 +1,277 @@
+import { INPUT_FIELD_CONFIG, clearAllInputs, downloadTextFile, lastCalculation, performCalculation, updateTopologySelection } from "./ิbuck.js";
+
+// Design Storage Constants
+const DESIGN_FORMAT = "webcal-buck-design";
+const DESIGN_FORMAT_VERSION = 1;
+const DESIGN_STORAGE_KEY = "webcal.savedDesigns";
+const DESIGN_SELECT_IDS = ["topology", "rectifierType", "standardValueSeries"];
+
+// Upgrades a design from the keyed version to the next one; add an entry whenever the format changes
+const DESIGN_MIGRATIONS = {};
+
+// Design State
+function captureDesignState() {
+    const inputs = {};
+    INPUT_FIELD_CONFIG.forEach(config => {
+        inputs[config.id] = {
+            value: document.getElementById(config.id).value,
+            unit: document.getElementById(config.unitId).value
+        };
+    });
+
+    const selections = {};
+    DESIGN_SELECT_IDS.forEach(id => {
+        selections[id] = document.getElementById(id).value;
+    });
+
+    return {
+        inputs,
+        dutyCycle: document.getElementById("dutyCycle").value,
+        selections
+    };
+}
+
+// Results are stored for reference only; loading a design always recalculates
+function createDesignDocument(name) {
+    const design = {
+        format: DESIGN_FORMAT,
+        version: DESIGN_FORMAT_VERSION,
+        name,
+        savedAt: new Date().toISOString(),
+        ...captureDesignState(),
+        results: null
+    };
+
+    if (lastCalculation !== null) {
+        const { networkSolution, computed, validation } = lastCalculation;
+        design.results = {
+            values: { ...networkSolution.values, ...computed },
+            warnings: validation.warnings,
+            errors: validation.errors
+        };
+    }
+    return design;
+}
+
+function migrateDesign(design) {
+    if (!design || typeof design !== "object" || typeof design.inputs !== "object" || design.inputs === null) {
+        throw new Error("Not a converter design file");
+    }
+
+    let migratedDesign = { ...design, version: design.version ?? 1 };
+    // NaN or a fraction would pass both comparisons below and load unmigrated
+    if (!Number.isInteger(migratedDesign.version) || migratedDesign.version < 1) {
+        throw new Error(`Design format version "${design.version}" is not valid`);
+    }
+    if (migratedDesign.version > DESIGN_FORMAT_VERSION) {
+        throw new Error(`Design format version ${migratedDesign.version} is newer than this calculator supports`);
+    }
+    while (migratedDesign.version < DESIGN_FORMAT_VERSION) {
+        migratedDesign = DESIGN_MIGRATIONS[migratedDesign.version](migratedDesign);
+    }
+    return migratedDesign;
+}
+
+function setSelectValue(selectElement, value) {
+    if ([...selectElement.options].some(option => option.value === value)) {
+        selectElement.value = value;
+    }
+}
+
+function applyDesignState(design) {
+    const migratedDesign = migrateDesign(design);
+    clearAllInputs();
+
+    INPUT_FIELD_CONFIG.forEach(config => {
+        const storedInput = migratedDesign.inputs[config.id];
+        if (!storedInput) return;
+        document.getElementById(config.id).value = storedInput.value ?? "";
+        if (storedInput.unit !== undefined) {
+            setSelectValue(document.getElementById(config.unitId), String(storedInput.unit));
+        }
+    });
+
+    document.getElementById("dutyCycle").value = migratedDesign.dutyCycle ?? "";
+    DESIGN_SELECT_IDS.forEach(id => {
+        const selection = (migratedDesign.selections || {})[id];
+        if (selection !== undefined) setSelectValue(document.getElementById(id), selection);
+    });
+    updateTopologySelection();
+
+    performCalculation();
+    return migratedDesign;
+}
+
+// Named Designs
+function loadSavedDesigns() {
+    try {
+        const savedDesigns = JSON.parse(localStorage.getItem(DESIGN_STORAGE_KEY));
+        if (savedDesigns && typeof savedDesigns === "object") return savedDesigns;
+    } catch (error) {
+        // Start with an empty list when storage is unavailable or corrupt
+    }
+    return {};
+}
+
+function saveNamedDesign() {
+    const name = document.getElementById("designName").value.trim();
+    if (!name) {
+        showDesignStatus("Enter a design name before saving.", "warning");
+        return;
+    }
+
+    const savedDesigns = loadSavedDesigns();
+    savedDesigns[name] = createDesignDocument(name);
+    localStorage.setItem(DESIGN_STORAGE_KEY, JSON.stringify(savedDesigns));
+    renderSavedDesignList(name);
+    showDesignStatus(`Saved "${name}".`, "info");
+}
+
+function loadNamedDesign() {
+    const name = document.getElementById("savedDesigns").value;
+    const design = loadSavedDesigns()[name];
+    if (!design) {
+        showDesignStatus("Choose a saved design to load.", "warning");
+        return;
+    }
+
+    try {
+        applyDesignState(design);
+        document.getElementById("designName").value = name;
+        showDesignStatus(`Loaded "${name}".`, "info");
+    } catch (error) {
+        showDesignStatus(`Could not load "${name}": ${error.message}.`, "error");
+    }
+}
+
+function deleteNamedDesign() {
+    const name = document.getElementById("savedDesigns").value;
+    const savedDesigns = loadSavedDesigns();
+    if (!savedDesigns[name]) return;
+
+    delete savedDesigns[name];
+    localStorage.setItem(DESIGN_STORAGE_KEY, JSON.stringify(savedDesigns));
+    renderSavedDesignList();
+    showDesignStatus(`Deleted "${name}".`, "info");
+}
+
+// Files
+function exportDesignFile() {
+    const name = document.getElementById("designName").value.trim() || "buck-design";
+    const design = createDesignDocument(name);
+    downloadTextFile(`${name.replace(/[^\w.-]+/g, "_")}.json`, JSON.stringify(design, null, 2), "application/json");
+}
+
+function importDesignFile(fileInput) {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const design = applyDesignState(JSON.parse(reader.result));
+            document.getElementById("designName").value = design.name || "";
+            showDesignStatus(`Imported ${file.name}.`, "info");
+        } catch (error) {
+            showDesignStatus(`${file.name} is not a valid design file: ${error.message}.`, "error");
+        }
+        fileInput.value = "";
+    };
+    reader.readAsText(file);
+}
+
+// URL State
+// Only entered fields are encoded, e.g. #v=1&inputVoltage=12&inputVoltageUnit=1
+function encodeDesignHash(designState) {
+    const hashParameters = new URLSearchParams({ v: DESIGN_FORMAT_VERSION });
+    INPUT_FIELD_CONFIG.forEach(config => {
+        const storedInput = designState.inputs[config.id];
+        if (storedInput.value === "") return;
+        hashParameters.set(config.id, storedInput.value);
+        hashParameters.set(config.unitId, storedInput.unit);
+    });
+
+    if (designState.dutyCycle !== "") hashParameters.set("dutyCycle", designState.dutyCycle);
+    DESIGN_SELECT_IDS.forEach(id => hashParameters.set(id, designState.selections[id]));
+    return `#${hashParameters.toString()}`;
+}
+
+function decodeDesignHash(hash) {
+    const hashParameters = new URLSearchParams(hash.replace(/^#/, ""));
+    if (!hashParameters.has("v")) return null;
+
+    const inputs = {};
+    INPUT_FIELD_CONFIG.forEach(config => {
+        if (!hashParameters.has(config.id)) return;
+        inputs[config.id] = {
+            value: hashParameters.get(config.id),
+            unit: hashParameters.get(config.unitId) ?? undefined
+        };
+    });
+
+    const selections = {};
+    DESIGN_SELECT_IDS.forEach(id => {
+        if (hashParameters.has(id)) selections[id] = hashParameters.get(id);
+    });
+
+    return {
+        format: DESIGN_FORMAT,
+        version: Number(hashParameters.get("v")),
+        inputs,
+        dutyCycle: hashParameters.get("dutyCycle") ?? "",
+        selections
+    };
+}
+
+function copyShareLink() {
+    const hash = encodeDesignHash(captureDesignState());
+    history.replaceState(null, "", hash);
+
+    const shareUrl = window.location.href;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(shareUrl)
+            .then(() => showDesignStatus("Share link copied to the clipboard.", "info"))
+            .catch(() => showDesignStatus(`Share link: ${shareUrl}`, "info"));
+    } else {
+        showDesignStatus(`Share link: ${shareUrl}`, "info");
+    }
+}
+
+function restoreDesignFromHash() {
+    const design = decodeDesignHash(window.location.hash);
+    if (design === null) return;
+
+    try {
+        applyDesignState(design);
+        showDesignStatus("Restored the design from the shared link.", "info");
+    } catch (error) {
+        showDesignStatus(`Could not restore the shared link: ${error.message}.`, "error");
+    }
+}
+
+// Display Functions
+function renderSavedDesignList(selectedName = "") {
+    const select = document.getElementById("savedDesigns");
+    const names = Object.keys(loadSavedDesigns()).sort();
+
+    select.innerHTML = "";
+    if (names.length === 0) select.add(new Option("No saved designs", ""));
+    names.forEach(name => select.add(new Option(name, name)));
+    if (selectedName) select.value = selectedName;
+}
+
+function showDesignStatus(message, level) {
+    const icons = { info: "ℹ️", warning: "⚠️", error: "❌" };
+    const status = document.getElementById("designStatus");
+    status.className = `alert alert-${level}`;
+    status.style.display = "block";
+    status.textContent = `${icons[level]} ${message}`;
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    renderSavedDesignList();
+    restoreDesignFromHash();
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { saveNamedDesign, loadNamedDesign, deleteNamedDesign, exportDesignFile, importDesignFile, copyShareLink });
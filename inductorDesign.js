@@ -0,0 +1,143 @@
+import { CORE_DATABASE, DEFAULT_CURRENT_DENSITY, DEFAULT_MAX_FILL_FACTOR, DEFAULT_WINDING_TEMPERATURE, designInductor, designInductorOnCores, formatOutputValue, getCore, getInductorRequirements } from "./core/index.js";
+import { lastCalculation } from "./ิbuck.js";
+
+// Inductor Design Constants
+const CORE_COMPARISON_LIMIT = 8;
+
+// Display Functions
+function readWindingOptions() {
+    const readPlainValue = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value <= 0 ? fallback : value;
+    };
+
+    return {
+        currentDensity: readPlainValue("windingCurrentDensity", DEFAULT_CURRENT_DENSITY / 1e6) * 1e6,
+        maxFillFactor: readPlainValue("windingMaxFillFactor", DEFAULT_MAX_FILL_FACTOR * 100) / 100,
+        strands: Math.round(readPlainValue("windingStrands", 1))
+    };
+}
+
+function performInductorDesign() {
+    const resultsContainer = document.getElementById("inductorDesignResults");
+    const showInfo = (message) => {
+        resultsContainer.innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> ${message}
+          </div>`;
+    };
+
+    if (lastCalculation === null || lastCalculation.validation.errors.length > 0) {
+        showInfo("Run a valid calculation first; the inductor is wound for its solved L and currents.");
+        return;
+    }
+
+    const requirements = getInductorRequirements(lastCalculation.operatingPoint);
+    if (requirements === null) {
+        showInfo("The inductor design needs L, Fs, ΔIL and the inductor peak and RMS currents from the calculation.");
+        return;
+    }
+
+    const options = readWindingOptions();
+    const rankedDesigns = designInductorOnCores(requirements, options);
+    const coreId = document.getElementById("inductorCore").value;
+    const selectedDesign = coreId === "auto" ? rankedDesigns[0] : designInductor(requirements, getCore(coreId), options);
+    renderInductorDesign(requirements, selectedDesign, rankedDesigns);
+}
+
+function renderInductorDesign(requirements, design, rankedDesigns) {
+    const { core, wire } = design;
+    let htmlContent = "";
+
+    if (design.warnings.length > 0) {
+        htmlContent += '<div class="alert alert-warning">';
+        htmlContent += `<strong>⚠️ Inductor Warnings (${core.name}):</strong><ul style="margin: 10px 0; padding-left: 20px;">`;
+        design.warnings.forEach(warning => htmlContent += `<li>${warning}</li>`);
+        htmlContent += '</ul></div>';
+    }
+
+    const categories = [
+        {
+            title: "🧲 Core",
+            items: [
+                { label: "Core", value: `${core.name} (${core.family})` },
+                { label: "Material", value: design.materialLabel },
+                { label: "Inductance Factor (AL)", value: formatOutputValue(core.inductanceFactor, "H") },
+                { label: "Effective Area (Ae)", value: `${(core.effectiveArea * 1e6).toPrecision(3)} mm²` },
+                { label: "Path Length (le)", value: formatOutputValue(core.pathLength, "m") },
+                { label: "Saturation Flux Density (Bsat)", value: formatOutputValue(design.saturationFluxDensity, "T") }
+            ]
+        },
+        {
+            title: "🌀 Winding",
+            items: [
+                { label: "Turns (N)", value: String(design.turns) },
+                { label: "Wound Inductance (AL * N²)", value: `${formatOutputValue(design.inductance, "H")} (target ${formatOutputValue(requirements.inductance, "H")})` },
+                { label: "Wire", value: `AWG ${wire.awg}${design.strands > 1 ? ` × ${design.strands} strands` : ""} (${formatOutputValue(wire.diameter, "m")})` },
+                { label: "Current Density (J)", value: formatOutputValue(design.currentDensity, "A/mm²") },
+                { label: "Fill Factor", value: formatOutputValue(design.fillFactor, "%") },
+                { label: `Winding Resistance (at ${DEFAULT_WINDING_TEMPERATURE} °C)`, value: formatOutputValue(design.windingResistance, "Ω") },
+                { label: "Skin Depth (δ)", value: formatOutputValue(design.skinDepth, "m") }
+            ]
+        },
+        {
+            title: "📈 Flux",
+            items: [
+                { label: "Peak Flux Density (Bpk)", value: formatOutputValue(design.peakFluxDensity, "T") },
+                { label: "Flux Swing (ΔB)", value: formatOutputValue(design.fluxSwing, "T") },
+                { label: "Saturation Margin", value: formatOutputValue(design.saturationMargin, "%") },
+                { label: "Peak Magnetizing Force (H)", value: formatOutputValue(design.magnetizingForce, "A/m") }
+            ]
+        },
+        {
+            title: "🔥 Inductor Losses",
+            items: [
+                { label: "Copper Loss (incl. skin effect)", value: formatOutputValue(design.copperLoss, "W") },
+                { label: "Core Loss (Steinmetz)", value: formatOutputValue(design.coreLoss, "W") },
+                { label: "Total Inductor Loss", value: formatOutputValue(design.totalLoss, "W") }
+            ]
+        }
+    ];
+
+    categories.forEach(category => {
+        htmlContent += `<div style="margin-bottom: 25px;">`;
+        htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">${category.title}</h4>`;
+        category.items.forEach(item => {
+            htmlContent += `
+              <div class="result-item">
+                <div class="result-label">${item.label}</div>
+                <div class="result-value">${item.value}</div>
+              </div>`;
+        });
+        htmlContent += `</div>`;
+    });
+
+    htmlContent += `<div style="margin-bottom: 25px;">`;
+    htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">📋 Core Comparison</h4>`;
+    rankedDesigns.slice(0, CORE_COMPARISON_LIMIT).forEach(candidate => {
+        const isFlagged = candidate.saturates || !candidate.fits;
+        htmlContent += `
+              <div class="result-item${isFlagged ? " result-item-flagged" : ""}">
+                <div class="result-label">${candidate.core.name}<div class="result-detail">${candidate.warnings.length > 0 ? `⚠️ ${candidate.warnings.join("; ")}` : "✅ Fits with saturation margin"}</div></div>
+                <div class="result-value">N = ${candidate.turns}, Bpk ${formatOutputValue(candidate.peakFluxDensity, "T")}, ${formatOutputValue(candidate.totalLoss, "W")}</div>
+              </div>`;
+    });
+    htmlContent += `</div>`;
+
+    document.getElementById("inductorDesignResults").innerHTML = htmlContent;
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const coreSelect = document.getElementById("inductorCore");
+    [...new Set(CORE_DATABASE.map(core => core.family))].forEach(family => {
+        const group = document.createElement("optgroup");
+        group.label = family;
+        CORE_DATABASE
+            .filter(core => core.family === family)
+            .forEach(core => group.appendChild(new Option(core.name, core.id)));
+        coreSelect.appendChild(group);
+    });
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { performInductorDesign });
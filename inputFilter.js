@@ -0,0 +1,170 @@
+import { DEFAULT_EMI_MARGIN, DEFAULT_MIDDLEBROOK_MARGIN, EMI_STANDARDS, analyzeInputFilter, formatOutputValue, getTopology, topologySupports } from "./core/index.js";
+import { attachPlotCursor, drawLinePlot } from "./plotting.js";
+import { getInputValue, lastCalculation } from "./ิbuck.js";
+
+// Input Filter Constants
+const DEFAULT_INPUT_CAPACITANCE = 10e-6; // F, used when the Cin field is empty
+
+// Display Functions
+function readInputFilterOptions(calculationParameters) {
+    const readPlainValue = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+    const readOptionalValue = (id, unitId) => {
+        const value = getInputValue(id, unitId);
+        return value !== null && value > 0 ? value : undefined;
+    };
+
+    return {
+        standard: document.getElementById("emiStandard").value,
+        margin: readPlainValue("emiMargin", DEFAULT_EMI_MARGIN),
+        middlebrookMargin: readPlainValue("middlebrookMargin", DEFAULT_MIDDLEBROOK_MARGIN),
+        inputCapacitance: readOptionalValue("filterInputCapacitance", "filterInputCapacitanceUnit") ?? DEFAULT_INPUT_CAPACITANCE,
+        inputCapacitorEsr: readOptionalValue("filterInputCapacitorEsr", "filterInputCapacitorEsrUnit") ?? 0,
+        filterCapacitance: readOptionalValue("filterCapacitance", "filterCapacitanceUnit"),
+        filterInductance: readOptionalValue("filterInductance", "filterInductanceUnit"),
+        edgeTimes: {
+            riseTime: calculationParameters.switchRiseTime || 0,
+            fallTime: calculationParameters.switchFallTime || 0
+        }
+    };
+}
+
+function performEmiAnalysis() {
+    const resultsContainer = document.getElementById("inputFilterResults");
+    const plotContainer = document.getElementById("emiPlots");
+
+    const showInfo = (message) => {
+        plotContainer.style.display = "none";
+        resultsContainer.innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> ${message}
+          </div>`;
+    };
+
+    if (lastCalculation === null || lastCalculation.validation.errors.length > 0) {
+        showInfo("Run a valid calculation first; the input current spectrum follows its solved operating point.");
+        return;
+    }
+
+    const { operatingPoint, parameters } = lastCalculation;
+    if (!topologySupports(parameters, "inputFilter")) {
+        showInfo(`The spectrum estimate uses the pulsed buck input current; ${getTopology(parameters.topology).label} is not supported yet.`);
+        return;
+    }
+
+    const requiredValues = [operatingPoint.inputVoltage, operatingPoint.inputPower, operatingPoint.switchingFrequency,
+        operatingPoint.dutyCycle, operatingPoint.inductorPeakCurrent, operatingPoint.inductorCurrentRipple];
+    if (requiredValues.some(value => value === null || value === undefined || !Number.isFinite(value) || value <= 0)) {
+        showInfo("The EMI estimate needs Vin, Pin, Fs, D, ΔIL and the inductor peak current from the calculation.");
+        return;
+    }
+
+    renderInputFilterResults(analyzeInputFilter(operatingPoint, readInputFilterOptions(parameters)));
+}
+
+function renderInputFilterResults(analysis) {
+    const { filter, stability, worstUnfiltered, worstFiltered } = analysis;
+    const describeMargin = (worst) => worst === null
+        ? "No harmonic inside a limited band"
+        : `${formatOutputValue(worst.margin, "dB")} at ${formatOutputValue(worst.frequency, "Hz")}`;
+    let htmlContent = "";
+
+    if (analysis.warnings.length > 0) {
+        htmlContent += '<div class="alert alert-warning">';
+        htmlContent += '<strong>⚠️ EMI Warnings:</strong><ul style="margin: 10px 0; padding-left: 20px;">';
+        analysis.warnings.forEach(warning => htmlContent += `<li>${warning}</li>`);
+        htmlContent += '</ul></div>';
+    }
+
+    const categories = [
+        {
+            title: "📡 Conducted Emissions",
+            items: [
+                { label: "Standard", value: analysis.standard.label },
+                { label: "Largest Harmonic Current (RMS)", value: formatOutputValue(Math.max(...analysis.spectrum.map(point => point.current)), "A") },
+                { label: "Worst Margin Without Filter", value: describeMargin(worstUnfiltered) },
+                { label: "Worst Margin With Filter", value: describeMargin(worstFiltered) },
+                { label: "Target Margin", value: formatOutputValue(analysis.margin, "dB") }
+            ]
+        },
+        {
+            title: "🔌 DM Filter",
+            items: [
+                { label: "Input Capacitance (Cin)", value: formatOutputValue(filter.inputCapacitance, "F") },
+                { label: "Cin ESR", value: formatOutputValue(filter.inputCapacitorEsr, "Ω") },
+                { label: "Filter Inductance (Lf)", value: filter.inductance > 0 ? formatOutputValue(filter.inductance, "H") : "Not needed" },
+                { label: "Line-Side Capacitance (Cf)", value: filter.inductance > 0 ? formatOutputValue(filter.capacitance, "F") : "N/A" },
+                { label: "Damping Capacitor (Cd)", value: filter.damping ? formatOutputValue(filter.damping.capacitance, "F") : "N/A" },
+                { label: "Damping Resistor (Rd)", value: filter.damping ? formatOutputValue(filter.damping.resistance, "Ω") : "N/A" }
+            ]
+        }
+    ];
+
+    if (stability !== null) {
+        categories.push({
+            title: "🛡️ Stability (Middlebrook)",
+            items: [
+                { label: "Filter Corner (f0)", value: formatOutputValue(stability.cornerFrequency, "Hz") },
+                { label: "Characteristic Impedance (√(Lf / Cin))", value: formatOutputValue(stability.characteristicImpedance, "Ω") },
+                { label: "Converter Input Impedance (Vin² / Pin)", value: formatOutputValue(analysis.converterInputImpedance, "Ω") },
+                { label: "Peak Output Impedance, Undamped", value: formatOutputValue(stability.undampedPeak, "Ω") },
+                { label: "Peak Output Impedance, Damped", value: formatOutputValue(stability.dampedPeak, "Ω") },
+                { label: "Impedance Margin", value: `${formatOutputValue(stability.middlebrookMargin, "dB")} ${stability.meetsMiddlebrook ? "✅" : "❌"}` }
+            ]
+        });
+    }
+
+    categories.forEach(category => {
+        htmlContent += `<div style="margin-bottom: 25px;">`;
+        htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">${category.title}</h4>`;
+        category.items.forEach(item => {
+            htmlContent += `
+              <div class="result-item">
+                <div class="result-label">${item.label}</div>
+                <div class="result-value">${item.value}</div>
+              </div>`;
+        });
+        htmlContent += `</div>`;
+    });
+
+    document.getElementById("inputFilterResults").innerHTML = htmlContent;
+    document.getElementById("emiPlots").style.display = "block";
+
+    const { spectrum } = analysis;
+    const spectrumCanvas = document.getElementById("emiSpectrumPlot");
+    drawLinePlot(spectrumCanvas, {
+        title: "Conducted Emissions (LISN)",
+        x: spectrum.map(point => point.frequency),
+        logX: true,
+        xUnit: "Hz",
+        yUnit: "dBµV",
+        series: [
+            { label: "Unfiltered", values: spectrum.map(point => point.unfilteredLevel), color: "#c3cfe2", lineWidth: 1.5 },
+            { label: "Filtered", values: spectrum.map(point => point.filteredLevel), color: "#667eea" },
+            { label: "Limit", values: spectrum.map(point => point.limit ?? NaN), color: "#f44336", dashed: true }
+        ]
+    });
+
+    const cursorReadout = document.getElementById("emiCursor");
+    cursorReadout.textContent = "Move the cursor over the plot to read a harmonic.";
+    attachPlotCursor([spectrumCanvas], (sampleIndex) => {
+        const point = spectrum[sampleIndex];
+        cursorReadout.textContent = [
+            `f = ${formatOutputValue(point.frequency, "Hz")}`,
+            `I = ${formatOutputValue(point.current, "A")}`,
+            `Unfiltered ${formatOutputValue(point.unfilteredLevel, "dBµV")}`,
+            `Filtered ${formatOutputValue(point.filteredLevel, "dBµV")}`,
+            `Limit ${point.limit === null ? "none" : formatOutputValue(point.limit, "dBµV")}`
+        ].join("   ");
+    });
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const standardSelect = document.getElementById("emiStandard");
+    Object.entries(EMI_STANDARDS).forEach(([id, standard]) => standardSelect.appendChild(new Option(standard.label, id)));
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { performEmiAnalysis });
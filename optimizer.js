@@ -0,0 +1,131 @@
+import { DEFAULT_FREQUENCY_RANGE, E_SERIES, OPTIMIZATION_OBJECTIVES, OPTIMIZER_REJECTIONS, formatOutputValue, optimizeDesign } from "./core/index.js";
+import { collectCalculationParameters, getInputValue, performCalculation, setInputValue } from "./ิbuck.js";
+
+// Optimizer Constants
+const OPTIMIZER_DEFAULT_SERIES = "E12";
+
+// Form fields a candidate fills; the ripple targets and D are cleared so the loaded design is not over-constrained
+const CANDIDATE_FIELD_KEYS = ["inputVoltage", "switchingFrequency", "inductance", "capacitance"];
+const CANDIDATE_CLEARED_KEYS = ["inductorCurrentRipple", "outputVoltageRipple", "voltageRippleRatio", "currentRippleRatio", "dutyCycle"];
+
+// Optimizer State
+let lastOptimization = null;
+
+// Input Functions
+function readOptimizerGoals(formParameters) {
+    const inputVoltageMinimum = getInputValue("optimizerInputVoltageMinimum") ?? formParameters.inputVoltage;
+    return {
+        inputVoltageMinimum,
+        inputVoltageMaximum: getInputValue("optimizerInputVoltageMaximum") ?? inputVoltageMinimum,
+        currentRippleRatio: getInputValue("optimizerCurrentRippleRatio"),
+        voltageRippleRatio: getInputValue("optimizerVoltageRippleRatio"),
+        maxPeakCurrent: getInputValue("optimizerMaxPeakCurrent"),
+        maxInductance: getInputValue("optimizerMaxInductance"),
+        maxCapacitance: getInputValue("optimizerMaxCapacitance"),
+        objective: document.getElementById("optimizerObjective").value
+    };
+}
+
+function readOptimizerOptions() {
+    return {
+        series: document.getElementById("optimizerSeries").value || OPTIMIZER_DEFAULT_SERIES,
+        frequencyRange: {
+            minimum: getInputValue("optimizerMinimumFrequency") ?? DEFAULT_FREQUENCY_RANGE.minimum,
+            maximum: getInputValue("optimizerMaximumFrequency") ?? DEFAULT_FREQUENCY_RANGE.maximum
+        }
+    };
+}
+
+// Main Optimizer Functions
+function performDesignOptimization() {
+    const formParameters = collectCalculationParameters();
+    try {
+        lastOptimization = optimizeDesign(formParameters, readOptimizerGoals(formParameters), readOptimizerOptions());
+    } catch (error) {
+        lastOptimization = null;
+        document.getElementById("optimizerResults").innerHTML = `
+          <div class="alert alert-warning">
+            <strong>⚠️ Optimizer:</strong> ${error.message}.
+          </div>`;
+        return;
+    }
+    renderOptimizerResults(lastOptimization);
+}
+
+// Loads a ranked candidate into the parameter form and recalculates it there
+function loadOptimizerCandidate(index) {
+    const candidate = lastOptimization?.candidates[index];
+    if (!candidate) return;
+
+    CANDIDATE_FIELD_KEYS.forEach(key => setInputValue(key, candidate[key]));
+    CANDIDATE_CLEARED_KEYS.forEach(key => setInputValue(key, null));
+    performCalculation();
+    document.getElementById("calculationResults").scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// Display Functions
+function renderOptimizerResults(optimization) {
+    const { objective, candidates, inputVoltages, rejections } = optimization;
+    const rejectionSummary = Object.entries(rejections)
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${count} ${OPTIMIZER_REJECTIONS[reason]}`)
+        .join(", ");
+    const voltageList = inputVoltages.map(voltage => formatOutputValue(voltage, "V")).join(", ");
+    let htmlContent = "";
+
+    if (candidates.length === 0) {
+        htmlContent += `
+          <div class="alert alert-warning">
+            <strong>⚠️ No Candidates:</strong> No design met every limit at Vin = ${voltageList}${rejectionSummary ? ` (${rejectionSummary})` : ""}.
+            Relax a limit or widen the frequency range.
+          </div>`;
+        document.getElementById("optimizerResults").innerHTML = htmlContent;
+        return;
+    }
+
+    htmlContent += `
+          <div class="alert alert-info">
+            <strong>ℹ️ Search:</strong> ${optimization.evaluatedCount} designs checked at Vin = ${voltageList}${rejectionSummary ? `; rejected: ${rejectionSummary}` : ""}.
+            Each candidate loads at the Vin with the largest current ripple.
+          </div>`;
+
+    htmlContent += `<div style="margin-bottom: 25px;">`;
+    htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">🏆 Ranked Candidates (${objective.label})</h4>`;
+    candidates.forEach((candidate, index) => {
+        const { worstCase, calculation } = candidate;
+        const warnings = calculation.validation.warnings;
+        const details = [
+            `ΔI/I ${formatOutputValue(worstCase.currentRippleRatio, "%")}`,
+            `ΔV/V ${formatOutputValue(worstCase.voltageRippleRatio, "%")}`,
+            `Ipk ${formatOutputValue(worstCase.peakSwitchCurrent, "A")}`,
+            ...(worstCase.efficiency !== null ? [`η ${formatOutputValue(worstCase.efficiency, "%")}`] : []),
+            `loads at Vin = ${formatOutputValue(candidate.inputVoltage, "V")}`
+        ].join(", ");
+        htmlContent += `
+              <div class="result-item${warnings.length > 0 ? " result-item-flagged" : ""}">
+                <div class="result-label">#${index + 1}: Fs = ${formatOutputValue(candidate.switchingFrequency, "Hz")}, L = ${formatOutputValue(candidate.inductance, "H")}, C = ${formatOutputValue(candidate.capacitance, "F")}
+                  <div class="result-detail">Worst case ${details}</div>
+                  ${warnings.length > 0 ? `<div class="result-detail">⚠️ ${warnings.join("; ")}</div>` : ""}
+                </div>
+                <div class="candidate-actions">
+                  <div class="result-value">${formatOutputValue(candidate.score, objective.unit)}</div>
+                  <button type="button" class="btn btn-calculate btn-compact" onclick="loadOptimizerCandidate(${index})">Load</button>
+                </div>
+              </div>`;
+    });
+    htmlContent += `</div>`;
+
+    document.getElementById("optimizerResults").innerHTML = htmlContent;
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const objectiveSelect = document.getElementById("optimizerObjective");
+    Object.entries(OPTIMIZATION_OBJECTIVES).forEach(([id, objective]) => objectiveSelect.appendChild(new Option(objective.label, id)));
+
+    const seriesSelect = document.getElementById("optimizerSeries");
+    Object.keys(E_SERIES).forEach(seriesName => seriesSelect.appendChild(new Option(seriesName, seriesName)));
+    seriesSelect.value = OPTIMIZER_DEFAULT_SERIES;
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { performDesignOptimization, loadOptimizerCandidate });
@@ -0,0 +1,218 @@
+import { formatOutputValue } from "./core/index.js";
+
+// Plot Constants
+const PLOT_COLORS = ["#667eea", "#e91e63", "#4CAF50", "#ff9800", "#00acc1", "#8e24aa"];
+const PLOT_PADDING = { top: 24, right: 16, bottom: 28, left: 72 };
+const PLOT_TICK_COUNT = 5;
+
+// Utility Functions
+export function formatAxisValue(value, unitType) {
+    if (value === 0) return "0";
+    return value < 0 ? `-${formatOutputValue(-value, unitType)}` : formatOutputValue(value, unitType);
+}
+
+function getSeriesRange(seriesList, margin = 0.1) {
+    let minimum = Infinity;
+    let maximum = -Infinity;
+    seriesList.forEach(series => series.values.forEach(value => {
+        if (!Number.isFinite(value)) return;
+        minimum = Math.min(minimum, value);
+        maximum = Math.max(maximum, value);
+    }));
+
+    if (!Number.isFinite(minimum)) return { minimum: 0, maximum: 1 };
+    if (minimum === maximum) {
+        const spread = Math.abs(minimum) || 1;
+        return { minimum: minimum - spread * margin, maximum: maximum + spread * margin };
+    }
+
+    const spread = maximum - minimum;
+    return { minimum: minimum - spread * margin, maximum: maximum + spread * margin };
+}
+
+function createPlotTransform(canvas, plot) {
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    const xValues = plot.x.filter(value => !plot.logX || value > 0);
+    const xMinimum = Math.min(...xValues);
+    const xMaximum = Math.max(...xValues);
+    const yRange = plot.yRange || getSeriesRange(plot.series);
+    const toAxis = (value) => plot.logX ? Math.log10(value) : value;
+
+    const plotWidth = width - PLOT_PADDING.left - PLOT_PADDING.right;
+    const plotHeight = height - PLOT_PADDING.top - PLOT_PADDING.bottom;
+
+    return {
+        width,
+        height,
+        xMinimum,
+        xMaximum,
+        yRange,
+        toPixelX: (value) => PLOT_PADDING.left +
+            (toAxis(value) - toAxis(xMinimum)) / (toAxis(xMaximum) - toAxis(xMinimum) || 1) * plotWidth,
+        toPixelY: (value) => PLOT_PADDING.top +
+            (yRange.maximum - value) / (yRange.maximum - yRange.minimum) * plotHeight,
+        fromPixelX: (pixel) => {
+            const ratio = (pixel - PLOT_PADDING.left) / plotWidth;
+            const axisValue = toAxis(xMinimum) + ratio * (toAxis(xMaximum) - toAxis(xMinimum));
+            return plot.logX ? 10 ** axisValue : axisValue;
+        }
+    };
+}
+
+function findNearestIndex(values, target) {
+    let nearestIndex = 0;
+    values.forEach((value, index) => {
+        if (Math.abs(value - target) < Math.abs(values[nearestIndex] - target)) nearestIndex = index;
+    });
+    return nearestIndex;
+}
+
+// Drawing Functions
+export function drawLinePlot(canvas, plot) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const transform = createPlotTransform(canvas, plot);
+    canvas.width = transform.width * pixelRatio;
+    canvas.height = transform.height * pixelRatio;
+
+    const context = canvas.getContext("2d");
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, transform.width, transform.height);
+    context.font = "11px 'Segoe UI', sans-serif";
+
+    const { toPixelX, toPixelY, yRange } = transform;
+    const plotRight = transform.width - PLOT_PADDING.right;
+    const plotBottom = transform.height - PLOT_PADDING.bottom;
+
+    // Grid and axis labels
+    context.strokeStyle = "#e0e6ed";
+    context.fillStyle = "#555";
+    context.lineWidth = 1;
+    for (let tick = 0; tick <= PLOT_TICK_COUNT; tick++) {
+        const yValue = yRange.minimum + (yRange.maximum - yRange.minimum) * tick / PLOT_TICK_COUNT;
+        const yPixel = toPixelY(yValue);
+        context.beginPath();
+        context.moveTo(PLOT_PADDING.left, yPixel);
+        context.lineTo(plotRight, yPixel);
+        context.stroke();
+        context.textAlign = "right";
+        context.fillText(formatAxisValue(yValue, plot.yUnit), PLOT_PADDING.left - 6, yPixel + 4);
+    }
+
+    const xTicks = plot.logX
+        ? createLogTicks(transform.xMinimum, transform.xMaximum)
+        : Array.from({ length: PLOT_TICK_COUNT + 1 }, (_, tick) =>
+            transform.xMinimum + (transform.xMaximum - transform.xMinimum) * tick / PLOT_TICK_COUNT);
+    xTicks.forEach(xValue => {
+        const xPixel = toPixelX(xValue);
+        context.beginPath();
+        context.moveTo(xPixel, PLOT_PADDING.top);
+        context.lineTo(xPixel, plotBottom);
+        context.stroke();
+        context.textAlign = "center";
+        context.fillText(formatAxisValue(xValue, plot.xUnit), xPixel, plotBottom + 16);
+    });
+
+    // Title and legend
+    context.textAlign = "left";
+    context.fillStyle = "#333";
+    context.font = "bold 12px 'Segoe UI', sans-serif";
+    context.fillText(plot.title || "", PLOT_PADDING.left, 14);
+    context.font = "11px 'Segoe UI', sans-serif";
+    let legendX = plotRight;
+    [...plot.series].reverse().forEach((series, index) => {
+        if (!series.label) return;
+        context.textAlign = "right";
+        context.fillStyle = series.color || PLOT_COLORS[(plot.series.length - 1 - index) % PLOT_COLORS.length];
+        context.fillText(series.label, legendX, 14);
+        legendX -= context.measureText(series.label).width + 14;
+    });
+
+    // Horizontal reference markers
+    (plot.markers || []).forEach(marker => {
+        const yPixel = toPixelY(marker.y);
+        context.strokeStyle = marker.color || "#ff9800";
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(PLOT_PADDING.left, yPixel);
+        context.lineTo(plotRight, yPixel);
+        context.stroke();
+        context.setLineDash([]);
+        context.fillStyle = marker.color || "#ff9800";
+        context.textAlign = "left";
+        context.fillText(marker.label, PLOT_PADDING.left + 4, yPixel - 4);
+    });
+
+    // Series traces
+    context.save();
+    context.beginPath();
+    context.rect(PLOT_PADDING.left, PLOT_PADDING.top, plotRight - PLOT_PADDING.left, plotBottom - PLOT_PADDING.top);
+    context.clip();
+    plot.series.forEach((series, seriesIndex) => {
+        context.strokeStyle = series.color || PLOT_COLORS[seriesIndex % PLOT_COLORS.length];
+        context.lineWidth = series.lineWidth || 2;
+        context.setLineDash(series.dashed ? [6, 4] : []);
+        context.beginPath();
+        let isDrawing = false;
+        series.values.forEach((value, index) => {
+            if (!Number.isFinite(value) || (plot.logX && plot.x[index] <= 0)) {
+                isDrawing = false;
+                return;
+            }
+            const xPixel = toPixelX(plot.x[index]);
+            const yPixel = toPixelY(value);
+            if (isDrawing) {
+                context.lineTo(xPixel, yPixel);
+            } else {
+                context.moveTo(xPixel, yPixel);
+                isDrawing = true;
+            }
+        });
+        context.stroke();
+    });
+    context.restore();
+    context.setLineDash([]);
+
+    // Vertical cursor
+    if (plot.cursorX !== undefined && plot.cursorX !== null) {
+        const xPixel = toPixelX(plot.cursorX);
+        context.strokeStyle = "#333";
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(xPixel, PLOT_PADDING.top);
+        context.lineTo(xPixel, plotBottom);
+        context.stroke();
+    }
+
+    canvas.plotState = plot;
+}
+
+function createLogTicks(minimum, maximum) {
+    const ticks = [];
+    for (let exponent = Math.floor(Math.log10(minimum)); exponent <= Math.ceil(Math.log10(maximum)); exponent++) {
+        const decade = 10 ** exponent;
+        if (decade >= minimum && decade <= maximum) ticks.push(decade);
+    }
+    return ticks;
+}
+
+// Links the cursor of several canvases; onMove receives the sample index under the pointer
+export function attachPlotCursor(canvases, onMove) {
+    canvases.forEach(canvas => {
+        canvas.onmousemove = (event) => {
+            if (!canvas.plotState) return;
+            const bounds = canvas.getBoundingClientRect();
+            const transform = createPlotTransform(canvas, canvas.plotState);
+            const xValue = transform.fromPixelX(event.clientX - bounds.left);
+            const sampleIndex = findNearestIndex(canvas.plotState.x, xValue);
+            const cursorX = canvas.plotState.x[sampleIndex];
+
+            canvases.forEach(linkedCanvas => {
+                if (linkedCanvas.plotState) {
+                    drawLinePlot(linkedCanvas, { ...linkedCanvas.plotState, cursorX });
+                }
+            });
+            onMove(sampleIndex);
+        };
+    });
+}
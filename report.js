@@ -0,0 +1,257 @@
+import { DERIVED_EQUATIONS, formatOutputValue, getTopology } from "./core/index.js";
+import { BODE_CANVAS_IDS } from "./compensation.js";
+import { SIMULATION_CANVAS_IDS } from "./simulation.js";
+import { WAVEFORM_CANVAS_IDS } from "./waveforms.js";
+import { INPUT_FIELD_CONFIG, downloadTextFile, getDisplayDigits, getFieldLabel, getInputUnitType, getSelectedOptionText, lastCalculation, performCalculation } from "./ิbuck.js";
+
+// Report Constants
+const REPORT_PLOT_CANVAS_IDS = [...WAVEFORM_CANVAS_IDS, ...SIMULATION_CANVAS_IDS, ...BODE_CANVAS_IDS];
+
+// Report Model
+// Entered fields as typed, with the selected display unit and the SI value
+function collectReportInputs(calculationParameters) {
+    const inputs = INPUT_FIELD_CONFIG
+        .filter(config => calculationParameters[config.id] !== null)
+        .map(config => ({
+            label: getFieldLabel(config.id),
+            value: calculationParameters[config.id],
+            unit: getInputUnitType(config.id),
+            display: `${document.getElementById(config.id).value} ${getSelectedOptionText(config.unitId)}`
+        }));
+
+    if (calculationParameters.dutyCycle !== null) {
+        inputs.push({
+            label: getFieldLabel("dutyCycle"),
+            value: calculationParameters.dutyCycle,
+            unit: "ratio",
+            display: formatOutputValue(calculationParameters.dutyCycle, "ratio")
+        });
+    }
+
+    ["topology", "rectifierType", "standardValueSeries"].forEach(selectId => {
+        inputs.push({ label: getFieldLabel(selectId), value: null, unit: "text", display: getSelectedOptionText(selectId) });
+    });
+    return inputs;
+}
+
+function collectReportEquations(calculation) {
+    const { parameters, networkSolution, computed } = calculation;
+    const topology = getTopology(parameters.topology);
+    const usedConstraintIds = new Set(Object.values(networkSolution.sources).map(source => source.constraint));
+
+    const networkEquations = topology.constraints
+        .filter(constraint => usedConstraintIds.has(constraint.id))
+        .map(constraint => ({ label: constraint.label, equation: constraint.equation }));
+    const derivedEquations = [...topology.derivedEquations, ...DERIVED_EQUATIONS]
+        .filter(entry => entry.equation && computed[entry.key] !== undefined && computed[entry.key] !== null)
+        .map(entry => ({ label: entry.label, equation: entry.equation }));
+
+    return [...networkEquations, ...derivedEquations];
+}
+
+// Plots currently shown on the page, captured as PNG images
+function collectReportPlots() {
+    return REPORT_PLOT_CANVAS_IDS
+        .map(id => document.getElementById(id))
+        .filter(canvas => canvas.plotState && canvas.parentElement.style.display !== "none")
+        .map(canvas => ({ title: canvas.plotState.title, image: canvas.toDataURL("image/png") }));
+}
+
+function buildDesignReport(calculation, name) {
+    const { parameters, computed, validation, notes } = calculation;
+
+    const categories = getTopology(parameters.topology).resultCategories
+        .map(category => ({
+            title: category.title,
+            items: category.items
+                .filter(item => computed[item.key] !== undefined && computed[item.key] !== null)
+                .map(item => ({
+                    label: item.label,
+                    value: computed[item.key],
+                    unit: item.unit,
+                    display: formatOutputValue(computed[item.key], item.unit, getDisplayDigits())
+                }))
+        }))
+        .filter(category => category.items.length > 0);
+
+    return {
+        name,
+        topology: getTopology(parameters.topology).label,
+        generatedAt: new Date().toLocaleString(),
+        inputs: collectReportInputs(parameters),
+        categories,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        notes,
+        equations: collectReportEquations(calculation),
+        plots: collectReportPlots()
+    };
+}
+
+// Report Formats
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, character =>
+        ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[character]);
+}
+
+function formatReportHtml(report) {
+    const renderTable = (rows) => `
+      <table>
+        <tbody>${rows.map(row => `<tr><th>${escapeHtml(row.label)}</th><td>${escapeHtml(row.display)}</td></tr>`).join("")}</tbody>
+      </table>`;
+    const renderList = (title, className, items) => items.length === 0 ? "" : `
+      <div class="${className}"><strong>${title}</strong><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join("")}</ul></div>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(report.name)} — ${escapeHtml(report.topology)} Converter Design Report</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; max-width: 900px; margin: 30px auto; padding: 0 20px; }
+    h1 { color: #667eea; margin-bottom: 4px; }
+    h2 { color: #667eea; border-bottom: 2px solid #e0e6ed; padding-bottom: 6px; margin-top: 30px; }
+    h3 { color: #555; margin-bottom: 8px; }
+    .meta { color: #777; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e0e6ed; }
+    th { font-weight: 500; width: 55%; }
+    td { font-weight: 600; font-family: 'Courier New', monospace; }
+    .errors, .warnings, .notes { border-radius: 8px; padding: 10px 15px; margin-bottom: 12px; }
+    .errors { background: #ffebee; border-left: 4px solid #f44336; }
+    .warnings { background: #fff8e1; border-left: 4px solid #ff9800; }
+    .notes { background: #e3f2fd; border-left: 4px solid #2196F3; }
+    code { font-family: 'Courier New', monospace; }
+    figure { margin: 0 0 16px; }
+    figure img { width: 100%; border: 1px solid #e0e6ed; border-radius: 6px; }
+    figcaption { color: #777; font-size: 0.9rem; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      h2 { break-after: avoid; }
+      table, figure, .errors, .warnings, .notes { break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.name)}</h1>
+  <p class="meta">${escapeHtml(report.topology)} converter design report — generated ${escapeHtml(report.generatedAt)}</p>
+
+  <h2>Inputs</h2>
+  ${renderTable(report.inputs)}
+
+  <h2>Validation</h2>
+  ${renderList("❌ Validation Errors", "errors", report.errors)}
+  ${renderList("⚠️ Design Warnings", "warnings", report.warnings)}
+  ${renderList("ℹ️ Notes", "notes", report.notes)}
+  ${report.errors.length + report.warnings.length === 0 ? "<p>✅ No validation errors or warnings.</p>" : ""}
+
+  <h2>Results</h2>
+  ${report.categories.map(category => `<h3>${escapeHtml(category.title)}</h3>${renderTable(category.items)}`).join("") || "<p>No results.</p>"}
+
+  <h2>Equations</h2>
+  <table>
+    <tbody>${report.equations.map(entry => `<tr><th>${escapeHtml(entry.label)}</th><td><code>${escapeHtml(entry.equation)}</code></td></tr>`).join("")}</tbody>
+  </table>
+
+  ${report.plots.length === 0 ? "" : `<h2>Plots</h2>
+  ${report.plots.map(plot => `<figure><img src="${plot.image}" alt="${escapeHtml(plot.title)}"><figcaption>${escapeHtml(plot.title)}</figcaption></figure>`).join("\n  ")}`}
+</body>
+</html>`;
+}
+
+// SI values in their own column so spreadsheets can recompute from them
+function formatReportCsv(report) {
+    const siUnits = { "%": "fraction", ratio: "", text: "" };
+    const escapeCsv = (field) => /[",\n]/.test(String(field)) ? `"${String(field).replace(/"/g, '""')}"` : String(field);
+    const rows = [["Section", "Parameter", "Value", "Unit", "Display"]];
+
+    const addRows = (section, items) => items.forEach(item => rows.push([
+        section,
+        item.label,
+        item.value === null || typeof item.value === "string" ? "" : item.value,
+        item.unit in siUnits ? siUnits[item.unit] : item.unit,
+        item.display
+    ]));
+
+    addRows("Inputs", report.inputs);
+    report.categories.forEach(category => addRows(category.title.replace(/^\W+/u, ""), category.items));
+    report.errors.forEach(error => rows.push(["Errors", "", "", "", error]));
+    report.warnings.forEach(warning => rows.push(["Warnings", "", "", "", warning]));
+    report.notes.forEach(note => rows.push(["Notes", "", "", "", note]));
+    report.equations.forEach(entry => rows.push(["Equations", entry.label, "", "", entry.equation]));
+
+    return rows.map(row => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+function formatReportMarkdown(report) {
+    const escapeCell = (text) => String(text).replace(/\|/g, "\\|");
+    const renderTable = (rows) => [
+        "| Parameter | Value |",
+        "| --- | --- |",
+        ...rows.map(row => `| ${escapeCell(row.label)} | ${escapeCell(row.display)} |`)
+    ].join("\n");
+    const renderList = (title, items) => items.length === 0 ? [] : [`**${title}**`, "", ...items.map(item => `- ${item}`), ""];
+
+    const lines = [
+        `# ${report.name}`,
+        "",
+        `${report.topology} converter design report — generated ${report.generatedAt}`,
+        "",
+        "## Inputs",
+        "",
+        renderTable(report.inputs),
+        "",
+        "## Validation",
+        "",
+        ...renderList("❌ Validation Errors", report.errors),
+        ...renderList("⚠️ Design Warnings", report.warnings),
+        ...renderList("ℹ️ Notes", report.notes),
+        ...(report.errors.length + report.warnings.length === 0 ? ["✅ No validation errors or warnings.", ""] : []),
+        "## Results",
+        ""
+    ];
+
+    report.categories.forEach(category => lines.push(`### ${category.title}`, "", renderTable(category.items), ""));
+    lines.push("## Equations", "", ...report.equations.map(entry => `- ${entry.label}: \`${entry.equation}\``), "");
+
+    if (report.plots.length > 0) {
+        lines.push("## Plots", "");
+        report.plots.forEach(plot => lines.push(`![${plot.title}](${plot.image})`, ""));
+    }
+    return lines.join("\n");
+}
+
+// Export Actions
+// Recalculates first so the report always matches the form
+function exportDesignReport(format) {
+    performCalculation();
+    // Fields that fail to parse leave no calculation; the results panel lists them
+    if (lastCalculation === null) {
+        document.getElementById("calculationResults").scrollIntoView({ behavior: "smooth", block: "start" });
+        return;
+    }
+
+    const name = document.getElementById("designName").value.trim() || `${getTopology(document.getElementById("topology").value).label} Converter Design`;
+    const report = buildDesignReport(lastCalculation, name);
+    const fileName = name.replace(/[^\w.-]+/g, "_");
+
+    // A blocked popup leaves no window to print from, so the report is downloaded to print from the browser
+    const reportWindow = format === "print" ? window.open("", "_blank") : null;
+    if (format === "print" && reportWindow === null) format = "html";
+
+    if (format === "print") {
+        reportWindow.document.write(formatReportHtml(report));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    } else if (format === "html") {
+        downloadTextFile(`${fileName}.html`, formatReportHtml(report), "text/html");
+    } else if (format === "csv") {
+        downloadTextFile(`${fileName}.csv`, formatReportCsv(report), "text/csv");
+    } else if (format === "markdown") {
+        downloadTextFile(`${fileName}.md`, formatReportMarkdown(report), "text/markdown");
+    }
+}
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { exportDesignReport });
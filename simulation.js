@@ -0,0 +1,405 @@
+import { formatOutputValue, getRectifierType, getTopology, topologySupports } from "./core/index.js";
+import { attachPlotCursor, drawLinePlot, formatAxisValue } from "./plotting.js";
+import { buildSteadyStateWaveforms } from "./waveforms.js";
+import { getInputValue, lastCalculation } from "./ิbuck.js";
+
+// Simulation Constants
+const SIMULATION_STEPS_PER_PERIOD = 100;
+const SIMULATION_SETTLING_BAND = 0.02; // ±2% settling band
+const SIMULATION_RIPPLE_TOLERANCE = 0.1; // 10% allowed gap between measured and analytic ripple
+const SIMULATION_MEASUREMENT_PERIODS = 5;
+const SIMULATION_MIN_SEGMENT_PERIODS = 100;
+const SIMULATION_MAX_SEGMENT_PERIODS = 4000;
+
+export const SIMULATION_CANVAS_IDS = ["simulationVoltagePlot", "simulationCurrentPlot"];
+
+// Simulation Engine
+function createSimulationParameters(operatingPoint, calculationParameters, options = {}) {
+    const {
+        inputVoltage, outputVoltage, outputCurrent, switchingFrequency,
+        inductance, capacitance, dutyCycle, correctedDutyCycle
+    } = operatingPoint;
+
+    const requiredValues = [inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance, capacitance, dutyCycle];
+    if (requiredValues.some(value => value === null || value === undefined || !Number.isFinite(value) || value <= 0)) return null;
+    if (dutyCycle >= 1) return null;
+
+    return {
+        inputVoltage,
+        outputVoltage,
+        outputCurrent,
+        switchingFrequency,
+        inductance,
+        capacitance,
+        // Open loop: the corrected duty cycle already compensates the parasitic drops
+        dutyCycle: correctedDutyCycle || dutyCycle,
+        inductorDcr: calculationParameters.inductorDcr || 0,
+        capacitorEsr: calculationParameters.capacitorEsr || 0,
+        mosfetOnResistance: calculationParameters.mosfetOnResistance || 0,
+        diodeForwardVoltage: calculationParameters.diodeForwardVoltage || 0,
+        syncOnResistance: calculationParameters.syncOnResistance || 0,
+        isSynchronous: getRectifierType(calculationParameters) === "synchronous",
+        loadType: options.loadType || "resistive",
+        stepOutputCurrent: options.stepOutputCurrent ?? null,
+        stepInputVoltage: options.stepInputVoltage ?? null,
+        stepsPerPeriod: options.stepsPerPeriod || SIMULATION_STEPS_PER_PERIOD
+    };
+}
+
+// Periods needed for the LC tank to settle, from its damping ratio
+function estimateSegmentPeriods(simulationParams) {
+    const { inductance, capacitance, inductorDcr, capacitorEsr, outputVoltage, outputCurrent, switchingFrequency } = simulationParams;
+    const loadResistance = outputVoltage / outputCurrent;
+    const characteristicImpedance = Math.sqrt(inductance / capacitance);
+    const naturalFrequency = 1 / Math.sqrt(inductance * capacitance);
+    const dampingRatio = characteristicImpedance / (2 * loadResistance) +
+        (inductorDcr + capacitorEsr) / (2 * characteristicImpedance);
+    const settlingTime = 8 / (Math.max(dampingRatio, 0.01) * naturalFrequency);
+    const periods = Math.ceil(settlingTime * switchingFrequency);
+    return Math.min(Math.max(periods, SIMULATION_MIN_SEGMENT_PERIODS), SIMULATION_MAX_SEGMENT_PERIODS);
+}
+
+function simulateBuckConverter(simulationParams) {
+    const {
+        inputVoltage, outputVoltage, outputCurrent, switchingFrequency, inductance, capacitance, dutyCycle,
+        inductorDcr, capacitorEsr, mosfetOnResistance, diodeForwardVoltage, syncOnResistance,
+        isSynchronous, loadType, stepOutputCurrent, stepInputVoltage, stepsPerPeriod
+    } = simulationParams;
+
+    const period = 1 / switchingFrequency;
+    const segmentPeriods = estimateSegmentPeriods(simulationParams);
+
+    // Startup, then an optional load step, then an optional line step
+    const segments = [{ name: "startup", inputVoltage, outputCurrent }];
+    if (stepOutputCurrent !== null) {
+        segments.push({ name: "loadStep", inputVoltage, outputCurrent: stepOutputCurrent });
+    }
+    if (stepInputVoltage !== null) {
+        segments.push({ name: "lineStep", inputVoltage: stepInputVoltage, outputCurrent: segments[segments.length - 1].outputCurrent });
+    }
+
+    const onSteps = Math.max(1, Math.round(stepsPerPeriod * dutyCycle));
+    const offSteps = Math.max(1, stepsPerPeriod - onSteps);
+    const onStep = dutyCycle * period / onSteps;
+    const offStep = (1 - dutyCycle) * period / offSteps;
+
+    let state = { inductorCurrent: 0, capacitorVoltage: 0 };
+    let time = 0;
+
+    const cycles = {
+        time: [], outputVoltageAverage: [], outputVoltageMin: [], outputVoltageMax: [],
+        inductorCurrentAverage: [], inductorCurrentMin: [], inductorCurrentMax: []
+    };
+    const segmentResults = [];
+
+    segments.forEach(segment => {
+        const loadResistance = outputVoltage / segment.outputCurrent;
+
+        // Output voltage seen by the load, including the ESR drop
+        const outputVoltageOf = ({ inductorCurrent, capacitorVoltage }) => {
+            if (loadType === "resistive") {
+                return (capacitorVoltage + capacitorEsr * inductorCurrent) * loadResistance / (loadResistance + capacitorEsr);
+            }
+            const loadCurrent = capacitorVoltage > 0 ? segment.outputCurrent : 0;
+            return capacitorVoltage + capacitorEsr * (inductorCurrent - loadCurrent);
+        };
+        const loadCurrentOf = (currentState, voltage) => loadType === "resistive"
+            ? voltage / loadResistance
+            : (currentState.capacitorVoltage > 0 ? segment.outputCurrent : 0);
+
+        const derivatives = (currentState, isSwitchOn) => {
+            const voltage = outputVoltageOf(currentState);
+            const { inductorCurrent } = currentState;
+            let switchNodeVoltage;
+            if (isSwitchOn) {
+                switchNodeVoltage = segment.inputVoltage - inductorCurrent * mosfetOnResistance;
+            } else if (isSynchronous) {
+                switchNodeVoltage = -inductorCurrent * syncOnResistance;
+            } else {
+                switchNodeVoltage = -diodeForwardVoltage;
+            }
+            return {
+                inductorCurrent: (switchNodeVoltage - inductorCurrent * inductorDcr - voltage) / inductance,
+                capacitorVoltage: (inductorCurrent - loadCurrentOf(currentState, voltage)) / capacitance
+            };
+        };
+
+        // Classic RK4 step; the diode blocks reverse current in the off interval
+        const advance = (currentState, step, isSwitchOn) => {
+            const offset = (base, slope, scale) => ({
+                inductorCurrent: base.inductorCurrent + slope.inductorCurrent * scale,
+                capacitorVoltage: base.capacitorVoltage + slope.capacitorVoltage * scale
+            });
+            const k1 = derivatives(currentState, isSwitchOn);
+            const k2 = derivatives(offset(currentState, k1, step / 2), isSwitchOn);
+            const k3 = derivatives(offset(currentState, k2, step / 2), isSwitchOn);
+            const k4 = derivatives(offset(currentState, k3, step), isSwitchOn);
+            const nextState = {
+                inductorCurrent: currentState.inductorCurrent +
+                    step / 6 * (k1.inductorCurrent + 2 * k2.inductorCurrent + 2 * k3.inductorCurrent + k4.inductorCurrent),
+                capacitorVoltage: currentState.capacitorVoltage +
+                    step / 6 * (k1.capacitorVoltage + 2 * k2.capacitorVoltage + 2 * k3.capacitorVoltage + k4.capacitorVoltage)
+            };
+
+            if (!isSwitchOn && !isSynchronous && nextState.inductorCurrent < 0) {
+                // Discontinuous interval: inductor current held at zero, capacitor discharges into the load
+                const idleState = { inductorCurrent: 0, capacitorVoltage: currentState.capacitorVoltage };
+                const voltage = outputVoltageOf(idleState);
+                idleState.capacitorVoltage -= loadCurrentOf(idleState, voltage) / capacitance * step;
+                return idleState;
+            }
+            return nextState;
+        };
+
+        const segmentStart = time;
+        const finalPeriods = [];
+
+        for (let periodIndex = 0; periodIndex < segmentPeriods; periodIndex++) {
+            const periodSamples = { time: [], outputVoltage: [], inductorCurrent: [] };
+            const record = () => {
+                periodSamples.time.push(time);
+                periodSamples.outputVoltage.push(outputVoltageOf(state));
+                periodSamples.inductorCurrent.push(state.inductorCurrent);
+            };
+
+            record();
+            for (let step = 0; step < onSteps; step++) {
+                state = advance(state, onStep, true);
+                time += onStep;
+                record();
+            }
+            for (let step = 0; step < offSteps; step++) {
+                state = advance(state, offStep, false);
+                time += offStep;
+                record();
+            }
+
+            const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+            cycles.time.push(time);
+            cycles.outputVoltageAverage.push(average(periodSamples.outputVoltage));
+            cycles.outputVoltageMin.push(Math.min(...periodSamples.outputVoltage));
+            cycles.outputVoltageMax.push(Math.max(...periodSamples.outputVoltage));
+            cycles.inductorCurrentAverage.push(average(periodSamples.inductorCurrent));
+            cycles.inductorCurrentMin.push(Math.min(...periodSamples.inductorCurrent));
+            cycles.inductorCurrentMax.push(Math.max(...periodSamples.inductorCurrent));
+
+            if (periodIndex >= segmentPeriods - SIMULATION_MEASUREMENT_PERIODS) finalPeriods.push(periodSamples);
+        }
+
+        segmentResults.push({
+            ...segment,
+            startTime: segmentStart,
+            endTime: time,
+            finalPeriods
+        });
+    });
+
+    // Each step is measured against the level the previous segment settled to
+    const measuredSegments = [];
+    segmentResults.forEach((segment, index) => {
+        const initialVoltage = index === 0 ? 0 : measuredSegments[index - 1].finalVoltage;
+        measuredSegments.push({ ...segment, ...measureTransient(cycles, segment, initialVoltage) });
+    });
+
+    return { cycles, segments: measuredSegments, period };
+}
+
+// Overshoot and settling from the cycle-averaged output voltage of one segment
+function measureTransient(cycles, segment, initialVoltage) {
+    const indices = cycles.time
+        .map((time, index) => (time > segment.startTime && time <= segment.endTime + 1e-15 ? index : -1))
+        .filter(index => index >= 0);
+    const finalSamples = segment.finalPeriods;
+    const finalVoltage = finalSamples.reduce((sum, samples) =>
+        sum + samples.outputVoltage.reduce((total, value) => total + value, 0) / samples.outputVoltage.length, 0) / finalSamples.length;
+
+    // Peak-to-peak ripple over the last periods of the segment
+    const rippleOf = (key) => Math.max(...finalSamples.map(samples => Math.max(...samples[key]) - Math.min(...samples[key])));
+    const measuredInductorRipple = rippleOf("inductorCurrent");
+    const measuredOutputRipple = rippleOf("outputVoltage");
+
+    const averages = indices.map(index => cycles.outputVoltageAverage[index]);
+    const isRising = finalVoltage >= initialVoltage;
+    const extremeVoltage = isRising ? Math.max(...averages) : Math.min(...averages);
+    const overshoot = Math.max(isRising ? extremeVoltage - finalVoltage : finalVoltage - extremeVoltage, 0) / finalVoltage;
+    const peakDeviation = Math.max(...averages.map(value => Math.abs(value - finalVoltage))) / finalVoltage;
+
+    let settlingIndex = indices[0];
+    indices.forEach(index => {
+        if (Math.abs(cycles.outputVoltageAverage[index] - finalVoltage) > finalVoltage * SIMULATION_SETTLING_BAND) {
+            settlingIndex = index;
+        }
+    });
+
+    return {
+        finalVoltage,
+        overshoot,
+        peakDeviation,
+        settlingTime: cycles.time[settlingIndex] - segment.startTime,
+        measuredInductorRipple,
+        measuredOutputRipple
+    };
+}
+
+// Measured startup ripple against the closed-form ΔIL and ΔVout (incl. ESR)
+function compareSimulatedRipple(simulationResult, operatingPoint) {
+    const startup = simulationResult.segments[0];
+    const analyticWaveforms = buildSteadyStateWaveforms(operatingPoint);
+    const comparisons = [
+        {
+            label: "Inductor Current Ripple (ΔIL)",
+            unit: "A",
+            analytic: operatingPoint.inductorCurrentRipple,
+            measured: startup.measuredInductorRipple
+        },
+        {
+            label: "Output Voltage Ripple (ΔVout, incl. ESR)",
+            unit: "V",
+            analytic: analyticWaveforms ? analyticWaveforms.markers.outputRipplePeakToPeak : operatingPoint.outputVoltageRipple,
+            measured: startup.measuredOutputRipple
+        }
+    ];
+
+    return comparisons.map(comparison => {
+        const deviation = comparison.analytic ? (comparison.measured - comparison.analytic) / comparison.analytic : null;
+        return {
+            ...comparison,
+            deviation,
+            isConsistent: deviation !== null && Math.abs(deviation) <= SIMULATION_RIPPLE_TOLERANCE
+        };
+    });
+}
+
+// Display Functions
+function runTransientSimulation() {
+    const resultsContainer = document.getElementById("simulationResults");
+    const plotContainer = document.getElementById("simulationPlots");
+
+    if (lastCalculation === null || lastCalculation.validation.errors.length > 0) {
+        plotContainer.style.display = "none";
+        resultsContainer.innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> Run a valid calculation first; the simulation uses its solved values.
+          </div>`;
+        return;
+    }
+
+    if (!topologySupports(lastCalculation.parameters, "simulation")) {
+        plotContainer.style.display = "none";
+        resultsContainer.innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> The switching simulation models the buck power stage only; ${getTopology(lastCalculation.parameters.topology).label} is not supported yet.
+          </div>`;
+        return;
+    }
+
+    const stepOutputCurrent = getInputValue("simulationStepCurrent", "simulationStepCurrentUnit");
+    const stepInputVoltage = getInputValue("simulationStepVoltage", "simulationStepVoltageUnit");
+    const simulationParams = createSimulationParameters(lastCalculation.operatingPoint, lastCalculation.parameters, {
+        loadType: document.getElementById("simulationLoadType").value,
+        stepOutputCurrent: stepOutputCurrent !== null && stepOutputCurrent > 0 ? stepOutputCurrent : null,
+        stepInputVoltage: stepInputVoltage !== null && stepInputVoltage > 0 ? stepInputVoltage : null
+    });
+
+    if (simulationParams === null) {
+        plotContainer.style.display = "none";
+        resultsContainer.innerHTML = `
+          <div class="alert alert-info">
+            <strong>ℹ️ Info:</strong> The simulation needs Vin, Vout, Iout, Fs, L, C and D from the calculation.
+          </div>`;
+        return;
+    }
+
+    const simulationResult = simulateBuckConverter(simulationParams);
+    const rippleComparison = compareSimulatedRipple(simulationResult, lastCalculation.operatingPoint);
+    renderSimulationResults(simulationResult, rippleComparison);
+}
+
+function renderSimulationResults(simulationResult, rippleComparison) {
+    const segmentTitles = { startup: "🚀 Startup", loadStep: "📉 Load Step", lineStep: "🔌 Line Step" };
+    let htmlContent = "";
+
+    const inconsistentRipple = rippleComparison.filter(comparison => !comparison.isConsistent);
+    if (inconsistentRipple.length > 0) {
+        htmlContent += '<div class="alert alert-warning">';
+        htmlContent += '<strong>⚠️ Ripple Cross-Check:</strong><ul style="margin: 10px 0; padding-left: 20px;">';
+        inconsistentRipple.forEach(comparison => htmlContent +=
+            `<li>${comparison.label}: simulated ${formatOutputValue(comparison.measured, comparison.unit)} differs from ` +
+            `analytic ${formatOutputValue(comparison.analytic, comparison.unit)} by more than ${SIMULATION_RIPPLE_TOLERANCE * 100}%</li>`);
+        htmlContent += '</ul></div>';
+    }
+
+    htmlContent += `<div style="margin-bottom: 25px;">`;
+    htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">📊 Ripple Cross-Check</h4>`;
+    rippleComparison.forEach(comparison => {
+        const deviationText = comparison.deviation === null ? "N/A" : `${(comparison.deviation * 100).toFixed(1)}%`;
+        htmlContent += `
+              <div class="result-item">
+                <div class="result-label">${comparison.label}</div>
+                <div class="result-value">${formatOutputValue(comparison.measured, comparison.unit)} vs ${formatOutputValue(comparison.analytic, comparison.unit)} (${deviationText})</div>
+              </div>`;
+    });
+    htmlContent += `</div>`;
+
+    simulationResult.segments.forEach(segment => {
+        htmlContent += `<div style="margin-bottom: 25px;">`;
+        htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">${segmentTitles[segment.name]}</h4>`;
+        const items = [
+            { label: "Final Output Voltage", value: formatOutputValue(segment.finalVoltage, "V") },
+            { label: segment.name === "startup" ? "Overshoot" : "Peak Deviation", value: formatOutputValue(segment.name === "startup" ? segment.overshoot : segment.peakDeviation, "%") },
+            { label: `Settling Time (±${SIMULATION_SETTLING_BAND * 100}%)`, value: formatOutputValue(segment.settlingTime, "s") },
+            { label: "Measured ΔIL", value: formatOutputValue(segment.measuredInductorRipple, "A") },
+            { label: "Measured ΔVout", value: formatOutputValue(segment.measuredOutputRipple, "V") }
+        ];
+        items.forEach(item => {
+            htmlContent += `
+              <div class="result-item">
+                <div class="result-label">${item.label}</div>
+                <div class="result-value">${item.value}</div>
+              </div>`;
+        });
+        htmlContent += `</div>`;
+    });
+
+    document.getElementById("simulationResults").innerHTML = htmlContent;
+    document.getElementById("simulationPlots").style.display = "block";
+
+    const { cycles } = simulationResult;
+    const [voltageCanvas, currentCanvas] = SIMULATION_CANVAS_IDS.map(id => document.getElementById(id));
+    drawLinePlot(voltageCanvas, {
+        title: "Output Voltage (per-period average and envelope)",
+        x: cycles.time,
+        xUnit: "s",
+        yUnit: "V",
+        series: [
+            { label: "max", values: cycles.outputVoltageMax, color: "#c3cfe2", lineWidth: 1 },
+            { label: "min", values: cycles.outputVoltageMin, color: "#c3cfe2", lineWidth: 1 },
+            { label: "avg", values: cycles.outputVoltageAverage, color: "#667eea" }
+        ]
+    });
+    drawLinePlot(currentCanvas, {
+        title: "Inductor Current (per-period average and envelope)",
+        x: cycles.time,
+        xUnit: "s",
+        yUnit: "A",
+        series: [
+            { label: "max", values: cycles.inductorCurrentMax, color: "#f8bbd0", lineWidth: 1 },
+            { label: "min", values: cycles.inductorCurrentMin, color: "#f8bbd0", lineWidth: 1 },
+            { label: "avg", values: cycles.inductorCurrentAverage, color: "#e91e63" }
+        ]
+    });
+
+    const cursorReadout = document.getElementById("simulationCursor");
+    cursorReadout.textContent = "Move the cursor over a plot to read per-period values.";
+    attachPlotCursor([voltageCanvas, currentCanvas], (sampleIndex) => {
+        cursorReadout.textContent = [
+            `t = ${formatAxisValue(cycles.time[sampleIndex], "s")}`,
+            `vout = ${formatAxisValue(cycles.outputVoltageAverage[sampleIndex], "V")}`,
+            `iL = ${formatAxisValue(cycles.inductorCurrentAverage[sampleIndex], "A")}`,
+            `iL pk = ${formatAxisValue(cycles.inductorCurrentMax[sampleIndex], "A")}`
+        ].join("   ");
+    });
+}
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { runTransientSimulation });
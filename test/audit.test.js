@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculate, traceCalculation, traceValidationErrors } from "../core/index.js";
+
+// 12 V → 5 V, 2 A buck at 500 kHz with 10 µH and 22 µF
+const BUCK_DESIGN = {
+    inputVoltage: 12, outputVoltage: 5, outputCurrent: 2,
+    switchingFrequency: 500e3, inductance: 10e-6, capacitance: 22e-6
+};
+
+test("solved values substitute the constraint equation and list the entered inputs", () => {
+    const traces = traceCalculation(calculate(BUCK_DESIGN));
+
+    assert.equal(traces.inputVoltage.origin, "entered");
+    assert.deepEqual(traces.inputVoltage.inputs, ["inputVoltage"]);
+
+    const ripple = traces.inductorCurrentRipple;
+    assert.equal(ripple.origin, "solved");
+    assert.equal(ripple.equation, "ΔIL = (Vin - Vout) * D / (L * Fs)");
+    assert.equal(ripple.substitution, "ΔIL = (12.00 V - 5.000 V) * 0.4167 / (10.00 µH * 500.0 kHz) = 583.3 mA");
+    assert.deepEqual(ripple.dependencies, ["inputVoltage", "outputVoltage", "dutyCycle", "inductance", "switchingFrequency"]);
+    assert.deepEqual([...ripple.inputs].sort(), ["inductance", "inputVoltage", "outputVoltage", "switchingFrequency"]);
+});
+
+test("derived values trace back through their dependencies", () => {
+    const traces = traceCalculation(calculate({ ...BUCK_DESIGN, outputVoltageRipple: 6.9e-3 }));
+    const esr = traces.equivalentSeriesResistance;
+
+    assert.equal(esr.origin, "derived");
+    assert.equal(esr.substitution, "ESR = (6.900 mV - 583.3 mA / (8 * 500.0 kHz * 22.00 µF)) / (583.3 mA / 2) = 929.9 µΩ");
+    assert.deepEqual(esr.dependencies, ["outputVoltageRipple", "inductorCurrentRipple", "switchingFrequency", "capacitance"]);
+    assert.ok(esr.inputs.includes("inductance"), "ΔIL carries L into the ESR inputs");
+});
+
+test("discontinuous conduction replaces the CCM duty cycle equation", () => {
+    const traces = traceCalculation(calculate({ ...BUCK_DESIGN, outputCurrent: 0.1 }));
+
+    assert.equal(traces.dutyCycle.origin, "derived");
+    assert.equal(traces.dutyCycle.label, "Discontinuous conduction");
+    assert.match(traces.dutyCycle.substitution, /^D = √\(.*\) = 0\.2440$/);
+    assert.ok(traces.outputVoltageRipple.dependencies.includes("diodeConductionRatio"));
+});
+
+test("snapped values keep the exact equation and show the rounding", () => {
+    const calculation = calculate(
+        { inputVoltage: 12, outputVoltage: 5, outputCurrent: 2, switchingFrequency: 500e3, currentRippleRatio: 0.3, outputVoltageRipple: 0.01 },
+        { standardSeries: "E12" }
+    );
+    const inductance = traceCalculation(calculation).inductance;
+
+    assert.equal(inductance.origin, "snapped");
+    assert.equal(inductance.label, "Nearest E12 standard value");
+    assert.equal(inductance.substitution, "9.722 µH → 10.00 µH");
+    assert.ok(inductance.inputs.includes("currentRippleRatio"));
+});
+
+test("validation errors name the values that disagree", () => {
+    const errors = traceValidationErrors(calculate({ inputVoltage: 12, outputVoltage: 5, dutyCycle: 0.5, inductance: -1 }));
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0].message, /^Duty cycle mismatch/);
+    assert.deepEqual(errors[0].values.map(value => [value.symbol, value.value]), [["D", 0.5], ["Vin", 12], ["Vout", 5]]);
+    assert.deepEqual(errors[1].values.map(value => value.key), ["inductance"]);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { main, parseCommandLine } from "../bin/webcal.js";
+
+function runCli(argv) {
+    const output = { stdout: "", stderr: "" };
+    const io = {
+        stdout: { write: (text) => output.stdout += text },
+        stderr: { write: (text) => output.stderr += text }
+    };
+    return { status: main(argv, io), ...output };
+}
+
+const BUCK_ARGUMENTS = [
+    "--inputVoltage", "12", "--outputVoltage", "5", "--outputCurrent", "2",
+    "--switchingFrequency", "500e3", "--inductance", "10e-6", "--capacitance=22e-6"
+];
+
+test("parses parameters, aliases and options", () => {
+    const options = parseCommandLine([...BUCK_ARGUMENTS, "--topology", "synchronousBuck", "--series", "E24", "--format", "json"]);
+
+    assert.equal(options.parameters.capacitance, 22e-6);
+    assert.equal(options.parameters.topology, "synchronousBuck");
+    assert.equal(options.standardSeries, "E24");
+    assert.equal(options.format, "json");
+});
+
+test("parameters accept engineering notation", () => {
+    const options = parseCommandLine(["--inductance", "4.7uH", "--switchingFrequency=500k", "--currentRippleRatio", "30%"]);
+
+    assert.equal(options.parameters.inductance, 4.7e-6);
+    assert.equal(options.parameters.switchingFrequency, 500e3);
+    assert.equal(options.parameters.currentRippleRatio, 0.3);
+    assert.throws(() => parseCommandLine(["--outputVoltage", "5A"]), /--outputVoltage expects a number: "5A" is a current/);
+});
+
+test("command-line parameters override the JSON input", () => {
+    const readInput = () => JSON.stringify({ inputVoltage: 24, outputVoltage: 5, topology: "buck", standardSeries: "E12" });
+    const options = parseCommandLine(["--input", "design.json", "--inputVoltage", "12"], readInput);
+
+    assert.equal(options.parameters.inputVoltage, 12);
+    assert.equal(options.parameters.outputVoltage, 5);
+    assert.equal(options.standardSeries, "E12");
+});
+
+test("reads design files saved by the web page", () => {
+    const design = {
+        format: "webcal-buck-design",
+        version: 1,
+        inputs: { inputVoltage: { value: "12", unit: "1" }, inductance: { value: "10", unit: "0.000001" } },
+        dutyCycle: "",
+        selections: { topology: "boost", rectifierType: "diode", standardValueSeries: "off" }
+    };
+    const options = parseCommandLine(["--input", "design.json"], () => JSON.stringify(design));
+
+    const { inductance, ...parameters } = options.parameters;
+    assert.deepEqual(parameters, { inputVoltage: 12, topology: "boost", rectifierType: "diode" });
+    assert.ok(Math.abs(inductance - 10e-6) < 1e-18);
+    assert.equal(options.standardSeries, "off");
+});
+
+test("prints text results and exits with 0", () => {
+    const { status, stdout } = runCli(BUCK_ARGUMENTS);
+
+    assert.equal(status, 0);
+    assert.match(stdout, /^Buck converter \(diode rectifier\)/);
+    assert.match(stdout, /Output Voltage Ripple \(ΔVout\) +6\.629 mV/);
+});
+
+test("prints JSON results", () => {
+    const { status, stdout } = runCli([...BUCK_ARGUMENTS, "--format", "json"]);
+    const output = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.equal(output.topology, "buck");
+    assert.ok(Math.abs(output.results.dutyCycle - 5 / 12) < 1e-12);
+    assert.deepEqual(output.errors, []);
+});
+
+test("exits with 1 on validation errors", () => {
+    const { status, stdout } = runCli([...BUCK_ARGUMENTS, "--dutyCycle", "0.6"]);
+
+    assert.equal(status, 1);
+    assert.match(stdout, /Validation errors:\n  - Duty cycle mismatch/);
+});
+
+test("exits with 2 on usage errors", () => {
+    for (const argv of [["--inputVoltage", "twelve"], ["--unknown", "1"], ["--topology", "flyback"], ["--format", "xml"]]) {
+        const { status, stderr } = runCli(argv);
+        assert.equal(status, 2, argv.join(" "));
+        assert.match(stderr, /^webcal: /);
+    }
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareCalculations, createCalculationParameters, runCalculation, valuesDiffer } from "../core/index.js";
+
+// 12 V → 5 V, 2 A buck with 30% current and 1% voltage ripple at two switching frequencies
+const buckAt = (switchingFrequency) => runCalculation(createCalculationParameters({
+    inputVoltage: 12, outputVoltage: 5, outputCurrent: 2, switchingFrequency, currentRippleRatio: 0.3, voltageRippleRatio: 0.01
+}));
+
+const findRow = (comparison, key) => comparison.flatMap(category => category.rows).find(row => row.key === key);
+
+test("values differ beyond the relative tolerance or when only some are present", () => {
+    assert.equal(valuesDiffer([5, 5, 5.0001]), false);
+    assert.equal(valuesDiffer([5, 5.01]), true);
+    assert.equal(valuesDiffer([0, 0]), false);
+    assert.equal(valuesDiffer([null, null]), false);
+    assert.equal(valuesDiffer([1e-6, null]), true);
+    assert.equal(valuesDiffer(["CCM", "CCM"]), false);
+    assert.equal(valuesDiffer(["CCM", "DCM"]), true);
+});
+
+test("designs are compared row by row with the differing results flagged", () => {
+    const comparison = compareCalculations([buckAt(300e3), buckAt(1e6)]);
+
+    assert.ok(comparison.length > 0);
+    comparison.forEach(category => assert.ok(category.rows.length > 0));
+    const inductance = findRow(comparison, "inductance");
+    assert.equal(inductance.differs, true);
+    assert.ok(Math.abs(inductance.values[0] / inductance.values[1] - 1e6 / 300e3) < 1e-9);
+    assert.equal(findRow(comparison, "outputVoltage").differs, false);
+    assert.equal(findRow(comparison, "dutyCycle").differs, false);
+    assert.deepEqual(findRow(comparison, "operatingMode").values, ["CCM (continuous)", "CCM (continuous)"]);
+});
+
+test("different topologies share common rows and invalid designs contribute no values", () => {
+    const boost = runCalculation(createCalculationParameters({
+        topology: "boost", inputVoltage: 5, outputVoltage: 12, outputCurrent: 1, switchingFrequency: 500e3,
+        currentRippleRatio: 0.3, voltageRippleRatio: 0.01
+    }));
+    const invalid = runCalculation(createCalculationParameters({ inputVoltage: 5, outputVoltage: 12, dutyCycle: 0.5 }));
+    assert.ok(invalid.validation.errors.length > 0);
+
+    const comparison = compareCalculations([buckAt(500e3), boost, invalid]);
+    const dutyCycle = findRow(comparison, "dutyCycle");
+    assert.ok(dutyCycle.values[0] < 0.5 && dutyCycle.values[1] > 0.5);
+    assert.equal(dutyCycle.values[2], null);
+    assert.equal(dutyCycle.differs, true);
+    assert.equal(findRow(comparison, "switchingFrequency").values[2], null);
+});
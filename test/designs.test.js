@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installDomStub } from "./helpers.js";
+
+const dom = installDomStub();
+await import("../designs.js");
+
+function restoreFromHash(hash) {
+    location.hash = hash;
+    dom.getElementById("inputVoltage").value = "";
+    dom.dispatchContentLoaded();
+    return dom.getElementById("designStatus").textContent;
+}
+
+test("a shared link with a malformed version is rejected", () => {
+    for (const version of ["abc", "", "0", "1.5", "-1"]) {
+        const status = restoreFromHash(`#v=${version}&inputVoltage=12&inputVoltageUnit=1`);
+        assert.match(status, /Could not restore the shared link: Design format version .* is not valid/);
+        assert.equal(dom.getElementById("inputVoltage").value, "");
+    }
+    assert.match(restoreFromHash("#v=2&inputVoltage=12&inputVoltageUnit=1"), /newer than this calculator supports/);
+});
+
+test("a shared link with the current version is restored", () => {
+    const status = restoreFromHash("#v=1&inputVoltage=12&inputVoltageUnit=1");
+    assert.match(status, /Restored the design from the shared link/);
+    assert.equal(dom.getElementById("inputVoltage").value, "12");
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EMI_STANDARDS, analyzeInputFilter, calculate, calculateInputCurrentHarmonics, getEmiLimit } from "../core/index.js";
+import { assertClose } from "./helpers.js";
+
+// 12 V → 5 V, 2 A buck at 500 kHz with 10 µH and a 10 µF, 5 mΩ input capacitor
+const { operatingPoint } = calculate({
+    inputVoltage: 12, outputVoltage: 5, outputCurrent: 2,
+    switchingFrequency: 500e3, inductance: 10e-6, capacitance: 22e-6
+});
+const FILTER_OPTIONS = { inputCapacitance: 10e-6, inputCapacitorEsr: 5e-3 };
+
+test("a flat-topped pulse with ideal edges has the square-wave harmonics", () => {
+    const pulse = { switchingFrequency: 100e3, dutyCycle: 0.3, inductorPeakCurrent: 2, inductorCurrentRipple: 0 };
+    const harmonics = calculateInputCurrentHarmonics(pulse, 1e6);
+
+    assert.equal(harmonics.length, 10);
+    harmonics.forEach(({ order, current }) => {
+        const expected = Math.SQRT2 * 2 * Math.abs(Math.sin(Math.PI * order * 0.3)) / (Math.PI * order);
+        assert.ok(Math.abs(current - expected) < 1e-9, `harmonic ${order}: expected ${expected}, got ${current}`);
+    });
+});
+
+test("limit lines interpolate in log frequency and leave gaps unlimited", () => {
+    assertClose(getEmiLimit(EMI_STANDARDS.cispr32ClassB, 150e3), 56);
+    assertClose(getEmiLimit(EMI_STANDARDS.cispr32ClassB, 500e3), 46);
+    assertClose(getEmiLimit(EMI_STANDARDS.cispr32ClassB, Math.sqrt(150e3 * 500e3)), 51);
+    assert.equal(getEmiLimit(EMI_STANDARDS.cispr25Class5, 400e3), null);
+    assert.equal(getEmiLimit(EMI_STANDARDS.cispr25Class5, 3e6), null);
+});
+
+test("the sized filter meets the requested margin where the bare converter fails", () => {
+    const analysis = analyzeInputFilter(operatingPoint, { ...FILTER_OPTIONS, standard: "cispr32ClassB", margin: 6 });
+
+    assert.ok(analysis.worstUnfiltered.margin < 0);
+    assert.ok(analysis.filter.inductance > 0);
+    assert.ok(analysis.worstFiltered.margin >= 6 - 1e-6);
+    assert.ok(analysis.spectrum.every(point => point.filteredLevel < point.unfilteredLevel));
+});
+
+test("damping brings the filter output impedance under the Middlebrook bound", () => {
+    const analysis = analyzeInputFilter(operatingPoint, { ...FILTER_OPTIONS, standard: "cispr32ClassB", middlebrookMargin: 6 });
+    const { stability, filter, converterInputImpedance } = analysis;
+
+    assertClose(converterInputImpedance, 12 ** 2 / operatingPoint.inputPower);
+    assert.ok(stability.undampedPeak > converterInputImpedance / 2);
+    assert.ok(filter.damping !== null);
+    assert.ok(stability.meetsMiddlebrook);
+    assert.ok(stability.middlebrookMargin >= 6 - 1e-6);
+    assert.deepEqual(analysis.warnings.filter(warning => warning.startsWith("Middlebrook")), []);
+});
+
+test("a given filter inductance is analysed instead of sized", () => {
+    const analysis = analyzeInputFilter(operatingPoint, { ...FILTER_OPTIONS, standard: "cispr25Class5", filterInductance: 1e-6 });
+
+    assert.equal(analysis.filter.inductance, 1e-6);
+    assert.equal(analysis.standard, EMI_STANDARDS.cispr25Class5);
+    assert.ok(analysis.spectrum.some(point => point.limit === null));
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatOutputValue, parseEngineeringInput, parseEngineeringValue, snapToESeries } from "../core/index.js";
+
+test("formatOutputValue picks the SI prefix per unit", () => {
+    assert.equal(formatOutputValue(10e-6, "H"), "10.00 µH");
+    assert.equal(formatOutputValue(22e-6, "F"), "22.00 µF");
+    assert.equal(formatOutputValue(500e3, "Hz"), "500.0 kHz");
+    assert.equal(formatOutputValue(0.5833, "A"), "583.3 mA");
+    assert.equal(formatOutputValue(12, "V"), "12.00 V");
+    assert.equal(formatOutputValue(0.292, "%"), "29.2%");
+    assert.equal(formatOutputValue(1500, "Ω"), "1.500 kΩ");
+});
+
+test("formatOutputValue covers the full prefix range, negative values and precision", () => {
+    assert.equal(formatOutputValue(4.7e-9, "H"), "4.700 nH");
+    assert.equal(formatOutputValue(2.4e9, "Hz"), "2.400 GHz");
+    assert.equal(formatOutputValue(1500, "A"), "1.500 kA");
+    assert.equal(formatOutputValue(2.2, "F"), "2.200 F");
+    assert.equal(formatOutputValue(-12, "V"), "-12.00 V");
+    assert.equal(formatOutputValue(-0.0033, "A"), "-3.300 mA");
+    assert.equal(formatOutputValue(0.01, "Ω"), "10.00 mΩ");
+    assert.equal(formatOutputValue(0.99996, "V"), "1.000 V");
+    assert.equal(formatOutputValue(0, "W"), "0.000 W");
+    assert.equal(formatOutputValue(3e-18, "F"), "3.000e-18 F");
+    assert.equal(formatOutputValue(12, "V", 6), "12.0000 V");
+    assert.equal(formatOutputValue(0.29249, "%", 5), "29.249%");
+});
+
+test("parseEngineeringValue accepts SI prefixes and unit suffixes", () => {
+    assert.equal(parseEngineeringValue("4.7u", "H"), 4.7e-6);
+    assert.equal(parseEngineeringValue("470k", "Ω"), 470e3);
+    assert.equal(parseEngineeringValue("3.3V", "V"), 3.3);
+    assert.equal(parseEngineeringValue("10mΩ", "Ω"), 0.01);
+    assert.equal(parseEngineeringValue("10 mohm", "Ω"), 0.01);
+    assert.equal(parseEngineeringValue("2.2 µF", "F"), 2.2e-6);
+    assert.equal(parseEngineeringValue("1meg", "Hz"), 1e6);
+    assert.equal(parseEngineeringValue("-5e-3", "A"), -5e-3);
+    assert.equal(parseEngineeringValue("30%", "%"), 0.3);
+    assert.deepEqual(parseEngineeringInput("12", "V"), { number: 12, multiplier: null });
+    assert.deepEqual(parseEngineeringInput("500 kHz", "Hz"), { number: 500, multiplier: 1e3 });
+});
+
+test("parseEngineeringValue rejects unit mismatches and malformed text", () => {
+    assert.throws(() => parseEngineeringValue("5A", "V"), /"5A" is a current, expected a voltage \(V\)/);
+    assert.throws(() => parseEngineeringValue("10uF", "H"), /is a capacitance, expected an inductance/);
+    assert.throws(() => parseEngineeringValue("30%", "V"), /is a percentage/);
+    assert.throws(() => parseEngineeringValue("5k", "ratio"), /is not a ratio/);
+    assert.throws(() => parseEngineeringValue("4.7q", "H"), /unknown unit "q"/);
+    assert.throws(() => parseEngineeringValue("twelve", "V"), /is not a number/);
+    assert.throws(() => parseEngineeringValue("", "V"), /is not a number/);
+});
+
+test("formatOutputValue reports missing values as N/A", () => {
+    assert.equal(formatOutputValue(null, "V"), "N/A");
+    assert.equal(formatOutputValue(NaN, "A"), "N/A");
+    assert.equal(formatOutputValue("", "text"), "N/A");
+    assert.equal(formatOutputValue("CCM (continuous)", "text"), "CCM (continuous)");
+});
+
+test("snapToESeries rounds to the nearest value in log space", () => {
+    assert.equal(snapToESeries(9.72e-6, "E12"), 10e-6);
+    assert.equal(snapToESeries(3e-6, "E12"), 3.3e-6);
+    assert.equal(snapToESeries(3e-6, "E24"), 3e-6);
+    assert.equal(snapToESeries(9.6e-6, "E6"), 10e-6);
+    assert.equal(snapToESeries(null, "E12"), null);
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+
+// Relative comparison for hand-calculated reference values
+export function assertClose(actual, expected, tolerance = 1e-4) {
+    assert.ok(Number.isFinite(actual), `expected ${expected}, got ${actual}`);
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// Minimal DOM for loading the page modules in Node; elements are created on first lookup by id.
+// Call before importing a page module, then `dispatchContentLoaded` runs the modules' start-up listeners.
+export function installDomStub() {
+    const elements = new Map();
+    const contentLoadedListeners = [];
+    const createElement = (id) => ({
+        id, value: "", innerHTML: "", textContent: "", className: "", disabled: false,
+        style: {}, dataset: {}, options: [], selectedIndex: 0,
+        add(option) { this.options.push(option); },
+        appendChild() {},
+        addEventListener() {},
+        click() {},
+        scrollIntoView() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        closest: () => ({ querySelector: () => ({ textContent: id }) })
+    });
+    const getElementById = (id) => {
+        if (!elements.has(id)) elements.set(id, createElement(id));
+        return elements.get(id);
+    };
+
+    globalThis.window = globalThis;
+    globalThis.document = {
+        getElementById,
+        createElement: () => createElement(null),
+        querySelectorAll: () => [],
+        addEventListener: (type, listener) => {
+            if (type === "DOMContentLoaded") contentLoadedListeners.push(listener);
+        }
+    };
+    const storage = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => storage.has(key) ? storage.get(key) : null,
+        setItem: (key, value) => { storage.set(key, String(value)); },
+        removeItem: (key) => { storage.delete(key); }
+    };
+    globalThis.Option = function (text, value) { Object.assign(this, { text, value }); };
+    Object.defineProperty(globalThis, "location", { value: { hash: "", href: "http://localhost/" }, writable: true, configurable: true });
+    globalThis.history = { replaceState() {} };
+
+    return {
+        getElementById,
+        dispatchContentLoaded: () => contentLoadedListeners.forEach(listener => listener())
+    };
+}
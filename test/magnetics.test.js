@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CORE_MATERIALS, WIRE_GAUGES, calculate, designInductor, designInductorOnCores, getCore, getInductorRequirements } from "../core/index.js";
+import { assertClose } from "./helpers.js";
+
+// 12 V → 5 V, 4 A buck at 200 kHz with 10 µH: ΔIL = 1.458 A, Ipk = 4.729 A
+const REQUIREMENTS = {
+    inductance: 10e-6, peakCurrent: 4.729167, rmsCurrent: 4.022092,
+    currentRipple: 1.458333, switchingFrequency: 200e3
+};
+
+test("AWG diameters follow the gauge definition", () => {
+    const gauge = (awg) => WIRE_GAUGES.find(entry => entry.awg === awg);
+    assertClose(gauge(10).diameter, 2.588e-3, 1e-3);
+    assertClose(gauge(20).diameter, 0.8118e-3, 1e-3);
+    assertClose(gauge(40).diameter, 0.07988e-3, 1e-3);
+});
+
+test("toroid AL follows from permeability and geometry", () => {
+    assertClose(getCore("S60-27").inductanceFactor, 81e-9, 0.02);
+});
+
+test("turns, flux density and Steinmetz core loss on a gapped E-core", () => {
+    const core = getCore("E20-AL160");
+    const design = designInductor(REQUIREMENTS, core);
+    const { k, alpha, beta } = CORE_MATERIALS.ferrite.steinmetz;
+    const fluxSwing = 10e-6 * 1.458333 / (8 * 32.1e-6);
+
+    assert.equal(design.turns, 8);
+    assertClose(design.inductance, 10.24e-6);
+    assertClose(design.fluxSwing, fluxSwing);
+    assertClose(design.peakFluxDensity, 10.24e-6 * (4.729167 - 1.458333 / 2) / (8 * 32.1e-6) + fluxSwing / 2);
+    assertClose(design.coreLoss, k * 200e3 ** alpha * (fluxSwing / 2) ** beta * 1490e-9);
+    assert.equal(design.wire.awg, 18);
+    assert.ok(design.currentDensity <= 5e6);
+    assert.deepEqual(design.warnings, []);
+});
+
+test("undersized cores saturate and crowded windows are flagged", () => {
+    const saturated = designInductor(REQUIREMENTS, getCore("TX13"));
+    assert.ok(saturated.saturates);
+    assert.match(saturated.warnings[0], /^Saturates/);
+
+    const crowded = designInductor(REQUIREMENTS, getCore("T50-26"), { currentDensity: 2e6 });
+    assert.equal(crowded.fits, false);
+    assert.ok(crowded.warnings.some(warning => warning.startsWith("Winding does not fit")));
+});
+
+test("ranking puts cores that fit without saturating first", () => {
+    const designs = designInductorOnCores(REQUIREMENTS);
+    const firstFailure = designs.findIndex(design => design.saturates || !design.fits);
+    assert.ok(firstFailure > 0);
+    assert.ok(designs.slice(firstFailure).every(design => design.saturates || !design.fits));
+});
+
+test("requirements come from the calculated operating point", () => {
+    const calculation = calculate({
+        inputVoltage: 12, outputVoltage: 5, outputCurrent: 4,
+        switchingFrequency: 200e3, inductance: 10e-6, capacitance: 22e-6
+    });
+    const requirements = getInductorRequirements(calculation.operatingPoint);
+
+    assertClose(requirements.peakCurrent, REQUIREMENTS.peakCurrent, 1e-5);
+    assertClose(requirements.rmsCurrent, REQUIREMENTS.rmsCurrent, 1e-5);
+    assert.equal(getInductorRequirements({ ...calculation.operatingPoint, inductance: null }), null);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCalculationParameters, listESeriesValues, optimizeDesign } from "../core/index.js";
+
+// 9-15 V → 5 V, 2 A buck with 30% current and 1% voltage ripple limits
+const BUCK_SPECIFICATION = createCalculationParameters({ outputVoltage: 5, outputCurrent: 2 });
+const BUCK_GOALS = { inputVoltageMinimum: 9, inputVoltageMaximum: 15, currentRippleRatio: 0.3, voltageRippleRatio: 0.01 };
+
+test("standard values are listed across decades within the range", () => {
+    assert.deepEqual(listESeriesValues("E6", 3e-6, 15e-6), [3.3e-6, 4.7e-6, 6.8e-6, 10e-6, 15e-6]);
+    assert.deepEqual(listESeriesValues("E12", 820e3, 1.2e6), [820e3, 1e6, 1.2e6]);
+    assert.deepEqual(listESeriesValues("E12", 2e6, 1e6), []);
+});
+
+test("every candidate is valid and meets the limits at every input voltage", () => {
+    const { candidates, inputVoltages } = optimizeDesign(BUCK_SPECIFICATION, BUCK_GOALS);
+
+    assert.deepEqual(inputVoltages, [9, 10.5, 12, 13.5, 15]);
+    assert.equal(candidates.length, 10);
+    candidates.forEach(candidate => {
+        assert.equal(candidate.corners.length, 5);
+        candidate.corners.forEach(({ calculation }) => {
+            assert.deepEqual(calculation.validation.errors, []);
+            assert.ok(calculation.operatingPoint.currentRippleRatio <= 0.3 * (1 + 1e-9));
+            assert.ok(calculation.operatingPoint.voltageRippleRatio <= 0.01 * (1 + 1e-9));
+        });
+        // The buck ripple peaks at the highest input voltage
+        assert.equal(candidate.inputVoltage, 15);
+    });
+});
+
+test("the energy objective ranks the smallest stored energy first", () => {
+    const { candidates } = optimizeDesign(BUCK_SPECIFICATION, BUCK_GOALS);
+    const [best] = candidates;
+
+    assert.equal(best.switchingFrequency, 1.8e6);
+    assert.equal(best.inductance, 3.9e-6);
+    assert.equal(best.capacitance, 680e-9);
+    const expectedEnergy = 0.5 * best.inductance * best.worstCase.inductorPeakCurrent ** 2 + 0.5 * best.capacitance * 5 ** 2;
+    assert.ok(Math.abs(best.score - expectedEnergy) < 1e-15);
+    candidates.slice(1).forEach(candidate => assert.ok(candidate.score >= best.score));
+});
+
+test("size and peak-current limits reject candidates and are reported", () => {
+    const goals = { ...BUCK_GOALS, maxPeakCurrent: 2.25, maxInductance: 4.7e-6 };
+    const { candidates, rejections } = optimizeDesign(BUCK_SPECIFICATION, goals);
+
+    assert.ok(candidates.length > 0);
+    candidates.forEach(candidate => {
+        assert.ok(candidate.inductance <= 4.7e-6);
+        assert.ok(candidate.worstCase.peakSwitchCurrent <= 2.25);
+    });
+    assert.ok(rejections.peakCurrent > 0);
+    assert.ok(rejections.inductance > 0);
+
+    const impossible = optimizeDesign(BUCK_SPECIFICATION, { ...BUCK_GOALS, maxPeakCurrent: 1 });
+    assert.equal(impossible.candidates.length, 0);
+    assert.equal(impossible.rejections.peakCurrent, impossible.evaluatedCount);
+});
+
+test("the efficiency objective needs parasitics and favours low switching loss", () => {
+    assert.throws(() => optimizeDesign(BUCK_SPECIFICATION, { ...BUCK_GOALS, objective: "efficiency" }), /needs the loss parasitics/);
+
+    const lossyBuck = createCalculationParameters({
+        outputVoltage: 5, outputCurrent: 2, mosfetOnResistance: 0.02, diodeForwardVoltage: 0.4,
+        switchRiseTime: 10e-9, switchFallTime: 10e-9, inductorDcr: 0.02
+    });
+    const { candidates } = optimizeDesign(lossyBuck, { ...BUCK_GOALS, objective: "efficiency" }, { candidateCount: 3 });
+
+    assert.equal(candidates[0].switchingFrequency, 100e3);
+    candidates.forEach(candidate => assert.ok(candidate.score <= candidates[0].score));
+    assert.equal(candidates[0].score, Math.min(...candidates[0].corners.map(corner => corner.calculation.computed.efficiency)));
+});
+
+test("input voltages outside the topology's range leave no candidates", () => {
+    const boost = createCalculationParameters({ topology: "boost", outputVoltage: 12, outputCurrent: 1 });
+    const { candidates, rejections, evaluatedCount } = optimizeDesign(boost, { ...BUCK_GOALS, inputVoltageMinimum: 4, inputVoltageMaximum: 14 });
+
+    assert.equal(candidates.length, 0);
+    assert.equal(evaluatedCount, 0);
+    assert.ok(rejections.validation > 0);
+});
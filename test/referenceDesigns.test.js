@@ -0,0 +1,191 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculate, collectResultValues } from "../core/index.js";
+import { assertClose } from "./helpers.js";
+
+const BUCK_12V_TO_5V = {
+    inputVoltage: 12, outputVoltage: 5, outputCurrent: 2,
+    switchingFrequency: 500e3, inductance: 10e-6, capacitance: 22e-6
+};
+
+const BOOST_5V_TO_12V = {
+    inputVoltage: 5, outputVoltage: 12, outputCurrent: 1,
+    switchingFrequency: 500e3, inductance: 10e-6, capacitance: 22e-6
+};
+
+test("buck forward design: D = Vout/Vin, ΔIL and ΔVout from L and C", () => {
+    const calculation = calculate(BUCK_12V_TO_5V);
+    const results = collectResultValues(calculation);
+
+    assert.deepEqual(calculation.validation.errors, []);
+    assertClose(results.dutyCycle, 5 / 12);
+    assertClose(results.inductorCurrentRipple, 0.583333);
+    assertClose(results.outputVoltageRipple, 6.62879e-3);
+    assertClose(results.peakSwitchCurrent, 2.291667);
+    assertClose(results.criticalLoadCurrent, 0.291667);
+    assertClose(results.criticalInductance, 1.458333e-6);
+    assert.equal(results.operatingMode, "CCM (continuous)");
+});
+
+test("buck reverse design: L and C from ripple ratio targets", () => {
+    const results = collectResultValues(calculate({
+        inputVoltage: 12, outputVoltage: 5, outputCurrent: 2, switchingFrequency: 500e3,
+        currentRippleRatio: 0.3, voltageRippleRatio: 0.01
+    }));
+
+    assertClose(results.inductorCurrentRipple, 0.6);
+    assertClose(results.inductance, 9.722222e-6);
+    assertClose(results.outputVoltageRipple, 0.05);
+    assertClose(results.capacitance, 3e-6);
+});
+
+test("buck below the critical load current switches to the DCM equations", () => {
+    const calculation = calculate({ ...BUCK_12V_TO_5V, outputCurrent: 0.1 });
+    const results = collectResultValues(calculation);
+
+    assert.equal(results.operatingMode, "DCM (discontinuous)");
+    assertClose(results.dutyCycle, 0.243975);
+    assertClose(results.peakSwitchCurrent, 0.341565);
+    assertClose(results.diodeConductionRatio, 0.341565);
+    assert.ok(calculation.validation.warnings.some(warning => warning.startsWith("Discontinuous conduction")));
+});
+
+test("synchronous buck stays in forced CCM at light load", () => {
+    const results = collectResultValues(calculate({ ...BUCK_12V_TO_5V, outputCurrent: 0.1, topology: "synchronousBuck" }));
+
+    assert.equal(results.operatingMode, "CCM (forced, synchronous)");
+    assertClose(results.dutyCycle, 5 / 12);
+});
+
+test("buck losses with diode rectifier, Rds(on) and DCR", () => {
+    const results = collectResultValues(calculate({
+        ...BUCK_12V_TO_5V, mosfetOnResistance: 0.05, diodeForwardVoltage: 0.5, inductorDcr: 0.02
+    }));
+
+    assertClose(results.correctedDutyCycle, 5.54 / 12.4);
+    assertClose(results.mosfetConductionLoss, 0.0899887);
+    assertClose(results.rectifierLoss, 0.553226);
+    assertClose(results.inductorCopperLoss, 0.0805671);
+    assertClose(results.efficiency, 0.932506);
+});
+
+test("over-constrained inputs are reported as validation errors", () => {
+    const calculation = calculate({ ...BUCK_12V_TO_5V, dutyCycle: 0.6 });
+
+    assert.equal(calculation.validation.errors.length, 1);
+    assert.match(calculation.validation.errors[0], /^Duty cycle mismatch/);
+    assert.deepEqual(calculation.computed, {});
+});
+
+test("non-positive components are rejected", () => {
+    const calculation = calculate({ ...BUCK_12V_TO_5V, inductance: -1e-6 });
+    assert.ok(calculation.validation.errors.includes("Inductance must be positive"));
+});
+
+test("boost forward design: D = 1 − Vin/Vout, pulsed output ripple", () => {
+    const results = collectResultValues(calculate({ ...BOOST_5V_TO_12V, topology: "boost" }));
+
+    assertClose(results.dutyCycle, 7 / 12);
+    assertClose(results.inductorCurrentRipple, 0.583333);
+    assertClose(results.outputVoltageRipple, 0.0530303);
+    assertClose(results.averageInductorCurrent, 2.4);
+    assertClose(results.peakSwitchCurrent, 2.691667);
+});
+
+test("boost below the critical load current switches to the DCM equations", () => {
+    const results = collectResultValues(calculate({ ...BOOST_5V_TO_12V, outputCurrent: 0.05, topology: "boost" }));
+
+    assert.equal(results.operatingMode, "DCM (discontinuous)");
+    assertClose(results.dutyCycle, Math.sqrt(3.5) / 5);
+    assertClose(results.diodeConductionRatio, 0.267261);
+});
+
+test("boost with Vout below Vin is flagged", () => {
+    const calculation = calculate({ ...BOOST_5V_TO_12V, outputVoltage: 3, topology: "boost" });
+    assert.ok(calculation.validation.warnings.some(warning => warning.startsWith("Boost converter requires Vout > Vin")));
+});
+
+test("inverting buck-boost: D = Vout/(Vin + Vout) on the output magnitude", () => {
+    const results = collectResultValues(calculate({ ...BOOST_5V_TO_12V, topology: "inverting" }));
+
+    assertClose(results.dutyCycle, 12 / 17);
+    assertClose(results.averageInductorCurrent, 3.4);
+    assertClose(results.peakSwitchCurrent, 3.4 + 0.705882 / 2);
+
+    const negativeOutput = calculate({ ...BOOST_5V_TO_12V, outputVoltage: -12, topology: "inverting" });
+    assert.equal(negativeOutput.validation.errors.length, 1);
+});
+
+test("SEPIC: input inductor current and doubled switch ripple", () => {
+    const results = collectResultValues(calculate({ ...BOOST_5V_TO_12V, topology: "sepic" }));
+
+    assertClose(results.dutyCycle, 12 / 17);
+    assertClose(results.inductorCurrentRipple, 0.705882);
+    assertClose(results.averageInductorCurrent, 2.4);
+    assertClose(results.peakSwitchCurrent, 4.105882);
+});
+
+test("standard-value snapping re-runs the design with the snapped parts", () => {
+    const calculation = calculate({
+        inputVoltage: 12, outputVoltage: 5, outputCurrent: 2, switchingFrequency: 500e3,
+        currentRippleRatio: 0.3, voltageRippleRatio: 0.01
+    }, { standardSeries: "E12" });
+
+    assert.equal(calculation.computed.inductance, 10e-6);
+    assert.equal(calculation.computed.capacitance, 3.3e-6);
+    assert.equal(calculation.notes.length, 2);
+});
+
+test("malformed parameter sets throw", () => {
+    assert.throws(() => calculate({ inputVoltag: 12 }), /Unknown parameter "inputVoltag"/);
+    assert.throws(() => calculate({ inputVoltage: "12" }), /must be a finite number/);
+    assert.throws(() => calculate({ topology: "flyback" }), /Unknown topology "flyback"/);
+    assert.throws(() => calculate({}, { standardSeries: "E96" }), /Unknown standard-value series/);
+});
+
+test("buck component stresses: RMS currents and voltage stress", () => {
+    const results = collectResultValues(calculate(BUCK_12V_TO_5V));
+
+    assertClose(results.switchRmsCurrent, 1.295563);
+    assertClose(results.inductorRmsCurrent, 2.007077);
+    assertClose(results.inputCapacitorRmsCurrent, 0.991986);
+    assertClose(results.outputCapacitorRmsCurrent, 0.168394);
+    assertClose(results.switchVoltageStress, 12);
+    assertClose(results.outputCapacitorVoltageStress, 5.003314);
+});
+
+test("boost input capacitor only carries the inductor ripple", () => {
+    const results = collectResultValues(calculate({ ...BOOST_5V_TO_12V, topology: "boost" }));
+
+    assertClose(results.inputCapacitorRmsCurrent, 0.168394);
+    assertClose(results.switchVoltageStress, 12);
+});
+
+test("voltage ratings above 80% utilization are flagged", () => {
+    const calculation = calculate({ ...BUCK_12V_TO_5V, switchVoltageRating: 12, outputCapacitorVoltageRating: 10 });
+    const results = collectResultValues(calculation);
+
+    assertClose(results.switchVoltageUtilization, 1);
+    assertClose(results.outputCapacitorVoltageUtilization, 0.5003314);
+    assert.equal(calculation.validation.warnings.filter(warning => warning.includes("rating")).length, 1);
+    assert.match(calculation.validation.warnings.find(warning => warning.includes("rating")), /^Switch voltage stress/);
+});
+
+test("junction temperature from losses and thermal resistances", () => {
+    const calculation = calculate({
+        ...BUCK_12V_TO_5V, mosfetOnResistance: 0.1, ambientTemperature: 85,
+        switchJunctionToCase: 5, switchCaseToAmbient: 60, junctionTemperatureLimit: 90
+    });
+    const results = collectResultValues(calculation);
+
+    assertClose(results.switchPowerDissipation, results.mosfetConductionLoss);
+    assertClose(results.switchCaseTemperature, 85 + results.mosfetConductionLoss * 60);
+    assertClose(results.switchJunctionTemperature, 85 + results.mosfetConductionLoss * 65);
+    assert.equal(results.rectifierCaseTemperature, undefined);
+    assert.ok(calculation.validation.warnings.some(warning => warning.startsWith("Switch junction temperature")));
+});
+
+test("negative thermal resistances are rejected", () => {
+    const calculation = calculate({ ...BUCK_12V_TO_5V, switchCaseToAmbient: -1 });
+    assert.deepEqual(calculation.validation.errors, ["Switch Rθca cannot be negative"]);
+});
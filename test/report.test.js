@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installDomStub } from "./helpers.js";
+
+const dom = installDomStub();
+await import("../report.js");
+
+const downloads = [];
+URL.createObjectURL = (blob) => {
+    downloads.push(blob);
+    return "blob:report";
+};
+URL.revokeObjectURL = () => {};
+
+function enterField(id, text, unit) {
+    const unitSelect = dom.getElementById(`${id}Unit`);
+    unitSelect.options = [{ value: "1", text: unit }];
+    unitSelect.value = "1";
+    dom.getElementById(id).dataset.unitSelect = unitSelect.id;
+    dom.getElementById(id).value = text;
+}
+
+test("exporting after an input error shows the error instead of a report", () => {
+    enterField("inputVoltage", "5A", "V");
+    enterField("outputVoltage", "5", "V");
+    enterField("outputCurrent", "2", "A");
+
+    assert.doesNotThrow(() => window.exportDesignReport("html"));
+    assert.equal(downloads.length, 0);
+    const results = dom.getElementById("calculationResults").innerHTML;
+    assert.match(results, /Validation Errors/);
+    assert.match(results, /inputVoltage: .*A/);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installDomStub } from "./helpers.js";
+
+const dom = installDomStub();
+await import("../workspace.js");
+
+function enterField(id, text, unit) {
+    const unitSelect = dom.getElementById(`${id}Unit`);
+    unitSelect.options = [{ value: "1", text: unit }];
+    unitSelect.value = "1";
+    dom.getElementById(id).dataset.unitSelect = unitSelect.id;
+    dom.getElementById(id).value = text;
+}
+
+const storedDesigns = () => JSON.parse(localStorage.getItem("webcal.comparisonWorkspace") ?? "[]");
+
+test("a design with a mistyped field is not added to the comparison", () => {
+    dom.getElementById("topology").value = "buck";
+    dom.getElementById("rectifierType").value = "diode";
+    dom.getElementById("standardValueSeries").value = "off";
+    enterField("inputVoltage", "12", "V");
+    enterField("outputVoltage", "5", "V");
+    enterField("outputCurrent", "2 V", "A");
+
+    window.addWorkspaceDesign();
+    assert.deepEqual(storedDesigns(), []);
+    assert.match(dom.getElementById("workspaceResults").innerHTML, /Input Errors:.*outputCurrent/s);
+
+    enterField("outputCurrent", "2", "A");
+    window.addWorkspaceDesign();
+    assert.equal(storedDesigns().length, 1);
+    assert.equal(storedDesigns()[0].parameters.outputCurrent, 2);
+
+    enterField("outputVoltage", "3..3", "V");
+    window.updateWorkspaceDesign(0);
+    assert.equal(storedDesigns()[0].parameters.outputVoltage, 5);
+    assert.match(dom.getElementById("workspaceResults").innerHTML, /Input Errors:.*outputVoltage/s);
+});
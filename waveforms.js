@@ -0,0 +1,162 @@
+import { formatOutputValue } from "./core/index.js";
+import { attachPlotCursor, drawLinePlot, formatAxisValue } from "./plotting.js";
+
+// Waveform Constants
+const WAVEFORM_PERIOD_COUNT = 3;
+const WAVEFORM_SAMPLES_PER_PERIOD = 240;
+
+export const WAVEFORM_CANVAS_IDS = [
+    "inductorCurrentPlot", "switchNodePlot", "capacitorCurrentPlot", "outputRipplePlot"
+];
+
+// Waveform Engine
+export function buildSteadyStateWaveforms(operatingPoint, periodCount = WAVEFORM_PERIOD_COUNT, samplesPerPeriod = WAVEFORM_SAMPLES_PER_PERIOD) {
+    const {
+        inputVoltage, outputVoltage, outputCurrent, switchingFrequency, dutyCycle,
+        inductorCurrentRipple, outputVoltageRipple, equivalentSeriesResistance = 0,
+        rectifierDrop = 0, diodeConductionRatio = null
+    } = operatingPoint;
+
+    const requiredValues = [inputVoltage, outputVoltage, outputCurrent, switchingFrequency, dutyCycle, inductorCurrentRipple];
+    if (requiredValues.some(value => value === null || value === undefined || !Number.isFinite(value))) return null;
+    if (dutyCycle <= 0 || dutyCycle >= 1 || switchingFrequency <= 0) return null;
+
+    const period = 1 / switchingFrequency;
+    const onTime = dutyCycle * period;
+    const isDiscontinuous = diodeConductionRatio !== null && diodeConductionRatio !== undefined;
+
+    // In DCM the current ramps from zero to ΔIL and returns to zero after D2·T
+    const valleyCurrent = isDiscontinuous ? 0 : outputCurrent - inductorCurrentRipple / 2;
+    const peakCurrent = isDiscontinuous ? inductorCurrentRipple : outputCurrent + inductorCurrentRipple / 2;
+    const fallTime = isDiscontinuous ? diodeConductionRatio * period : period - onTime;
+
+    const sampleInductorCurrent = (phase) => {
+        if (phase < onTime) return valleyCurrent + (peakCurrent - valleyCurrent) * phase / onTime;
+        if (phase < onTime + fallTime) return peakCurrent - (peakCurrent - valleyCurrent) * (phase - onTime) / fallTime;
+        return 0;
+    };
+
+    const sampleSwitchNodeVoltage = (phase) => {
+        if (phase < onTime) return inputVoltage;
+        if (phase < onTime + fallTime) return -rectifierDrop;
+        return outputVoltage;
+    };
+
+    // One period of samples, repeated for the requested number of periods
+    const periodTime = [];
+    const periodInductorCurrent = [];
+    const periodSwitchNode = [];
+    const periodCapacitorCurrent = [];
+    for (let sample = 0; sample < samplesPerPeriod; sample++) {
+        const phase = sample * period / samplesPerPeriod;
+        const inductorCurrent = sampleInductorCurrent(phase);
+        periodTime.push(phase);
+        periodInductorCurrent.push(inductorCurrent);
+        periodSwitchNode.push(sampleSwitchNodeVoltage(phase));
+        periodCapacitorCurrent.push(inductorCurrent - outputCurrent);
+    }
+
+    // Capacitor charge ripple, scaled so its peak-to-peak matches ΔVout
+    const chargeRipple = [0];
+    for (let sample = 1; sample < samplesPerPeriod; sample++) {
+        const stepCharge = (periodCapacitorCurrent[sample - 1] + periodCapacitorCurrent[sample]) / 2 * period / samplesPerPeriod;
+        chargeRipple.push(chargeRipple[sample - 1] + stepCharge);
+    }
+    const chargeMean = chargeRipple.reduce((sum, value) => sum + value, 0) / samplesPerPeriod;
+    const chargeSpan = Math.max(...chargeRipple) - Math.min(...chargeRipple);
+    const capacitiveScale = outputVoltageRipple && chargeSpan > 0 ? outputVoltageRipple / chargeSpan : 0;
+    const periodOutputRipple = chargeRipple.map((charge, sample) =>
+        (charge - chargeMean) * capacitiveScale + periodCapacitorCurrent[sample] * equivalentSeriesResistance);
+
+    const repeat = (values, offset = () => 0) => Array.from({ length: periodCount },
+        (_, periodIndex) => values.map(value => value + offset(periodIndex))).flat();
+
+    return {
+        time: repeat(periodTime, (periodIndex) => periodIndex * period),
+        inductorCurrent: repeat(periodInductorCurrent),
+        switchNodeVoltage: repeat(periodSwitchNode),
+        capacitorCurrent: repeat(periodCapacitorCurrent),
+        outputRipple: repeat(periodOutputRipple),
+        markers: {
+            peakCurrent,
+            valleyCurrent,
+            onTime,
+            offTime: period - onTime,
+            period,
+            outputRipplePeakToPeak: Math.max(...periodOutputRipple) - Math.min(...periodOutputRipple)
+        }
+    };
+}
+
+// Display Functions
+export function renderWaveformPlots(operatingPoint) {
+    const waveforms = buildSteadyStateWaveforms(operatingPoint);
+    const plotContainer = document.getElementById("waveformPlots");
+    const summaryContainer = document.getElementById("waveformSummary");
+
+    if (waveforms === null) {
+        clearWaveformPlots();
+        return;
+    }
+
+    plotContainer.style.display = "block";
+    const { markers } = waveforms;
+    summaryContainer.innerHTML = `
+        <div class="plot-readout-item"><span>Ipk</span>${formatOutputValue(markers.peakCurrent, "A")}</div>
+        <div class="plot-readout-item"><span>Ivalley</span>${formatAxisValue(markers.valleyCurrent, "A")}</div>
+        <div class="plot-readout-item"><span>ton</span>${formatOutputValue(markers.onTime, "s")}</div>
+        <div class="plot-readout-item"><span>toff</span>${formatOutputValue(markers.offTime, "s")}</div>
+        <div class="plot-readout-item"><span>ΔVout (incl. ESR)</span>${formatOutputValue(markers.outputRipplePeakToPeak, "V")}</div>`;
+
+    const plots = [
+        {
+            title: "Inductor Current (iL)",
+            series: [{ label: "iL", values: waveforms.inductorCurrent }],
+            yUnit: "A",
+            markers: [
+                { y: markers.peakCurrent, label: `Ipk ${formatOutputValue(markers.peakCurrent, "A")}`, color: "#e91e63" },
+                { y: markers.valleyCurrent, label: `Ivalley ${formatAxisValue(markers.valleyCurrent, "A")}`, color: "#4CAF50" }
+            ]
+        },
+        {
+            title: `Switch Node Voltage (Vsw) — ton ${formatOutputValue(markers.onTime, "s")}, toff ${formatOutputValue(markers.offTime, "s")}`,
+            series: [{ label: "Vsw", values: waveforms.switchNodeVoltage, color: "#ff9800" }],
+            yUnit: "V"
+        },
+        {
+            title: "Capacitor Current (iC)",
+            series: [{ label: "iC", values: waveforms.capacitorCurrent, color: "#4CAF50" }],
+            yUnit: "A"
+        },
+        {
+            title: "Output Voltage Ripple (ΔVout)",
+            series: [{ label: "vout − Vout", values: waveforms.outputRipple, color: "#e91e63" }],
+            yUnit: "V"
+        }
+    ];
+
+    const canvases = WAVEFORM_CANVAS_IDS.map(id => document.getElementById(id));
+    canvases.forEach((canvas, index) => {
+        drawLinePlot(canvas, { ...plots[index], x: waveforms.time, xUnit: "s" });
+    });
+
+    const cursorReadout = document.getElementById("waveformCursor");
+    cursorReadout.textContent = "Move the cursor over a plot to read instantaneous values.";
+    attachPlotCursor(canvases, (sampleIndex) => {
+        cursorReadout.textContent = [
+            `t = ${formatAxisValue(waveforms.time[sampleIndex], "s")}`,
+            `iL = ${formatAxisValue(waveforms.inductorCurrent[sampleIndex], "A")}`,
+            `Vsw = ${formatAxisValue(waveforms.switchNodeVoltage[sampleIndex], "V")}`,
+            `iC = ${formatAxisValue(waveforms.capacitorCurrent[sampleIndex], "A")}`,
+            `Δvout = ${formatAxisValue(waveforms.outputRipple[sampleIndex], "V")}`
+        ].join("   ");
+    });
+}
+
+export function clearWaveformPlots(message = "Waveforms need Vin, Vout, Iout, Fs and a resolved ΔIL.") {
+    document.getElementById("waveformPlots").style.display = "none";
+    document.getElementById("waveformSummary").innerHTML = `
+        <div class="empty-state">
+          <p>${message}</p>
+        </div>`;
+}
@@ -0,0 +1,326 @@
+import { E_SERIES, NETWORK_VARIABLES, PARASITIC_PARAMETER_KEYS, STRESS_PARAMETER_KEYS, TOPOLOGIES, compareCalculations, createCalculationParameters, formatOutputValue, getTopology, parseEngineeringInput, runCalculation, valuesDiffer } from "./core/index.js";
+import { INPUT_FIELD_CONFIG, collectCalculationParameters, downloadTextFile, getDisplayDigits, getFieldLabel, getInputUnitType, normalizeInputFields, performCalculation, setInputValue, updateTopologySelection } from "./ิbuck.js";
+
+// Workspace Constants
+const WORKSPACE_FORMAT = "webcal-design-comparison";
+const WORKSPACE_FORMAT_VERSION = 1;
+const WORKSPACE_STORAGE_KEY = "webcal.comparisonWorkspace";
+
+// Design inputs always shown in the comparison; parasitic and rating rows appear once a design sets them
+const WORKSPACE_MAIN_INPUT_KEYS = [...INPUT_FIELD_CONFIG.map(config => config.id).filter(key => NETWORK_VARIABLES[key]), "dutyCycle"];
+const WORKSPACE_EXTRA_INPUT_KEYS = [...PARASITIC_PARAMETER_KEYS, ...STRESS_PARAMETER_KEYS];
+
+// Workspace State
+// Each design keeps its own parameter set and calculation; the form is only read when a design is added or updated
+let workspaceDesigns = [];
+
+// Workspace Model
+function createWorkspaceDesign(name, parameters, standardSeries) {
+    return { name, parameters, standardSeries, calculation: runCalculation(parameters, standardSeries) };
+}
+
+function recalculateWorkspaceDesign(design) {
+    design.calculation = runCalculation(design.parameters, design.standardSeries);
+}
+
+function loadStoredWorkspace() {
+    try {
+        const storedDesigns = JSON.parse(localStorage.getItem(WORKSPACE_STORAGE_KEY));
+        if (Array.isArray(storedDesigns)) {
+            return storedDesigns.flatMap(design => {
+                try {
+                    const standardSeries = E_SERIES[design.standardSeries] ? design.standardSeries : "off";
+                    return [createWorkspaceDesign(String(design.name), createCalculationParameters(design.parameters), standardSeries)];
+                } catch (error) {
+                    return []; // Skip designs this version cannot read
+                }
+            });
+        }
+    } catch (error) {
+        // Start with an empty workspace when storage is unavailable or corrupt
+    }
+    return [];
+}
+
+function saveWorkspace() {
+    const storedDesigns = workspaceDesigns.map(({ name, parameters, standardSeries }) => ({ name, parameters, standardSeries }));
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify(storedDesigns));
+}
+
+// Null when a field fails to parse, so a mistyped value is never stored as "not entered"
+function readFormDesign() {
+    const inputErrors = normalizeInputFields();
+    if (inputErrors.length > 0) {
+        renderWorkspace();
+        const container = document.getElementById("workspaceResults");
+        container.innerHTML = `
+          <div class="alert alert-error">
+            <strong>❌ Input Errors:</strong> Correct the parameter form first; ${inputErrors.map(error => error.message).join("; ")}.
+          </div>` + container.innerHTML;
+        return null;
+    }
+
+    return {
+        parameters: collectCalculationParameters(),
+        standardSeries: document.getElementById("standardValueSeries").value
+    };
+}
+
+function getWorkspaceInputKeys() {
+    const extraKeys = WORKSPACE_EXTRA_INPUT_KEYS.filter(key =>
+        workspaceDesigns.some(design => design.parameters[key] !== null));
+    return [...WORKSPACE_MAIN_INPUT_KEYS, ...extraKeys];
+}
+
+// Inputs as entered, then the status and the results grouped like the result categories
+function buildWorkspaceComparison() {
+    const designLabels = workspaceDesigns.map(design => ({
+        topology: getTopology(design.parameters.topology).label,
+        rectifierType: design.parameters.rectifierType,
+        standardSeries: design.standardSeries
+    }));
+    const settingRows = ["topology", "rectifierType", "standardSeries"].map(key => {
+        const values = designLabels.map(labels => labels[key]);
+        return { key, label: getFieldLabel(key === "standardSeries" ? "standardValueSeries" : key), unit: "text", values, differs: valuesDiffer(values) };
+    });
+    const inputRows = getWorkspaceInputKeys().map(key => {
+        const values = workspaceDesigns.map(design => design.parameters[key]);
+        return { key, label: getFieldLabel(key), unit: getInputUnitType(key), values, differs: valuesDiffer(values) };
+    });
+
+    return [
+        { title: "📝 Inputs", rows: [...settingRows, ...inputRows] },
+        ...compareCalculations(workspaceDesigns.map(design => design.calculation))
+    ];
+}
+
+// Workspace Actions
+function addWorkspaceDesign() {
+    const formDesign = readFormDesign();
+    if (formDesign === null) return;
+
+    const { parameters, standardSeries } = formDesign;
+    const name = document.getElementById("designName").value.trim() || `Design ${workspaceDesigns.length + 1}`;
+    workspaceDesigns.push(createWorkspaceDesign(name, parameters, standardSeries));
+    saveWorkspace();
+    renderWorkspace();
+}
+
+function updateWorkspaceDesign(index) {
+    const design = workspaceDesigns[index];
+    if (!design) return;
+
+    const formDesign = readFormDesign();
+    if (formDesign === null) return;
+
+    Object.assign(design, formDesign);
+    recalculateWorkspaceDesign(design);
+    saveWorkspace();
+    renderWorkspace();
+}
+
+function duplicateWorkspaceDesign(index) {
+    const design = workspaceDesigns[index];
+    if (!design) return;
+
+    workspaceDesigns.splice(index + 1, 0, createWorkspaceDesign(`${design.name} (copy)`, { ...design.parameters }, design.standardSeries));
+    saveWorkspace();
+    renderWorkspace();
+}
+
+function removeWorkspaceDesign(index) {
+    workspaceDesigns.splice(index, 1);
+    saveWorkspace();
+    renderWorkspace();
+}
+
+function renameWorkspaceDesign(index, name) {
+    const design = workspaceDesigns[index];
+    if (!design) return;
+
+    design.name = name.trim() || `Design ${index + 1}`;
+    saveWorkspace();
+    renderWorkspace();
+}
+
+// Loads a design into the parameter form and recalculates it there
+function loadWorkspaceDesign(index) {
+    const design = workspaceDesigns[index];
+    if (!design) return;
+
+    [...INPUT_FIELD_CONFIG.map(config => config.id), "dutyCycle"].forEach(key => setInputValue(key, design.parameters[key]));
+    document.getElementById("topology").value = design.parameters.topology;
+    document.getElementById("rectifierType").value = design.parameters.rectifierType;
+    document.getElementById("standardValueSeries").value = design.standardSeries;
+    document.getElementById("designName").value = design.name;
+    updateTopologySelection();
+    performCalculation();
+    document.getElementById("calculationResults").scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// Bare numbers are SI units, or percent for ripple ratios; empty text removes the input
+function editWorkspaceInput(index, key, text, field) {
+    const design = workspaceDesigns[index];
+    if (!design) return;
+
+    const unitType = getInputUnitType(key);
+    let value = null;
+    if (text.trim() !== "") {
+        try {
+            const { number, multiplier } = parseEngineeringInput(text, unitType);
+            value = number * (multiplier ?? (unitType === "%" ? 0.01 : 1));
+        } catch (error) {
+            field.style.borderColor = "#f44336";
+            field.title = `${getFieldLabel(key)}: ${error.message}`;
+            return;
+        }
+    }
+
+    design.parameters = { ...design.parameters, [key]: value };
+    recalculateWorkspaceDesign(design);
+    saveWorkspace();
+    renderWorkspace();
+}
+
+function editWorkspaceSetting(index, key, value) {
+    const design = workspaceDesigns[index];
+    if (!design) return;
+
+    if (key === "standardSeries") {
+        design.standardSeries = value;
+    } else {
+        design.parameters = { ...design.parameters, [key]: value };
+        // Topologies such as the synchronous buck fix the rectifier
+        const topology = getTopology(design.parameters.topology);
+        if (topology.rectifierType !== undefined) design.parameters.rectifierType = topology.rectifierType;
+    }
+    recalculateWorkspaceDesign(design);
+    saveWorkspace();
+    renderWorkspace();
+}
+
+// Export
+function escapeCsvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per compared value in SI units (ratios as fractions), with a flag for rows that differ
+function formatWorkspaceCsv(comparison) {
+    const header = ["Category", "Parameter", "Unit", ...workspaceDesigns.map(design => design.name), "Differs"];
+    const rows = comparison.flatMap(category => category.rows.map(row =>
+        [category.title, row.label, row.unit === "text" ? "" : row.unit, ...row.values, row.differs ? "yes" : ""]));
+    const statusRows = [
+        ["Validation", "Errors", "", ...workspaceDesigns.map(design => design.calculation.validation.errors.join("; ")), ""],
+        ["Validation", "Warnings", "", ...workspaceDesigns.map(design => design.calculation.validation.warnings.join("; ")), ""]
+    ];
+    return [header, ...statusRows, ...rows].map(row => row.map(escapeCsvCell).join(",")).join("\n");
+}
+
+function exportWorkspace(format) {
+    if (workspaceDesigns.length === 0) return;
+
+    if (format === "csv") {
+        downloadTextFile("design-comparison.csv", formatWorkspaceCsv(buildWorkspaceComparison()), "text/csv");
+        return;
+    }
+
+    const exportDocument = {
+        format: WORKSPACE_FORMAT,
+        version: WORKSPACE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        designs: workspaceDesigns.map(({ name, parameters, standardSeries, calculation }) => ({
+            name,
+            standardSeries,
+            parameters,
+            results: calculation.validation.errors.length === 0 ? { ...calculation.networkSolution.values, ...calculation.computed } : {},
+            warnings: calculation.validation.warnings,
+            errors: calculation.validation.errors
+        }))
+    };
+    downloadTextFile("design-comparison.json", JSON.stringify(exportDocument, null, 2), "application/json");
+}
+
+// Display Functions
+function renderWorkspaceValueCell(row, value) {
+    return `<td>${value === null ? "—" : formatOutputValue(value, row.unit, getDisplayDigits())}</td>`;
+}
+
+function renderWorkspaceInputCell(row, value, index) {
+    if (row.key === "topology" || row.key === "rectifierType" || row.key === "standardSeries") {
+        const design = workspaceDesigns[index];
+        const options = {
+            topology: Object.values(TOPOLOGIES).map(topology => [topology.id, topology.label]),
+            rectifierType: [...document.getElementById("rectifierType").options].map(option => [option.value, option.text]),
+            standardSeries: [...document.getElementById("standardValueSeries").options].map(option => [option.value, option.text])
+        }[row.key];
+        const selectedValue = row.key === "standardSeries" ? design.standardSeries : design.parameters[row.key];
+        const isLocked = row.key === "rectifierType" && getTopology(design.parameters.topology).rectifierType !== undefined;
+        return `<td><select class="comparison-input"${isLocked ? " disabled" : ""} onchange="editWorkspaceSetting(${index}, '${row.key}', this.value)">${options.map(([optionValue, text]) =>
+            `<option value="${optionValue}"${optionValue === selectedValue ? " selected" : ""}>${text}</option>`).join("")}</select></td>`;
+    }
+
+    const displayValue = value === null ? "" : formatOutputValue(value, row.unit, getDisplayDigits());
+    return `<td><input class="comparison-input" type="text" autocomplete="off" value="${displayValue}" onchange="editWorkspaceInput(${index}, '${row.key}', this.value, this)"></td>`;
+}
+
+function renderWorkspaceStatusCell(design) {
+    const { errors, warnings } = design.calculation.validation;
+    if (errors.length > 0) return `<td class="comparison-status-error" title="${errors.join("\n")}">❌ ${errors.length} error${errors.length > 1 ? "s" : ""}</td>`;
+    if (warnings.length > 0) return `<td class="comparison-status-warning" title="${warnings.join("\n")}">⚠️ ${warnings.length} warning${warnings.length > 1 ? "s" : ""}</td>`;
+    return '<td>✅ Valid</td>';
+}
+
+function renderWorkspace() {
+    const container = document.getElementById("workspaceResults");
+    if (workspaceDesigns.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <p>Add the current form as a design, change the form and add it again to compare designs side by side.</p>
+          </div>`;
+        return;
+    }
+
+    const comparison = buildWorkspaceComparison();
+    let htmlContent = '<div class="comparison-scroll"><table class="comparison-table"><thead><tr><th></th>';
+    workspaceDesigns.forEach((design, index) => {
+        htmlContent += `
+              <th>
+                <input class="comparison-input comparison-name" type="text" value="${design.name.replace(/"/g, "&quot;")}" onchange="renameWorkspaceDesign(${index}, this.value)">
+                <div class="comparison-actions">
+                  <button type="button" class="btn btn-calculate btn-compact" onclick="loadWorkspaceDesign(${index})" title="Load into the parameter form">Load</button>
+                  <button type="button" class="btn btn-calculate btn-compact" onclick="updateWorkspaceDesign(${index})" title="Replace with the parameter form">Update</button>
+                  <button type="button" class="btn btn-calculate btn-compact" onclick="duplicateWorkspaceDesign(${index})">Duplicate</button>
+                  <button type="button" class="btn btn-clear btn-compact" onclick="removeWorkspaceDesign(${index})">Remove</button>
+                </div>
+              </th>`;
+    });
+    htmlContent += '</tr></thead><tbody>';
+    htmlContent += `<tr><th>Status</th>${workspaceDesigns.map(renderWorkspaceStatusCell).join("")}</tr>`;
+
+    comparison.forEach((category, categoryIndex) => {
+        const renderCell = categoryIndex === 0 ? renderWorkspaceInputCell : renderWorkspaceValueCell;
+        htmlContent += `<tr class="comparison-category"><th colspan="${workspaceDesigns.length + 1}">${category.title}</th></tr>`;
+        category.rows.forEach(row => {
+            htmlContent += `<tr${row.differs ? ' class="comparison-differs"' : ""}><th>${row.label}</th>`;
+            htmlContent += row.values.map((value, index) => renderCell(row, value, index)).join("");
+            htmlContent += '</tr>';
+        });
+    });
+    htmlContent += '</tbody></table></div>';
+
+    const differingCount = comparison.slice(1).reduce((count, category) => count + category.rows.filter(row => row.differs).length, 0);
+    htmlContent += `<p class="library-summary">${workspaceDesigns.length} design${workspaceDesigns.length > 1 ? "s" : ""}; ${differingCount} result${differingCount === 1 ? "" : "s"} differ (highlighted).</p>`;
+    container.innerHTML = htmlContent;
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    workspaceDesigns = loadStoredWorkspace();
+    renderWorkspace();
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, {
+    addWorkspaceDesign, updateWorkspaceDesign, duplicateWorkspaceDesign, removeWorkspaceDesign, renameWorkspaceDesign,
+    loadWorkspaceDesign, editWorkspaceInput, editWorkspaceSetting, exportWorkspace
+});
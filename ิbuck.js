@@ -1,7 +1,9 @@
-// Application Constants
-const CALCULATION_TOLERANCE = 0.05; // 5% tolerance for validation
+import { DEFAULT_TOPOLOGY_ID, NETWORK_VARIABLES, PARASITIC_PARAMETER_KEYS, RESULT_CATEGORIES, STRESS_PARAMETER_KEYS, TOPOLOGIES, formatOutputValue, getParameterUnit, getTopology, parseEngineeringInput, parseUnitSymbol, runCalculation, topologySupports, traceCalculation, traceValidationErrors } from "./core/index.js";
+import { renderComponentSuggestions } from "./components.js";
+import { clearWaveformPlots, renderWaveformPlots } from "./waveforms.js";
 
-const INPUT_FIELD_CONFIG = [
+// Application Constants
+export const INPUT_FIELD_CONFIG = [
     { id: "inputVoltage", unitId: "inputVoltageUnit" },
     { id: "outputVoltage", unitId: "outputVoltageUnit" },
     { id: "outputCurrent", unitId: "outputCurrentUnit" },
@@ -11,275 +13,209 @@ const INPUT_FIELD_CONFIG = [
     { id: "inductorCurrentRipple", unitId: "inductorCurrentRippleUnit" },
     { id: "outputVoltageRipple", unitId: "outputVoltageRippleUnit" },
     { id: "voltageRippleRatio", unitId: "voltageRippleRatioUnit" },
-    { id: "currentRippleRatio", unitId: "currentRippleRatioUnit" }
+    { id: "currentRippleRatio", unitId: "currentRippleRatioUnit" },
+    { id: "mosfetOnResistance", unitId: "mosfetOnResistanceUnit" },
+    { id: "switchRiseTime", unitId: "switchRiseTimeUnit" },
+    { id: "switchFallTime", unitId: "switchFallTimeUnit" },
+    { id: "gateCharge", unitId: "gateChargeUnit" },
+    { id: "gateDriveVoltage", unitId: "gateDriveVoltageUnit" },
+    { id: "diodeForwardVoltage", unitId: "diodeForwardVoltageUnit" },
+    { id: "syncOnResistance", unitId: "syncOnResistanceUnit" },
+    { id: "inductorDcr", unitId: "inductorDcrUnit" },
+    { id: "capacitorEsr", unitId: "capacitorEsrUnit" },
+    { id: "ambientTemperature", unitId: "ambientTemperatureUnit" },
+    { id: "switchJunctionToCase", unitId: "switchJunctionToCaseUnit" },
+    { id: "switchCaseToAmbient", unitId: "switchCaseToAmbientUnit" },
+    { id: "rectifierJunctionToCase", unitId: "rectifierJunctionToCaseUnit" },
+    { id: "rectifierCaseToAmbient", unitId: "rectifierCaseToAmbientUnit" },
+    { id: "junctionTemperatureLimit", unitId: "junctionTemperatureLimitUnit" },
+    { id: "switchVoltageRating", unitId: "switchVoltageRatingUnit" },
+    { id: "rectifierVoltageRating", unitId: "rectifierVoltageRatingUnit" },
+    { id: "inputCapacitorVoltageRating", unitId: "inputCapacitorVoltageRatingUnit" },
+    { id: "outputCapacitorVoltageRating", unitId: "outputCapacitorVoltageRatingUnit" }
 ];
 
 const UNIT_FIELD_IDS = [
     "inputVoltageUnit", "outputVoltageUnit", "outputCurrentUnit",
     "switchingFrequencyUnit", "inductanceUnit", "capacitanceUnit",
     "inductorCurrentRippleUnit", "outputVoltageRippleUnit",
-    "voltageRippleRatioUnit", "currentRippleRatioUnit"
+    "voltageRippleRatioUnit", "currentRippleRatioUnit",
+    "mosfetOnResistanceUnit", "switchRiseTimeUnit", "switchFallTimeUnit",
+    "gateChargeUnit", "gateDriveVoltageUnit", "diodeForwardVoltageUnit",
+    "syncOnResistanceUnit", "inductorDcrUnit", "capacitorEsrUnit",
+    "ambientTemperatureUnit", "switchJunctionToCaseUnit", "switchCaseToAmbientUnit",
+    "rectifierJunctionToCaseUnit", "rectifierCaseToAmbientUnit", "junctionTemperatureLimitUnit",
+    "switchVoltageRatingUnit", "rectifierVoltageRatingUnit",
+    "inputCapacitorVoltageRatingUnit", "outputCapacitorVoltageRatingUnit"
 ];
 
+// Application State
+export let lastCalculation = null; // Most recent performCalculation run, reused by the analysis panels
+
 // Utility Functions
-function getInputValue(fieldId, unitFieldId) {
-    const numericValue = parseFloat(document.getElementById(fieldId).value);
-    const unitMultiplier = parseFloat(document.getElementById(unitFieldId).value);
-    return isNaN(numericValue) ? null : numericValue * unitMultiplier;
+// Fields accepting engineering notation name their unit selector in data-unit-select; fields without one give data-unit-type
+const ENGINEERING_FIELD_SELECTOR = "input[data-unit-select], input[data-unit-type]";
+
+// Unit type of a unit selector, from its option labels ("mV" → "V", "%" and "ratio" → "%")
+function getUnitSelectorUnitType(unitSelect) {
+    const label = unitSelect.options[0].text.trim();
+    if (label === "%" || label === "ratio") return "%";
+    return parseUnitSymbol(label).unit;
 }
 
-function formatOutputValue(value, unitType) {
-    if (value === null || value === undefined || isNaN(value)) return "N/A";
-
-    const formatters = {
-        "H": (val) => {
-            if (val >= 1) return `${val.toPrecision(4)} H`;
-            if (val >= 0.001) return `${(val * 1000).toPrecision(4)} mH`;
-            return `${(val * 1000000).toPrecision(4)} µH`;
-        },
-        "F": (val) => {
-            if (val >= 0.001) return `${(val * 1000).toPrecision(4)} mF`;
-            if (val >= 0.000001) return `${(val * 1000000).toPrecision(4)} µF`;
-            if (val >= 0.000000001) return `${(val * 1000000000).toPrecision(4)} nF`;
-            return `${(val * 1000000000000).toPrecision(4)} pF`;
-        },
-        "Hz": (val) => {
-            if (val >= 1000000) return `${(val / 1000000).toPrecision(4)} MHz`;
-            if (val >= 1000) return `${(val / 1000).toPrecision(4)} kHz`;
-            return `${val.toPrecision(4)} Hz`;
-        },
-        "V": (val) => val >= 1 ? `${val.toPrecision(4)} V` : `${(val * 1000).toPrecision(4)} mV`,
-        "A": (val) => val >= 1 ? `${val.toPrecision(4)} A` : `${(val * 1000).toPrecision(4)} mA`,
-        "W": (val) => val >= 1 ? `${val.toPrecision(4)} W` : `${(val * 1000).toPrecision(4)} mW`,
-        "%": (val) => `${(val * 100).toPrecision(3)}%`,
-        "Ω": (val) => {
-            if (val >= 1000000) return `${(val / 1000000).toPrecision(4)} MΩ`;
-            if (val >= 1000) return `${(val / 1000).toPrecision(4)} kΩ`;
-            return `${val.toPrecision(4)} Ω`;
-        },
-        "ratio": (val) => val.toPrecision(4),
-        "default": (val) => val.toPrecision(4)
-    };
-
-    return (formatters[unitType] || formatters["default"])(value);
+function getFieldUnitSelect(field) {
+    return field.dataset.unitSelect ? document.getElementById(field.dataset.unitSelect) : null;
 }
 
-// Validation Functions
-function validateInputConsistency(calculationParameters) {
-    const {
-        inputVoltage, outputVoltage, outputCurrent, switchingFrequency,
-        inductance, capacitance, inductorCurrentRipple, outputVoltageRipple,
-        dutyCycle, voltageRippleRatio, currentRippleRatio
-    } = calculationParameters;
-
-    const validationWarnings = [];
-    const validationErrors = [];
-
-    // Validate duty cycle consistency: D = Vout/Vin
-    if (dutyCycle !== null && inputVoltage !== null && outputVoltage !== null) {
-        const expectedDutyCycle = outputVoltage / inputVoltage;
-        if (Math.abs(dutyCycle - expectedDutyCycle) > CALCULATION_TOLERANCE) {
-            validationErrors.push(
-                `Duty cycle mismatch: Input D = ${dutyCycle.toPrecision(3)}, but Vout/Vin = ${expectedDutyCycle.toPrecision(3)}`
-            );
-        }
-    }
+// Parses "4.7u", "3.3V" or a bare number scaled by the unit selector; throws on malformed text and unit mismatches
+function readInputField(field, unitSelect = getFieldUnitSelect(field)) {
+    const text = field.value.trim();
+    if (text === "") return { value: null, multiplier: null };
 
-    // Validate inductor ripple consistency: ΔIL = (Vin-Vout)*D/(L*Fs)
-    if (inductorCurrentRipple !== null && inputVoltage !== null && outputVoltage !== null &&
-        dutyCycle !== null && inductance !== null && switchingFrequency !== null) {
-        const expectedRipple = (inputVoltage - outputVoltage) * dutyCycle / (inductance * switchingFrequency);
-        const tolerance = Math.abs(expectedRipple * CALCULATION_TOLERANCE);
-        if (Math.abs(inductorCurrentRipple - expectedRipple) > tolerance) {
-            validationErrors.push(
-                `Inductor ripple mismatch: Input ΔIL = ${formatOutputValue(inductorCurrentRipple, "A")}, calculated = ${formatOutputValue(expectedRipple, "A")}`
-            );
-        }
-    }
+    const unitType = unitSelect ? getUnitSelectorUnitType(unitSelect) : field.dataset.unitType;
+    const { number, multiplier } = parseEngineeringInput(text, unitType);
+    return { value: number * (multiplier ?? (unitSelect ? parseFloat(unitSelect.value) : 1)), multiplier };
+}
 
-    // Validate output ripple consistency: ΔVout = ΔIL/(8*Fs*C)
-    if (outputVoltageRipple !== null && inductorCurrentRipple !== null &&
-        switchingFrequency !== null && capacitance !== null) {
-        const expectedOutputRipple = inductorCurrentRipple / (8 * switchingFrequency * capacitance);
-        const tolerance = Math.abs(expectedOutputRipple * CALCULATION_TOLERANCE);
-        if (Math.abs(outputVoltageRipple - expectedOutputRipple) > tolerance) {
-            validationErrors.push(
-                `Output ripple mismatch: Input ΔVout = ${formatOutputValue(outputVoltageRipple, "V")}, calculated = ${formatOutputValue(expectedOutputRipple, "V")}`
-            );
-        }
+// Invalid text reads as empty; normalizeInputField reports it
+export function getInputValue(fieldId, unitFieldId) {
+    const field = document.getElementById(fieldId);
+    try {
+        return readInputField(field, unitFieldId ? document.getElementById(unitFieldId) : getFieldUnitSelect(field)).value;
+    } catch (error) {
+        return null;
     }
+}
 
-    // Validate voltage ripple ratio: ΔV/V = ΔVout/Vout
-    if (voltageRippleRatio !== null && outputVoltageRipple !== null && outputVoltage !== null) {
-        const expectedRatio = outputVoltageRipple / outputVoltage;
-        if (Math.abs(voltageRippleRatio - expectedRatio) > CALCULATION_TOLERANCE) {
-            validationErrors.push(
-                `Voltage ripple ratio mismatch: Input ΔV/V = ${formatOutputValue(voltageRippleRatio, "%")}, but ΔVout/Vout = ${formatOutputValue(expectedRatio, "%")}`
-            );
-        }
+// Writes an SI value in the largest unit not above it, e.g. 4.7e-6 → 4.7 with µH selected; null clears the field
+export function setInputValue(fieldId, value) {
+    const field = document.getElementById(fieldId);
+    const unitSelect = getFieldUnitSelect(field);
+    if (value === null) {
+        field.value = "";
+    } else if (unitSelect) {
+        unitSelect.value = findUnitOption(unitSelect, null, value).value;
+        field.value = String(Number((value / parseFloat(unitSelect.value)).toPrecision(12)));
+    } else {
+        field.value = String(Number(value.toPrecision(12)));
     }
+    setInputFieldError(field, null);
+}
 
-    // Validate current ripple ratio: ΔI/I = ΔIL/Iout
-    if (currentRippleRatio !== null && inductorCurrentRipple !== null && outputCurrent !== null) {
-        const expectedRatio = inductorCurrentRipple / outputCurrent;
-        if (Math.abs(currentRippleRatio - expectedRatio) > CALCULATION_TOLERANCE) {
-            validationErrors.push(
-                `Current ripple ratio mismatch: Input ΔI/I = ${formatOutputValue(currentRippleRatio, "%")}, but ΔIL/Iout = ${formatOutputValue(expectedRatio, "%")}`
-            );
-        }
-    }
+function setInputFieldError(field, message) {
+    const isNegative = parseFloat(field.value) < 0;
+    field.style.borderColor = message || isNegative ? '#f44336' : '#e0e6ed';
+    field.title = message || field.dataset.tooltip || "";
+}
 
-    // Physical constraints validation
-    if (dutyCycle !== null && (dutyCycle <= 0 || dutyCycle >= 1)) {
-        validationWarnings.push(`Duty cycle should be between 0 and 1. Current: ${dutyCycle.toPrecision(3)}`);
-    }
+// Picks the selector option a typed prefix names, else the largest unit not above the value
+function findUnitOption(unitSelect, multiplier, value) {
+    const options = [...unitSelect.options].sort((first, second) => parseFloat(second.value) - parseFloat(first.value));
+    return options.find(option => Math.abs(parseFloat(option.value) / multiplier - 1) < 1e-9) ||
+        options.find(option => parseFloat(option.value) <= Math.abs(value)) ||
+        options[options.length - 1];
+}
 
-    if (inputVoltage !== null && outputVoltage !== null && outputVoltage >= inputVoltage) {
-        validationWarnings.push(
-            `Buck converter requires Vout < Vin. Current: Vout = ${formatOutputValue(outputVoltage, "V")}, Vin = ${formatOutputValue(inputVoltage, "V")}`
-        );
+// Rewrites a value typed with a suffix as a plain number in the selected unit, e.g. "4.7u" → 4.7 with µH selected.
+// Only a field's own selector follows the typed prefix; shared selectors such as the sweep range's keep their unit.
+// Returns the error message for invalid text, otherwise null.
+function normalizeInputField(field) {
+    const unitSelect = getFieldUnitSelect(field);
+    let reading;
+    try {
+        reading = readInputField(field, unitSelect);
+    } catch (error) {
+        const message = `${getFieldLabel(field.id)}: ${error.message}`;
+        setInputFieldError(field, message);
+        return message;
     }
 
-    // Positive value checks
-    const positiveChecks = [
-        { value: switchingFrequency, name: "Switching frequency" },
-        { value: inductance, name: "Inductance" },
-        { value: capacitance, name: "Capacitance" },
-        { value: outputCurrent, name: "Output current" }
-    ];
-
-    positiveChecks.forEach(check => {
-        if (check.value !== null && check.value <= 0) {
-            validationErrors.push(`${check.name} must be positive`);
+    if (reading.multiplier !== null) {
+        if (unitSelect && unitSelect.id === `${field.id}Unit`) {
+            unitSelect.value = findUnitOption(unitSelect, reading.multiplier, reading.value).value;
         }
-    });
-
-    // Reasonable range warnings
-    if (voltageRippleRatio !== null && (voltageRippleRatio <= 0 || voltageRippleRatio > 1)) {
-        validationWarnings.push("Voltage ripple ratio should typically be 0-100%");
-    }
-
-    if (currentRippleRatio !== null && (currentRippleRatio <= 0 || currentRippleRatio > 1)) {
-        validationWarnings.push("Current ripple ratio should typically be 0-100%");
+        const displayValue = unitSelect ? reading.value / parseFloat(unitSelect.value) : reading.value;
+        field.value = String(Number(displayValue.toPrecision(12)));
     }
-
-    return { warnings: validationWarnings, errors: validationErrors };
+    setInputFieldError(field, null);
+    return null;
 }
 
-// Calculation Engine
-function calculateMissingParameters(inputParams) {
-    let {
-        inputVoltage, outputVoltage, outputCurrent, switchingFrequency,
-        inductance, capacitance, inductorCurrentRipple, outputVoltageRipple,
-        dutyCycle, voltageRippleRatio, currentRippleRatio
-    } = inputParams;
-
-    const computedValues = {};
-
-    // Calculate duty cycle
-    if (dutyCycle === null && inputVoltage !== null && outputVoltage !== null) {
-        dutyCycle = outputVoltage / inputVoltage;
-        computedValues.dutyCycle = dutyCycle;
-    }
-
-    // Calculate input voltage
-    if (inputVoltage === null && outputVoltage !== null && dutyCycle !== null) {
-        inputVoltage = outputVoltage / dutyCycle;
-        computedValues.inputVoltage = inputVoltage;
-    }
-
-    // Calculate output voltage
-    if (outputVoltage === null && inputVoltage !== null && dutyCycle !== null) {
-        outputVoltage = inputVoltage * dutyCycle;
-        computedValues.outputVoltage = outputVoltage;
-    }
-
-    // Calculate inductor current ripple
-    if (inductorCurrentRipple === null && inputVoltage !== null && outputVoltage !== null &&
-        dutyCycle !== null && inductance !== null && switchingFrequency !== null) {
-        inductorCurrentRipple = (inputVoltage - outputVoltage) * dutyCycle / (inductance * switchingFrequency);
-        computedValues.inductorCurrentRipple = inductorCurrentRipple;
-    }
-
-    // Calculate minimum inductance
-    if (inductance === null && inputVoltage !== null && outputVoltage !== null &&
-        dutyCycle !== null && switchingFrequency !== null && inductorCurrentRipple !== null) {
-        inductance = (inputVoltage - outputVoltage) * dutyCycle / (inductorCurrentRipple * switchingFrequency);
-        computedValues.inductance = inductance;
-    }
-
-    // Calculate switching frequency
-    if (switchingFrequency === null && inputVoltage !== null && outputVoltage !== null &&
-        dutyCycle !== null && inductance !== null && inductorCurrentRipple !== null) {
-        switchingFrequency = (inputVoltage - outputVoltage) * dutyCycle / (inductance * inductorCurrentRipple);
-        computedValues.switchingFrequency = switchingFrequency;
-    }
-
-    // Calculate output voltage ripple
-    if (outputVoltageRipple === null && inductorCurrentRipple !== null &&
-        switchingFrequency !== null && capacitance !== null) {
-        outputVoltageRipple = inductorCurrentRipple / (8 * switchingFrequency * capacitance);
-        computedValues.outputVoltageRipple = outputVoltageRipple;
-    }
-
-    // Calculate minimum capacitance
-    if (capacitance === null && inductorCurrentRipple !== null &&
-        switchingFrequency !== null && outputVoltageRipple !== null) {
-        capacitance = inductorCurrentRipple / (8 * switchingFrequency * outputVoltageRipple);
-        computedValues.capacitance = capacitance;
-    }
+export function getFieldLabel(fieldId) {
+    return document.getElementById(fieldId).closest(".input-group").querySelector(".input-label").textContent.trim();
+}
 
-    // Calculate voltage ripple ratio
-    if (voltageRippleRatio === null && outputVoltageRipple !== null && outputVoltage !== null) {
-        voltageRippleRatio = outputVoltageRipple / outputVoltage;
-        computedValues.voltageRippleRatio = voltageRippleRatio;
-    }
+export function getSelectedOptionText(selectId) {
+    const select = document.getElementById(selectId);
+    return select.options[select.selectedIndex].text;
+}
 
-    // Calculate current ripple ratio
-    if (currentRippleRatio === null && inductorCurrentRipple !== null && outputCurrent !== null) {
-        currentRippleRatio = inductorCurrentRipple / outputCurrent;
-        computedValues.currentRippleRatio = currentRippleRatio;
-    }
+// Unit type of any field in INPUT_FIELD_CONFIG, as understood by formatOutputValue
+export function getInputUnitType(fieldId) {
+    return getParameterUnit(fieldId);
+}
 
-    // Calculate output current from ripple ratio
-    if (outputCurrent === null && inductorCurrentRipple !== null && currentRippleRatio !== null) {
-        outputCurrent = inductorCurrentRipple / currentRippleRatio;
-        computedValues.outputCurrent = outputCurrent;
-    }
+// Significant digits chosen under Display Precision; undefined keeps the formatter defaults
+export function getDisplayDigits() {
+    return parseInt(document.getElementById("displayDigits").value, 10) || undefined;
+}
 
-    // Calculate additional derived parameters
-    if (inputVoltage !== null && outputCurrent !== null && dutyCycle !== null) {
-        const inputCurrent = outputCurrent * dutyCycle;
-        computedValues.inputCurrent = inputCurrent;
-    }
+export function downloadTextFile(fileName, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-    if (inputVoltage !== null && outputVoltage !== null && outputCurrent !== null) {
-        const outputPower = outputVoltage * outputCurrent;
-        const inputPower = outputPower; // Ideal case, ignoring losses
-        computedValues.outputPower = outputPower;
-        computedValues.inputPower = inputPower;
-    }
+// Display Functions
+const TRACE_ORIGIN_LABELS = {
+    entered: "Entered",
+    default: "Default",
+    solved: "Solved",
+    derived: "Derived",
+    snapped: "Snapped"
+};
+
+// Chip naming one traced value or input field; clicking it opens that value's trace row or its input field
+function renderTraceLink(key, symbol, value, unit) {
+    const text = typeof value === "number" ? `${symbol} = ${formatOutputValue(value, unit, getDisplayDigits())}` : symbol;
+    return `<button type="button" class="trace-link" onclick="showTraceSource('${key}')">${text}</button>`;
+}
 
-    if (inputVoltage !== null && outputCurrent !== null && dutyCycle !== null && switchingFrequency !== null) {
-        const peakSwitchCurrent = outputCurrent + (inductorCurrentRipple || 0) / 2;
-        computedValues.peakSwitchCurrent = peakSwitchCurrent;
+function renderTraceBody(trace, traces) {
+    const linkTo = (key) => {
+        const source = traces[key];
+        return source ? renderTraceLink(key, source.symbol, source.value, source.unit) : "";
+    };
+    let htmlContent = '<div class="trace-body">';
+    if (trace.label) htmlContent += `<div class="trace-label">${trace.label}</div>`;
+    if (trace.equation) htmlContent += `<div class="trace-equation">${trace.equation}</div>`;
+    if (trace.substitution) htmlContent += `<div class="trace-equation">${trace.substitution}</div>`;
+    if (trace.dependencies.length > 0) {
+        htmlContent += `<div class="trace-row"><span class="trace-heading">Depends on</span>${trace.dependencies.map(linkTo).join("")}</div>`;
     }
-
-    // Calculate ESR-related parameters if available
-    if (outputVoltageRipple !== null && inductorCurrentRipple !== null && capacitance !== null && switchingFrequency !== null) {
-        const capacitorRipple = inductorCurrentRipple / (8 * switchingFrequency * capacitance);
-        const esrRipple = outputVoltageRipple - capacitorRipple;
-        if (esrRipple > 0 && inductorCurrentRipple !== null) {
-            const equivalentSeriesResistance = esrRipple / (inductorCurrentRipple / 2);
-            computedValues.equivalentSeriesResistance = equivalentSeriesResistance;
-        }
+    if (trace.origin !== "entered" && trace.inputs.length > 0) {
+        htmlContent += `<div class="trace-row"><span class="trace-heading">Entered inputs</span>${trace.inputs.map(linkTo).join("")}</div>`;
     }
+    if (trace.origin === "entered") htmlContent += '<div class="trace-label">Entered in the parameter form.</div>';
+    return htmlContent + '</div>';
+}
 
-    return computedValues;
+// Opens and scrolls to the trace row of a value, or focuses its input field when it has no row
+function showTraceSource(key) {
+    const traceRow = document.getElementById(`trace-${key}`);
+    const target = traceRow || document.getElementById(key);
+    if (!target) return;
+    if (traceRow) traceRow.open = true;
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    if (!traceRow) target.focus();
+    target.classList.add("trace-highlight");
+    setTimeout(() => target.classList.remove("trace-highlight"), 1500);
 }
 
-// Display Functions
-function renderCalculationResults(calculatedValues, validationWarnings = [], validationErrors = []) {
+function renderCalculationResults(calculatedValues, validationWarnings = [], validationErrors = [], unresolvedParameters = [], infoNotes = [], resultCategories = RESULT_CATEGORIES, traces = {}) {
     const resultsContainer = document.getElementById('calculationResults');
     let htmlContent = '';
 
@@ -287,7 +223,10 @@ function renderCalculationResults(calculatedValues, validationWarnings = [], val
     if (validationErrors.length > 0) {
         htmlContent += '<div class="alert alert-error">';
         htmlContent += '<strong>❌ Validation Errors:</strong><ul style="margin: 10px 0; padding-left: 20px;">';
-        validationErrors.forEach(error => htmlContent += `<li>${error}</li>`);
+        validationErrors.forEach(error => {
+            const valueLinks = error.values.map(value => renderTraceLink(value.key, value.symbol, value.value, value.unit)).join("");
+            htmlContent += `<li>${error.message}${valueLinks ? `<div class="trace-row">${valueLinks}</div>` : ""}</li>`;
+        });
         htmlContent += '</ul></div>';
     }
 
@@ -299,46 +238,15 @@ function renderCalculationResults(calculatedValues, validationWarnings = [], val
         htmlContent += '</ul></div>';
     }
 
-    // Display calculated results
-    const resultCategories = [
-        {
-            title: "⚡ Basic Parameters",
-            items: [
-                { key: 'dutyCycle', label: 'Duty Cycle (D)', unit: 'ratio' },
-                { key: 'inputVoltage', label: 'Input Voltage (Vin)', unit: 'V' },
-                { key: 'outputVoltage', label: 'Output Voltage (Vout)', unit: 'V' },
-                { key: 'inputCurrent', label: 'Input Current (Iin)', unit: 'A' },
-                { key: 'outputCurrent', label: 'Output Current (Iout)', unit: 'A' }
-            ]
-        },
-        {
-            title: "🔧 Component Values",
-            items: [
-                { key: 'inductance', label: 'Inductance (L)', unit: 'H' },
-                { key: 'capacitance', label: 'Capacitance (C)', unit: 'F' },
-                { key: 'switchingFrequency', label: 'Switching Frequency (Fs)', unit: 'Hz' },
-                { key: 'equivalentSeriesResistance', label: 'ESR (Req)', unit: 'Ω' }
-            ]
-        },
-        {
-            title: "📊 Ripple Analysis",
-            items: [
-                { key: 'inductorCurrentRipple', label: 'Inductor Current Ripple (ΔIL)', unit: 'A' },
-                { key: 'outputVoltageRipple', label: 'Output Voltage Ripple (ΔVout)', unit: 'V' },
-                { key: 'voltageRippleRatio', label: 'Voltage Ripple Ratio (ΔV/V)', unit: '%' },
-                { key: 'currentRippleRatio', label: 'Current Ripple Ratio (ΔI/I)', unit: '%' }
-            ]
-        },
-        {
-            title: "⚡ Power & Performance",
-            items: [
-                { key: 'outputPower', label: 'Output Power (Pout)', unit: 'W' },
-                { key: 'inputPower', label: 'Input Power (Pin)', unit: 'W' },
-                { key: 'peakSwitchCurrent', label: 'Peak Switch Current', unit: 'A' }
-            ]
-        }
-    ];
+    // Display informational notes such as standard-value snapping
+    if (infoNotes.length > 0) {
+        htmlContent += '<div class="alert alert-info">';
+        htmlContent += '<strong>ℹ️ Notes:</strong><ul style="margin: 10px 0; padding-left: 20px;">';
+        infoNotes.forEach(note => htmlContent += `<li>${note}</li>`);
+        htmlContent += '</ul></div>';
+    }
 
+    // Display calculated results
     let hasResults = false;
 
     resultCategories.forEach(category => {
@@ -352,18 +260,39 @@ function renderCalculationResults(calculatedValues, validationWarnings = [], val
             htmlContent += `<h4 style="color: #667eea; margin-bottom: 15px; font-size: 1.1rem;">${category.title}</h4>`;
 
             categoryItems.forEach(item => {
-                const displayValue = formatOutputValue(calculatedValues[item.key], item.unit);
-                htmlContent += `
+                const displayValue = formatOutputValue(calculatedValues[item.key], item.unit, getDisplayDigits());
+                const trace = traces[item.key];
+                if (!trace) {
+                    htmlContent += `
               <div class="result-item">
                 <div class="result-label">${item.label}</div>
                 <div class="result-value">${displayValue}</div>
               </div>`;
+                    return;
+                }
+                htmlContent += `
+              <details class="result-trace" id="trace-${item.key}">
+                <summary class="result-item">
+                  <div class="result-label">${item.label} <span class="trace-origin trace-origin-${trace.origin}">${TRACE_ORIGIN_LABELS[trace.origin]}</span></div>
+                  <div class="result-value">${displayValue}</div>
+                </summary>
+                ${renderTraceBody(trace, traces)}
+              </details>`;
             });
 
             htmlContent += `</div>`;
         }
     });
 
+    // List unknowns the entered parameters do not determine
+    if (hasResults && unresolvedParameters.length > 0) {
+        const unresolvedSymbols = unresolvedParameters.map(key => NETWORK_VARIABLES[key].symbol).join(", ");
+        htmlContent += `
+          <div class="alert alert-info">
+            <strong>ℹ️ Under-determined:</strong> ${unresolvedSymbols} cannot be resolved from the entered parameters.
+          </div>`;
+    }
+
     // Show empty state if no results
     if (!hasResults && validationWarnings.length === 0 && validationErrors.length === 0) {
         htmlContent = `
@@ -382,8 +311,7 @@ function renderCalculationResults(calculatedValues, validationWarnings = [], val
 }
 
 // Main Application Functions
-function performCalculation() {
-    // Collect all input parameters
+export function collectCalculationParameters() {
     const calculationParameters = {
         inputVoltage: getInputValue("inputVoltage", "inputVoltageUnit"),
         outputVoltage: getInputValue("outputVoltage", "outputVoltageUnit"),
@@ -395,42 +323,121 @@ function performCalculation() {
         outputVoltageRipple: getInputValue("outputVoltageRipple", "outputVoltageRippleUnit"),
         voltageRippleRatio: getInputValue("voltageRippleRatio", "voltageRippleRatioUnit"),
         currentRippleRatio: getInputValue("currentRippleRatio", "currentRippleRatioUnit"),
-        dutyCycle: parseFloat(document.getElementById("dutyCycle").value) || null
+        dutyCycle: getInputValue("dutyCycle") || null,
+        topology: document.getElementById("topology").value,
+        rectifierType: document.getElementById("rectifierType").value
     };
 
-    // Validate input consistency
-    const validationResults = validateInputConsistency(calculationParameters);
+    [...PARASITIC_PARAMETER_KEYS, ...STRESS_PARAMETER_KEYS].forEach(key => {
+        calculationParameters[key] = getInputValue(key, `${key}Unit`);
+    });
+
+    return calculationParameters;
+}
 
-    let computedParameters = {};
+// Rewrites every field in its selected unit and marks the ones that fail to parse; run before collectCalculationParameters,
+// which reads those fields as empty
+export function normalizeInputFields() {
+    return [...INPUT_FIELD_CONFIG.map(config => config.id), "dutyCycle"]
+        .map(fieldId => ({ fieldId, message: normalizeInputField(document.getElementById(fieldId)) }))
+        .filter(error => error.message !== null)
+        .map(error => ({
+            message: error.message,
+            values: [{ key: error.fieldId, symbol: getFieldLabel(error.fieldId), value: null, unit: null }]
+        }));
+}
+
+export function performCalculation() {
+    const inputErrors = normalizeInputFields();
 
-    // Perform calculations only if no validation errors
-    if (validationResults.errors.length === 0) {
-        computedParameters = calculateMissingParameters(calculationParameters);
+    if (inputErrors.length > 0) {
+        lastCalculation = null;
+        renderCalculationResults({}, [], inputErrors);
+        clearWaveformPlots();
+        renderComponentSuggestions(null);
+        return;
     }
 
+    const standardSeries = document.getElementById("standardValueSeries").value;
+    lastCalculation = runCalculation(collectCalculationParameters(), standardSeries);
+    renderCalculation(lastCalculation);
+}
+
+function renderCalculation(calculation) {
+    const { parameters, computed, validation, networkSolution, notes, operatingPoint } = calculation;
+
     // Display results with validation feedback
     renderCalculationResults(
-        computedParameters,
-        validationResults.warnings,
-        validationResults.errors
+        computed,
+        validation.warnings,
+        traceValidationErrors(calculation),
+        networkSolution.unresolved,
+        notes,
+        getTopology(parameters.topology).resultCategories,
+        traceCalculation(calculation)
     );
+
+    // Redraw the steady-state waveforms for the new operating point
+    if (!topologySupports(parameters, "waveforms")) {
+        clearWaveformPlots(`Waveforms are available for the buck topologies only; ${getTopology(parameters.topology).label} is not modelled yet.`);
+    } else if (validation.errors.length === 0) {
+        renderWaveformPlots(operatingPoint);
+    } else {
+        clearWaveformPlots();
+    }
+
+    renderComponentSuggestions(calculation);
+}
+
+// Re-renders the results panel, e.g. after the display precision changes
+function refreshCalculationResults() {
+    if (lastCalculation) renderCalculation(lastCalculation);
+}
+
+// Fills the topology selector from the registered modules
+function renderTopologyOptions() {
+    const select = document.getElementById("topology");
+    select.innerHTML = "";
+    Object.values(TOPOLOGIES).forEach(topology => select.add(new Option(topology.label, topology.id)));
+    select.value = DEFAULT_TOPOLOGY_ID;
 }
 
-function clearAllInputs() {
-    // Clear all numeric input fields
-    INPUT_FIELD_CONFIG.forEach(config => {
-        document.getElementById(config.id).value = "";
+// Locks the rectifier selector for topologies that fix the rectifier
+export function updateTopologySelection() {
+    const topology = getTopology(document.getElementById("topology").value);
+    const rectifierSelect = document.getElementById("rectifierType");
+    rectifierSelect.disabled = topology.rectifierType !== undefined;
+    if (topology.rectifierType !== undefined) rectifierSelect.value = topology.rectifierType;
+}
+
+export function clearAllInputs() {
+    // Clear all numeric input fields and their error marks
+    [...INPUT_FIELD_CONFIG.map(config => config.id), "dutyCycle"].forEach(fieldId => {
+        const field = document.getElementById(fieldId);
+        field.value = "";
+        setInputFieldError(field, null);
     });
 
-    // Clear duty cycle field
-    document.getElementById("dutyCycle").value = "";
+    // Clear topology, rectifier and standard-value selections
+    document.getElementById("topology").value = DEFAULT_TOPOLOGY_ID;
+    updateTopologySelection();
+    document.getElementById("rectifierType").value = "diode";
+    document.getElementById("standardValueSeries").value = "off";
 
     // Reset all unit selectors to default values
-    const defaultUnitValues = [1, 1, 1, 1000, 0.000001, 0.000001, 1, 0.001, 0.01, 0.01];
+    const defaultUnitValues = [
+        "1", "1", "1", "1000", "0.000001", "0.000001", "1", "0.001", "0.01", "0.01",
+        "0.001", "0.000000001", "0.000000001", "0.000000001", "1", "1", "0.001", "0.001", "0.001",
+        "1", "1", "1", "1", "1", "1", "1", "1", "1", "1"
+    ];
     UNIT_FIELD_IDS.forEach((unitId, index) => {
         document.getElementById(unitId).value = defaultUnitValues[index];
     });
 
+    lastCalculation = null;
+    clearWaveformPlots();
+    renderComponentSuggestions(null);
+
     // Reset results display
     document.getElementById('calculationResults').innerHTML = `
         <div class="empty-state">
@@ -441,8 +448,10 @@ function clearAllInputs() {
 
 // Add input event listeners for real-time validation
 document.addEventListener('DOMContentLoaded', function () {
+    renderTopologyOptions();
+
     // Add event listeners to all input fields for enter key
-    const allInputs = document.querySelectorAll('input[type="number"]');
+    const allInputs = document.querySelectorAll(`input[type="number"], ${ENGINEERING_FIELD_SELECTOR}`);
     allInputs.forEach(input => {
         input.addEventListener('keypress', function (event) {
             if (event.key === 'Enter') {
@@ -460,9 +469,16 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     });
 
+    // Normalize engineering notation such as "4.7u" or "470k" when a field is left
+    document.querySelectorAll(ENGINEERING_FIELD_SELECTOR).forEach(input => {
+        input.addEventListener('change', function () {
+            normalizeInputField(this);
+        });
+    });
+
     // Add tooltips for better user experience
     const tooltips = {
-        'inputVoltage': 'DC input voltage to the buck converter',
+        'inputVoltage': 'DC input voltage to the converter',
         'outputVoltage': 'Desired DC output voltage',
         'outputCurrent': 'Maximum load current',
         'switchingFrequency': 'MOSFET/transistor switching frequency',
@@ -470,13 +486,34 @@ document.addEventListener('DOMContentLoaded', function () {
         'inductance': 'Filter inductor value',
         'capacitance': 'Output filter capacitor value',
         'inductorCurrentRipple': 'Peak-to-peak inductor current variation',
-        'outputVoltageRipple': 'Peak-to-peak output voltage variation'
+        'outputVoltageRipple': 'Peak-to-peak output voltage variation',
+        'mosfetOnResistance': 'Main switch MOSFET on-state resistance',
+        'switchRiseTime': 'Switch-node voltage fall / current rise time at turn-on',
+        'switchFallTime': 'Switch current fall time at turn-off',
+        'gateCharge': 'Total MOSFET gate charge per switching cycle',
+        'diodeForwardVoltage': 'Freewheeling diode forward voltage (diode rectifier only)',
+        'syncOnResistance': 'Low-side MOSFET on-state resistance (synchronous rectifier only)',
+        'inductorDcr': 'Inductor winding DC resistance',
+        'capacitorEsr': 'Output capacitor equivalent series resistance',
+        'ambientTemperature': 'Air temperature around the converter (25 °C when empty)',
+        'switchJunctionToCase': 'Switch junction-to-case thermal resistance from the datasheet',
+        'switchCaseToAmbient': 'Switch case-to-ambient thermal resistance (heatsink and PCB copper)',
+        'rectifierJunctionToCase': 'Rectifier junction-to-case thermal resistance from the datasheet',
+        'rectifierCaseToAmbient': 'Rectifier case-to-ambient thermal resistance (heatsink and PCB copper)',
+        'junctionTemperatureLimit': 'Highest allowed junction temperature (125 °C when empty)',
+        'switchVoltageRating': 'Switch drain-source breakdown voltage, derated to 80%',
+        'rectifierVoltageRating': 'Rectifier reverse or drain-source voltage rating, derated to 80%',
+        'inputCapacitorVoltageRating': 'Input capacitor rated voltage, derated to 80%',
+        'outputCapacitorVoltageRating': 'Output capacitor rated voltage, derated to 80%'
     };
 
     Object.keys(tooltips).forEach(inputId => {
         const element = document.getElementById(inputId);
         if (element) {
-            element.title = tooltips[inputId];
+            element.title = element.dataset.tooltip = tooltips[inputId];
         }
     });
-});
\ No newline at end of file
+});
+
+// Handlers referenced by inline attributes in index.html
+Object.assign(window, { performCalculation, clearAllInputs, updateTopologySelection, refreshCalculationResults, showTraceSource });